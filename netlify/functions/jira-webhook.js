@@ -1,4 +1,15 @@
 // netlify/functions/jira-webhook.js
+const WebhookSignatureVerifier = require('../../scripts/webhook-signature.js');
+const WebhookEventFilter = require('../../scripts/webhook-event-filter.js');
+const WebhookPayloadProjector = require('../../scripts/webhook-payload.js');
+const ProjectRouter = require('../../scripts/project-routing.js');
+
+// Module scope so warm invocations share the replay cache
+const signatureVerifier = new WebhookSignatureVerifier();
+const eventFilter = new WebhookEventFilter();
+const payloadProjector = new WebhookPayloadProjector();
+const projectRouter = new ProjectRouter();
+
 exports.handler = async (event, context) => {
   console.log('Jira webhook received at:', new Date().toISOString());
 
@@ -10,23 +21,74 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    const jiraPayload = JSON.parse(event.body);
+    const rawBody = event.isBase64Encoded
+      ? Buffer.from(event.body || '', 'base64').toString('utf8')
+      : (event.body || '');
+
+    const verification = signatureVerifier.verify(event.headers, rawBody);
+    if (!verification.valid) {
+      return {
+        statusCode: verification.statusCode,
+        body: JSON.stringify({ error: 'Webhook rejected', reason: verification.reason })
+      };
+    }
+
+    const jiraPayload = verification.payload;
     
     console.log('Webhook event:', jiraPayload.webhookEvent);
     console.log('Issue key:', jiraPayload.issue?.key);
+    console.log('Delivery ID:', verification.deliveryId);
+
+    // Apply the processor's filtering rules here so no-op events never start an Actions run
+    const filterResult = eventFilter.evaluate(jiraPayload);
+    if (!filterResult.actionable) {
+      console.log('Ignoring webhook:', filterResult.reason);
+      signatureVerifier.markDelivered(verification.replayKey);
+
+      return {
+        statusCode: 202,
+        body: JSON.stringify({
+          message: 'ignored',
+          dispatched: false,
+          reason: filterResult.reason,
+          timestamp: new Date().toISOString()
+        })
+      };
+    }
+    
+    const projectKey = eventFilter.getProjectKey(jiraPayload.issue);
+    const route = projectRouter.getRoute(projectKey);
+    if (!route) {
+      console.log(`No route configured for project ${projectKey} - rejecting`);
+
+      return {
+        statusCode: 422,
+        body: JSON.stringify({
+          error: 'Unknown project',
+          reason: `No route configured for project ${projectKey}`
+        })
+      };
+    }
+
+    // Project down to what the processor reads; the delivery ID lets it recognise duplicates
+    const dispatch = payloadProjector.buildDispatchPayload(jiraPayload, {
+      webhookIdentifier: verification.deliveryId
+    });
+    console.log(`Dispatch payload: ${dispatch.mode} (${dispatch.size} bytes)`);
     
     // ONLY dispatch once per webhook
-    const githubResponse = await fetch(`https://api.github.com/repos/${process.env.GITHUB_OWNER}/${process.env.GITHUB_REPO}/dispatches`, {
+    console.log(`Routing ${projectKey} to ${route.github.owner}/${route.github.repo}`);
+    const githubResponse = await fetch(`https://api.github.com/repos/${route.github.owner}/${route.github.repo}/dispatches`, {
       method: 'POST',
       headers: {
-        'Authorization': `token ${process.env.GITHUB_TOKEN}`,
+        'Authorization': `token ${projectRouter.getDispatchToken(route)}`,
         'Accept': 'application/vnd.github.v3+json',
         'Content-Type': 'application/json',
         'User-Agent': 'Jira-Claude-Automation'
       },
       body: JSON.stringify({
-        event_type: 'jira-webhook',
-        client_payload: jiraPayload
+        event_type: route.github.eventType,
+        client_payload: dispatch.payload
       })
     });
 
@@ -36,6 +98,7 @@ exports.handler = async (event, context) => {
       throw new Error(`GitHub dispatch failed: ${githubResponse.status} - ${errorText}`);
     }
 
+    signatureVerifier.markDelivered(verification.replayKey);
     console.log('✅ Successfully dispatched to GitHub Actions');
     
     return {
@@ -43,6 +106,8 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({ 
         message: 'Webhook processed successfully',
         dispatched: true,
+        repository: `${route.github.owner}/${route.github.repo}`,
+        payloadMode: dispatch.mode,
         timestamp: new Date().toISOString()
       })
     };
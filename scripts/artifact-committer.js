@@ -0,0 +1,89 @@
+// Commits generated work-items/ artifacts, mirroring the "Commit Generated Artifacts"
+// step of the GitHub Actions workflow for self-hosted runs
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// Idempotency state shared by every issue (see webhook-idempotency-store.js)
+const STATE_PATH = 'work-items/.automation-state';
+
+class ArtifactCommitter {
+  constructor(options = {}) {
+    this.repoDir = options.repoDir || process.cwd();
+    this.push = options.push ?? process.env.AUTOMATION_GIT_PUSH === 'true';
+    this.authorName = options.authorName || process.env.AUTOMATION_GIT_NAME || 'Claude Automation';
+    this.authorEmail = options.authorEmail || process.env.AUTOMATION_GIT_EMAIL || 'claude-automation@github.com';
+
+    // git operations share one index, so commits are serialized across issues
+    this.lastCommit = Promise.resolve();
+  }
+
+  // `workItemKey` is the work-items/ directory the run wrote to: the original
+  // issue, which differs from `issueKey` for criteria issues and sub-tasks
+  commit(action, issueKey, workItemKey = issueKey) {
+    const run = this.lastCommit.catch(() => {}).then(() => this.commitNow(action, issueKey, workItemKey));
+    this.lastCommit = run;
+    return run;
+  }
+
+  async commitNow(action, issueKey, workItemKey = issueKey) {
+    // Jobs for other issues may be writing their own artifacts right now, so
+    // only this issue's directory and the shared state are committed
+    const changed = await this.getChangedPaths([`work-items/${workItemKey}`, STATE_PATH]);
+    if (changed.length === 0) {
+      console.log('No changes to commit');
+      return { committed: false };
+    }
+
+    await this.git(['add', '-A', '--', ...changed]);
+    await this.git([
+      '-c', `user.name=${this.authorName}`,
+      '-c', `user.email=${this.authorEmail}`,
+      'commit', '-m', `🤖 Claude automation: ${action} for ${issueKey}`, '--', ...changed
+    ]);
+    let sha = (await this.git(['rev-parse', 'HEAD'])).trim();
+    console.log(`✅ Committed artifacts for ${issueKey}: ${sha}`);
+
+    if (this.push) {
+      try {
+        await this.git(['pull', '--rebase']);
+        await this.git(['push']);
+      } catch (error) {
+        // A rebase left half-done would make every later commit fail; the
+        // commit stays local and goes out with the next successful push
+        await this.git(['rebase', '--abort']).catch(() => {});
+        console.error(`Failed to push artifacts for ${issueKey}: ${error.message}`);
+        return { committed: true, sha, pushed: false, pushError: error.message };
+      }
+      // The rebase may have rewritten the commit
+      sha = (await this.git(['rev-parse', 'HEAD'])).trim();
+      console.log(`✅ Pushed artifacts for ${issueKey}: ${sha}`);
+    }
+
+    return { committed: true, sha, pushed: this.push };
+  }
+
+  // Files under `paths` with uncommitted changes, including untracked and deleted ones
+  async getChangedPaths(paths) {
+    const entries = (await this.git(['status', '--porcelain', '-z', '--untracked-files=all', '--', ...paths]))
+      .split('\0')
+      .filter(Boolean);
+    const changed = [];
+
+    for (let i = 0; i < entries.length; i++) {
+      changed.push(entries[i].substring(3));
+      // Renames and copies are followed by their source path
+      if (/^[RC]/.test(entries[i])) i++;
+    }
+    return changed;
+  }
+
+  async git(args) {
+    const { stdout } = await execFileAsync('git', args, { cwd: this.repoDir });
+    return stdout;
+  }
+}
+
+module.exports = ArtifactCommitter;
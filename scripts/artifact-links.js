@@ -0,0 +1,95 @@
+// Points Jira issues at the generated artifacts: remote links to the files (and
+// the commit) on GitHub, and attachments of the key files so reviewers can read
+// them without leaving Jira.
+//
+// Remote links use a stable globalId per file, so re-running a stage updates the
+// existing link. Attachments replace the previous version with the same filename.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const GITHUB_ICON_URL = 'https://github.com/favicon.ico';
+
+class ArtifactLinker {
+  constructor(options = {}) {
+    this.jiraApi = options.jiraApi;
+    this.githubUrl = (options.githubUrl || process.env.GITHUB_SERVER_URL || 'https://github.com').replace(/\/$/, '');
+    // Branch the workflow commits work-items/ to
+    this.branch = options.branch || process.env.ARTIFACT_LINK_BRANCH || process.env.GITHUB_REF_NAME || 'main';
+    this.repoDir = options.repoDir || process.cwd();
+  }
+
+  // The route's repository, or the one the workflow runs in (GITHUB_REPOSITORY)
+  getRepository(route) {
+    const { owner, repo } = route?.github || {};
+    return owner && repo ? `${owner}/${repo}` : process.env.GITHUB_REPOSITORY || null;
+  }
+
+  // `files` are paths under work-items/, e.g. PCP1-67/implementation/solution.js
+  async linkFiles(issueKey, route, files, stageLabel) {
+    const repository = this.getRepository(route);
+    if (!repository) {
+      console.log(`DEBUG: No GitHub repository configured for ${route?.projectKey} - skipping remote links`);
+      return [];
+    }
+
+    const linked = [];
+    for (const file of files) {
+      const filePath = `work-items/${file}`;
+      const url = `${this.githubUrl}/${repository}/blob/${encodeURIComponent(this.branch)}/${filePath.split('/').map(encodeURIComponent).join('/')}`;
+      await this.jiraApi.upsertRemoteLink(issueKey, {
+        globalId: `claude-artifact:${repository}:${filePath}`,
+        relationship: stageLabel,
+        url,
+        title: path.basename(filePath),
+        summary: filePath,
+        iconUrl: GITHUB_ICON_URL
+      });
+      linked.push(url);
+    }
+    return linked;
+  }
+
+  // One link per issue and stage, moved to the latest commit on each run
+  async linkCommit(issueKey, route, sha, action) {
+    const repository = this.getRepository(route);
+    if (!repository || !sha) {
+      return null;
+    }
+
+    const url = `${this.githubUrl}/${repository}/commit/${sha}`;
+    await this.jiraApi.upsertRemoteLink(issueKey, {
+      globalId: `claude-commit:${issueKey}:${action}`,
+      relationship: 'Generated artifacts',
+      url,
+      title: `Commit ${sha.substring(0, 7)} (${action})`,
+      summary: repository,
+      iconUrl: GITHUB_ICON_URL
+    });
+    return url;
+  }
+
+  // Attaches files from work-items/, replacing older versions on the issue
+  async attachFiles(issueKey, files) {
+    const attached = [];
+    for (const file of files) {
+      const content = await fs.readFile(path.join(this.repoDir, 'work-items', file));
+      await this.jiraApi.replaceAttachment(issueKey, path.basename(file), content, this.getContentType(file));
+      attached.push(path.basename(file));
+    }
+    return attached;
+  }
+
+  getContentType(file) {
+    const types = {
+      '.md': 'text/markdown',
+      '.json': 'application/json',
+      '.js': 'text/javascript',
+      '.yaml': 'application/yaml',
+      '.yml': 'application/yaml'
+    };
+    return types[path.extname(file).toLowerCase()] || 'text/plain';
+  }
+}
+
+module.exports = ArtifactLinker;
@@ -0,0 +1,123 @@
+// Collects an issue's attachments for the requirements analysis prompt: text-like
+// files are inlined (with size limits and truncation), images become image blocks,
+// everything else is listed as skipped.
+
+const path = require('path');
+
+const TEXT_MIME_TYPES = [
+  'application/json',
+  'application/xml',
+  'application/yaml',
+  'application/x-yaml',
+  'application/csv',
+  'application/javascript',
+  'application/sql',
+  'application/graphql',
+  'application/x-sh'
+];
+const TEXT_EXTENSIONS = [
+  '.txt', '.md', '.csv', '.tsv', '.json', '.yaml', '.yml', '.xml', '.html', '.sql',
+  '.graphql', '.js', '.ts', '.py', '.java', '.go', '.rb', '.sh', '.log', '.http', '.ini', '.env', '.feature'
+];
+// Image types Claude accepts as content blocks
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+class AttachmentContextBuilder {
+  constructor(options = {}) {
+    this.jiraApi = options.jiraApi;
+    this.maxTextBytes = options.maxTextBytes ?? parseInt(process.env.ANALYSIS_ATTACHMENT_MAX_TEXT_BYTES || '20000', 10);
+    this.maxTotalTextBytes = options.maxTotalTextBytes ?? parseInt(process.env.ANALYSIS_ATTACHMENT_TOTAL_TEXT_BYTES || '60000', 10);
+    this.maxImageBytes = options.maxImageBytes ?? parseInt(process.env.ANALYSIS_ATTACHMENT_MAX_IMAGE_BYTES || '3750000', 10);
+    this.maxImages = options.maxImages ?? parseInt(process.env.ANALYSIS_ATTACHMENT_MAX_IMAGES || '5', 10);
+    // Text files bigger than this are not downloaded at all
+    this.maxDownloadBytes = options.maxDownloadBytes ?? parseInt(process.env.ANALYSIS_ATTACHMENT_MAX_DOWNLOAD_BYTES || '10000000', 10);
+  }
+
+  // Returns { texts, images, considered }; `considered` has one entry per attachment
+  // with how it was used ('included', 'truncated', 'image' or 'skipped')
+  async build(issueKey) {
+    const context = { texts: [], images: [], considered: [] };
+    const attachments = await this.jiraApi.getAttachments(issueKey);
+    let remainingTextBytes = this.maxTotalTextBytes;
+
+    for (const attachment of attachments) {
+      const entry = {
+        filename: attachment.filename,
+        mimeType: attachment.mimeType || 'unknown',
+        size: attachment.size || 0,
+        usage: 'skipped',
+        note: null
+      };
+      context.considered.push(entry);
+
+      try {
+        if (this.isImage(attachment)) {
+          if (context.images.length >= this.maxImages) {
+            entry.note = `image limit of ${this.maxImages} reached`;
+          } else if (entry.size > this.maxImageBytes) {
+            entry.note = `image larger than ${this.maxImageBytes} bytes`;
+          } else {
+            const content = await this.jiraApi.downloadAttachment(attachment);
+            context.images.push({ filename: entry.filename, mediaType: entry.mimeType, data: content.toString('base64') });
+            entry.usage = 'image';
+          }
+        } else if (this.isText(attachment)) {
+          if (remainingTextBytes <= 0) {
+            entry.note = `text budget of ${this.maxTotalTextBytes} bytes used up`;
+          } else if (entry.size > this.maxDownloadBytes) {
+            entry.note = `file larger than ${this.maxDownloadBytes} bytes`;
+          } else {
+            const content = await this.jiraApi.downloadAttachment(attachment);
+            const limit = Math.min(this.maxTextBytes, remainingTextBytes);
+            const truncated = content.length > limit;
+            const shown = this.utf8Prefix(content, limit);
+
+            context.texts.push({
+              filename: entry.filename,
+              mimeType: entry.mimeType,
+              text: shown.toString('utf8'),
+              truncated,
+              shownBytes: shown.length,
+              totalBytes: content.length
+            });
+            remainingTextBytes -= shown.length;
+            entry.usage = truncated ? 'truncated' : 'included';
+            entry.note = truncated ? `first ${shown.length} of ${content.length} bytes` : null;
+          }
+        } else {
+          entry.note = 'unsupported file type';
+        }
+      } catch (error) {
+        console.error(`Failed to read attachment ${attachment.filename} on ${issueKey}: ${error.message}`);
+        entry.usage = 'skipped';
+        entry.note = `download failed: ${error.message}`;
+      }
+    }
+
+    console.log(`✅ Attachments for ${issueKey}: ${context.texts.length} text, ${context.images.length} image, ${context.considered.length} total`);
+    return context;
+  }
+
+  // At most `limit` bytes, cut back to a character boundary so a multi-byte
+  // character isn't split into a replacement character
+  utf8Prefix(content, limit) {
+    let end = Math.min(limit, content.length);
+    while (end > 0 && end < content.length && (content[end] & 0xc0) === 0x80) {
+      end--;
+    }
+    return content.subarray(0, end);
+  }
+
+  isImage(attachment) {
+    return IMAGE_MIME_TYPES.includes((attachment.mimeType || '').toLowerCase());
+  }
+
+  isText(attachment) {
+    const mimeType = (attachment.mimeType || '').toLowerCase().split(';')[0];
+    return mimeType.startsWith('text/')
+      || TEXT_MIME_TYPES.includes(mimeType)
+      || TEXT_EXTENSIONS.includes(path.extname(attachment.filename || '').toLowerCase());
+  }
+}
+
+module.exports = AttachmentContextBuilder;
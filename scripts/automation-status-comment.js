@@ -0,0 +1,78 @@
+// Maintains one "automation status" comment per criteria issue. Each stage run
+// edits that comment in place (current stage, latest result, links and a history
+// table) instead of appending another long comment. Failures that need someone's
+// attention are still posted as new comments by the processor.
+//
+// The comment is found again through MARKER, which is rendered as inline code so
+// it survives both wiki markup and ADF.
+
+const MARKER = 'claude-automation-status';
+
+class AutomationStatusComment {
+  constructor(options = {}) {
+    this.jiraApi = options.jiraApi;
+    // Oldest history rows are dropped beyond this
+    this.historyLimit = options.historyLimit ?? parseInt(process.env.AUTOMATION_STATUS_HISTORY_LIMIT || '20', 10);
+  }
+
+  // `entry`: { stage, result, summary, details, links: [{ label, value }] }
+  // `summary` is the one-line history note; `details` is the full Markdown body
+  // of the latest result.
+  async update(issueKey, entry) {
+    const timestamp = new Date().toISOString();
+
+    const result = await this.jiraApi.upsertComment(issueKey, MARKER, existing => {
+      const history = [...this.parseHistory(existing), this.formatHistoryRow(timestamp, entry)].slice(-this.historyLimit);
+      return this.buildComment(timestamp, entry, history);
+    });
+
+    console.log(`✅ ${result.created ? 'Created' : 'Updated'} automation status comment on ${issueKey}: ${entry.stage} - ${entry.result}`);
+    return result;
+  }
+
+  buildComment(timestamp, entry, history) {
+    const links = (entry.links || []).map(link => `• ${link.label}: ${link.value}`);
+
+    return `**Automation Status**
+
+**Current Stage:** ${entry.stage}
+**Result:** ${entry.result}
+**Last Updated:** ${timestamp}${links.length > 0 ? `
+
+**Links:**
+${links.join('\n')}` : ''}
+
+## Latest Result
+${entry.details || entry.summary || entry.result}
+
+## History
+| Time | Stage | Result | Notes |
+| --- | --- | --- | --- |
+${history.join('\n')}
+
+---
+\`${MARKER}\` *This comment is updated in place by Claude Automation System*`;
+  }
+
+  // Rows of the existing history table, header and separator excluded
+  parseHistory(existingMarkdown) {
+    if (!existingMarkdown) return [];
+
+    const section = existingMarkdown.split(/^## History\s*$/m)[1] || '';
+    return section
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.startsWith('|'))
+      .filter(line => !/^\|\s*Time\s*\|/.test(line) && !/^\|(\s*:?-{3,}:?\s*\|)+$/.test(line));
+  }
+
+  formatHistoryRow(timestamp, entry) {
+    // Pipes and line breaks would split the row
+    const cell = value => String(value ?? '').replace(/\|/g, '/').replace(/\s*\n\s*/g, ' ').trim();
+    return `| ${timestamp} | ${cell(entry.stage)} | ${cell(entry.result)} | ${cell(entry.summary)} |`;
+  }
+}
+
+AutomationStatusComment.MARKER = MARKER;
+
+module.exports = AutomationStatusComment;
@@ -0,0 +1,105 @@
+// Clarifying questions for original issues that are too vague to analyze. The
+// questions are posted as a numbered comment and the issue is labelled as
+// awaiting clarification; when someone answers in a comment, the answers are
+// read back so the analysis can resume with them.
+//
+// Everything lives in Jira: each question comment the automation posts carries
+// MARKER, and every comment by someone else after it counts as an answer to
+// that round.
+
+const JiraMarkup = require('./jira-markup.js');
+const WebhookEventFilter = require('./webhook-event-filter.js');
+
+const MARKER = 'claude-clarification-request';
+
+class ClarificationRequests {
+  constructor(options = {}) {
+    this.jiraApi = options.jiraApi;
+    this.markup = options.markup || new JiraMarkup();
+    // Rounds of questions before the analysis has to go ahead on assumptions; 0 turns questions off
+    this.maxRounds = options.maxRounds ?? parseInt(process.env.CLARIFICATION_MAX_ROUNDS || '2', 10);
+    this.label = WebhookEventFilter.AWAITING_CLARIFICATION_LABEL;
+  }
+
+  canAsk(history) {
+    return history.rounds.length < this.maxRounds;
+  }
+
+  // `readiness`: { reason, questions } from the analysis
+  async request(issue, readiness) {
+    const reporter = issue.fields?.reporter?.displayName;
+    const questions = readiness.questions.map((question, index) => `${index + 1}. ${question}`);
+
+    await this.jiraApi.addComment(
+      issue.key,
+      this.jiraApi.formatComment(
+        'Clarification Needed',
+        `${readiness.reason || 'This work item needs more detail before delivery criteria can be written.'}
+
+${reporter ? `${reporter}, could` : 'Could'} you answer the following in a comment on this issue?
+
+${questions.join('\n')}
+
+The analysis resumes automatically once you reply; answering by number helps.`,
+        `\`${MARKER}\` *Posted by Claude Automation System*`
+      )
+    );
+    await this.setLabel(issue.key, true);
+
+    console.log(`✅ Asked ${questions.length} clarifying questions on ${issue.key}`);
+  }
+
+  // Marks the issue as no longer waiting, once the analysis has gone ahead
+  async resolve(issueKey) {
+    await this.setLabel(issueKey, false);
+  }
+
+  // Returns { rounds: [{ questions, answers: [{ author, created, body }] }] },
+  // oldest round first
+  async collect(issueKey) {
+    const rounds = [];
+
+    for (const comment of await this.jiraApi.getComments(issueKey)) {
+      const body = this.markup.toMarkdown(comment.body) || '';
+
+      if (await this.jiraApi.isAutomationComment(comment)) {
+        if (body.includes(MARKER)) {
+          rounds.push({ questions: this.parseQuestions(body), answers: [] });
+        }
+      } else if (rounds.length > 0 && body.trim()) {
+        rounds[rounds.length - 1].answers.push({
+          author: comment.author?.displayName || 'Unknown',
+          created: comment.created,
+          body: body.trim()
+        });
+      }
+    }
+
+    return { rounds };
+  }
+
+  parseQuestions(body) {
+    return body
+      .split('\n')
+      .map(line => line.match(/^\s*\d+\.\s+(.*)$/))
+      .filter(Boolean)
+      .map(match => match[1].trim());
+  }
+
+  isAwaiting(issue) {
+    return WebhookEventFilter.hasLabel(issue.fields?.labels, this.label);
+  }
+
+  async setLabel(issueKey, present) {
+    const issue = await this.jiraApi.getIssue(issueKey);
+    const labels = (issue.fields.labels || [])
+      .map(label => (typeof label === 'string' ? label : label.name))
+      .filter(label => label !== this.label);
+
+    await this.jiraApi.updateIssue(issueKey, { labels: present ? [...labels, this.label] : labels });
+  }
+}
+
+ClarificationRequests.MARKER = MARKER;
+
+module.exports = ClarificationRequests;
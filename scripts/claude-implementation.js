@@ -3,12 +3,24 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs').promises;
 const path = require('path');
+const JiraMarkup = require('./jira-markup.js');
+const { StructuredOutputClient } = require('./claude-structured-output.js');
+const ClaudeStageConfig = require('./claude-stage-config.js');
+const RequirementTraceability = require('./requirement-traceability.js');
+const IMPLEMENTATION_SCHEMA = require('../config/schemas/implementation.schema.json');
 
 class ClaudeImplementationAgent {
-  constructor() {
-    this.anthropic = new Anthropic({
+  constructor(options = {}) {
+    // A pre-built client (e.g. recorded responses for replay) can be injected
+    this.anthropic = options.anthropic || new Anthropic({
       apiKey: process.env.CLAUDE_API_KEY,
     });
+    // Reads issue descriptions whether Jira returned wiki markup or ADF
+    this.markup = options.markup || new JiraMarkup();
+    this.schema = options.implementationSchema || IMPLEMENTATION_SCHEMA;
+    this.stageConfig = options.stageConfig || new ClaudeStageConfig();
+    this.traceability = options.traceability || new RequirementTraceability();
+    this.structuredOutput = options.structuredOutput || new StructuredOutputClient({ anthropic: this.anthropic, stageConfig: this.stageConfig });
   }
 
   async generateImplementation(criteriaIssue, originalKey, requirements) {
@@ -16,27 +28,39 @@ class ClaudeImplementationAgent {
       console.log(`🚀 Generating implementation for ${originalKey} with Claude...`);
       
       const implementationPrompt = this.buildImplementationPrompt(criteriaIssue, originalKey, requirements);
-      const response = await this.anthropic.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 8000,
-        temperature: 0.1,
+      const requirementList = this.traceability.assignIds(requirements);
+      // Resolved once so the recorded settings are the ones every call used
+      const claudeSettings = {
+        implementation: this.stageConfig.get('implementation'),
+        tests: this.stageConfig.get('tests'),
+        documentation: this.stageConfig.get('documentation')
+      };
+      // Throws when Claude's reply can't be repaired - there is no fallback implementation
+      const { input: implementation } = await this.structuredOutput.request({
+        label: `Implementation for ${originalKey}`,
+        settings: claudeSettings.implementation,
         messages: [{
           role: 'user',
           content: implementationPrompt
-        }]
+        }],
+        tool: {
+          name: 'record_implementation',
+          description: 'Record the implementation that satisfies the approved delivery criteria.',
+          schema: this.schema
+        },
+        extraErrors: input => this.checkAddressedRequirements(input, requirementList)
       });
-
-      // Parse implementation - this now throws on failure instead of falling back
-      const implementation = this.parseImplementationResponse(response.content[0].text);
+      console.log(`DEBUG: Implementation type: ${implementation.type}, title: ${implementation.title}, primary deliverable: ${implementation.primaryDeliverable.length} characters`);
       
       // Generate tests and documentation based on implementation type
-      const tests = await this.generateTests(criteriaIssue, originalKey, implementation);
-      const documentation = await this.generateDocumentation(criteriaIssue, originalKey, implementation);
+      const tests = await this.generateTests(criteriaIssue, originalKey, implementation, claudeSettings.tests);
+      const documentation = await this.generateDocumentation(criteriaIssue, originalKey, implementation, claudeSettings.documentation);
       
       console.log(`✅ Implementation generated for ${originalKey}`);
       return {
         sourceCode: implementation.type === 'code' ? implementation.primaryDeliverable : null,
         implementation: implementation,
+        requirements: requirementList,
         tests: tests,
         documentation: documentation,
         validationResults: await this.validateImplementation(implementation, tests),
@@ -44,7 +68,7 @@ class ClaudeImplementationAgent {
           generatedAt: new Date().toISOString(),
           originalIssue: originalKey,
           criteriaIssue: criteriaIssue.key,
-          claudeModel: 'claude-3-5-sonnet-20241022',
+          claudeSettings,
           implementationType: implementation.type
         }
       };
@@ -61,7 +85,7 @@ class ClaudeImplementationAgent {
 **Original Issue:** ${originalKey}
 **Criteria Issue:** ${criteriaIssue.key}
 **Summary:** ${criteriaIssue.fields.summary}
-**Description:** ${criteriaIssue.fields.description || 'No description provided'}
+**Description:** ${this.markup.toMarkdown(criteriaIssue.fields.description) || 'No description provided'}
 
 **Requirements Analysis:**
 ${JSON.stringify(requirements, null, 2)}
@@ -70,7 +94,7 @@ ${JSON.stringify(requirements, null, 2)}
 Generate a complete, production-ready implementation that satisfies all the delivery criteria. This could be code, documentation, analysis, process design, or other deliverables depending on the requirements.
 
 **Response Format:**
-Provide your implementation in this JSON structure:
+Record your implementation by calling the record_implementation tool with this structure:
 
 {
   "type": "code|documentation|analysis|process|other",
@@ -89,9 +113,16 @@ Provide your implementation in this JSON structure:
     "option2": "description"  
   },
   "validationCriteria": ["how to verify this works", "acceptance test 1"],
-  "performanceConsiderations": ["consideration 1", "consideration 2"]
+  "performanceConsiderations": ["consideration 1", "consideration 2"],
+  "addressedRequirements": {
+    "primaryDeliverable": ["FR-1", "AC-1"],
+    "filename1.ext": ["TR-1"]
+  }
 }
 
+**Requirement Traceability:**
+Each requirement above starts with its ID (FR-1, TR-2, AC-3, DoD-1). In addressedRequirements, list for the primary deliverable (key "primaryDeliverable") and each supporting file the IDs that file addresses. Use only IDs from the requirements above.
+
 **Guidelines for Different Types:**
 - **Code**: Provide clean, maintainable, well-documented source code
 - **Documentation**: Create comprehensive guides, specifications, or reports  
@@ -104,12 +135,24 @@ Provide your implementation in this JSON structure:
 - Include proper error handling (for code) or risk mitigation (for other types)
 - Add detailed explanations for complex logic or decisions
 - Consider maintenance and scalability
-- Make it actionable and practical
+- Make it actionable and practical`;
+  }
 
-Respond with valid JSON only.`;
+  // Every ID must be a known requirement and every key a file of this implementation
+  checkAddressedRequirements(implementation, requirementList) {
+    const files = ['primaryDeliverable', ...Object.keys(implementation.supportingFiles || {})];
+    const errors = Object.keys(implementation.addressedRequirements || {})
+      .filter(file => !files.includes(file))
+      .map(file => ({ path: `/addressedRequirements/${file}`, message: `is not a file of this implementation (expected one of ${files.join(', ')})` }));
+
+    return errors.concat(this.traceability.checkReferences(
+      implementation.addressedRequirements,
+      this.traceability.ids(requirementList),
+      '/addressedRequirements'
+    ));
   }
 
-  async generateTests(criteriaIssue, originalKey, implementation) {
+  async generateTests(criteriaIssue, originalKey, implementation, settings = this.stageConfig.get('tests')) {
     try {
       // Generate appropriate validation based on implementation type
       let testPrompt;
@@ -132,14 +175,12 @@ Respond with valid JSON only.`;
       }
 
       const response = await this.anthropic.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 4000,
-        temperature: 0.1,
+        ...this.stageConfig.toRequestParams(settings),
         messages: [{
           role: 'user',
           content: testPrompt
         }]
-      });
+      }, this.stageConfig.toRequestOptions(settings));
 
       return {
         type: implementation.type,
@@ -252,7 +293,7 @@ Respond with a structured validation approach.`;
     return validationTypes[implementationType] || 'Manual Review';
   }
 
-  async generateDocumentation(criteriaIssue, originalKey, implementation) {
+  async generateDocumentation(criteriaIssue, originalKey, implementation, settings = this.stageConfig.get('documentation')) {
     try {
       let docPrompt;
       
@@ -291,14 +332,12 @@ Respond with the complete markdown documentation.`;
       }
 
       const response = await this.anthropic.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 3000,
-        temperature: 0.1,
+        ...this.stageConfig.toRequestParams(settings),
         messages: [{
           role: 'user',
           content: docPrompt
         }]
-      });
+      }, this.stageConfig.toRequestOptions(settings));
 
       return response.content[0].text;
 
@@ -308,57 +347,6 @@ Respond with the complete markdown documentation.`;
     }
   }
 
-  parseImplementationResponse(claudeResponse) {
-    console.log('DEBUG: Parsing Claude implementation response...');
-    console.log('DEBUG: Response length:', claudeResponse.length);
-    console.log('DEBUG: Response preview:', claudeResponse.substring(0, 200));
-    
-    try {
-      const jsonMatch = claudeResponse.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        console.error('ERROR: No valid JSON found in Claude response');
-        throw new Error('Claude response does not contain valid JSON structure');
-      }
-      
-      const parsedImpl = JSON.parse(jsonMatch[0]);
-      console.log('DEBUG: Parsed implementation keys:', Object.keys(parsedImpl));
-      
-      // Validate required fields
-      if (!parsedImpl.type) {
-        throw new Error('Implementation missing required field: type');
-      }
-      
-      if (!parsedImpl.primaryDeliverable) {
-        throw new Error('Implementation missing required field: primaryDeliverable');
-      }
-      
-      if (!parsedImpl.title) {
-        throw new Error('Implementation missing required field: title');
-      }
-      
-      // Validate implementation type
-      const validTypes = ['code', 'documentation', 'analysis', 'process', 'other'];
-      if (!validTypes.includes(parsedImpl.type)) {
-        throw new Error(`Invalid implementation type: ${parsedImpl.type}. Must be one of: ${validTypes.join(', ')}`);
-      }
-      
-      console.log('DEBUG: Implementation successfully parsed');
-      console.log('DEBUG: Type:', parsedImpl.type);
-      console.log('DEBUG: Title:', parsedImpl.title);
-      console.log('DEBUG: Primary deliverable length:', parsedImpl.primaryDeliverable.length);
-      
-      return parsedImpl;
-      
-    } catch (parseError) {
-      console.error('ERROR: Failed to parse Claude implementation response');
-      console.error('Parse error:', parseError.message);
-      console.error('Raw response excerpt:', claudeResponse.substring(0, 500));
-      
-      // Don't fall back - throw the error to be handled upstream
-      throw new Error(`Failed to parse Claude implementation response: ${parseError.message}`);
-    }
-  }
-
   async validateImplementation(implementation, tests) {
     try {
       console.log('DEBUG: Validating implementation...');
@@ -1,59 +1,204 @@
 // Claude-powered requirements analysis for Jira work items
 
 const { Anthropic } = require('@anthropic-ai/sdk');
+const JiraMarkup = require('./jira-markup.js');
+const { StructuredOutputClient } = require('./claude-structured-output.js');
+const ClaudeStageConfig = require('./claude-stage-config.js');
+const RequirementTraceability = require('./requirement-traceability.js');
+const ANALYSIS_SCHEMA = require('../config/schemas/requirements-analysis.schema.json');
 
 class ClaudeRequirementsAnalyzer {
-  constructor() {
-    this.anthropic = new Anthropic({
+  constructor(options = {}) {
+    // A pre-built client (e.g. recorded responses for replay) can be injected
+    this.anthropic = options.anthropic || new Anthropic({
       apiKey: process.env.CLAUDE_API_KEY,
     });
+    // Reads issue descriptions whether Jira returned wiki markup or ADF
+    this.markup = options.markup || new JiraMarkup();
+    // Work estimated above this many story points is broken down into sub-tasks
+    this.breakdownMinStoryPoints = options.breakdownMinStoryPoints ?? parseInt(process.env.WORK_BREAKDOWN_MIN_STORY_POINTS || '5', 10);
+    this.schema = options.analysisSchema || ANALYSIS_SCHEMA;
+    this.stageConfig = options.stageConfig || new ClaudeStageConfig();
+    this.traceability = options.traceability || new RequirementTraceability();
+    this.structuredOutput = options.structuredOutput || new StructuredOutputClient({ anthropic: this.anthropic, stageConfig: this.stageConfig });
   }
 
-  async analyzeRequirements(jiraIssue) {
+  // `attachmentContext` comes from AttachmentContextBuilder.build(), `issueContext`
+  // from IssueContextBuilder.build(). `clarification` is { rounds, allowQuestions }:
+  // earlier questions and answers (ClarificationRequests.collect()) and whether
+  // Claude may still ask instead of analyzing.
+  async analyzeRequirements(jiraIssue, attachmentContext = null, issueContext = null, clarification = null) {
     try {
       console.log(`🔍 Analyzing requirements for ${jiraIssue.key} with Claude...`);
       
-      const analysisPrompt = this.buildAnalysisPrompt(jiraIssue);
-      const response = await this.anthropic.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 4000,
-        temperature: 0.1,
+      const analysisPrompt = this.buildAnalysisPrompt(jiraIssue, attachmentContext, issueContext, clarification);
+      const allowQuestions = clarification?.allowQuestions !== false;
+      const claudeSettings = this.stageConfig.get('analysis');
+      // Never falls back to made-up criteria: a reply that can't be repaired throws
+      const { input: analysis } = await this.structuredOutput.request({
+        label: `Requirements analysis for ${jiraIssue.key}`,
+        settings: claudeSettings,
         messages: [{
           role: 'user',
-          content: analysisPrompt
-        }]
+          content: this.buildMessageContent(analysisPrompt, attachmentContext)
+        }],
+        tool: {
+          name: 'record_requirements_analysis',
+          description: 'Record the requirements analysis (or, when allowed, the clarifying questions) for the Jira issue.',
+          schema: this.schema
+        },
+        extraErrors: input => this.checkReadiness(input, allowQuestions)
       });
+      const responseText = JSON.stringify(analysis, null, 2);
 
-      const analysis = this.parseAnalysisResponse(response.content[0].text);
+      const readiness = this.normalizeReadiness(analysis);
+      if (!readiness.ready) {
+        console.log(`✅ ${jiraIssue.key} needs clarification: ${readiness.questions.length} questions`);
+        return { readiness, claudeSettings, rawAnalysis: responseText };
+      }
       
       console.log(`✅ Requirements analysis complete for ${jiraIssue.key}`);
       return {
-        deliveryCriteria: analysis.deliveryCriteria,
+        readiness,
+        // Requirements carry their IDs (FR-1: ...) from here on
+        deliveryCriteria: this.traceability.withIds(analysis.deliveryCriteria),
+        requirements: this.traceability.assignIds(analysis.deliveryCriteria),
         validationTests: analysis.validationTests,
         technicalApproach: analysis.technicalApproach,
         estimatedEffort: analysis.estimatedEffort,
-        rawAnalysis: response.content[0].text
+        jiraMetadata: analysis.jiraMetadata || {},
+        workBreakdown: this.normalizeWorkBreakdown(analysis),
+        claudeSettings,
+        rawAnalysis: responseText
       };
 
     } catch (error) {
       console.error('Claude requirements analysis failed:', error);
-      throw new Error(`Requirements analysis failed: ${error.message}`);
+      throw new Error(`Requirements analysis failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  // Images are sent as image blocks after the prompt text
+  buildMessageContent(prompt, attachmentContext) {
+    if (!attachmentContext || attachmentContext.images.length === 0) {
+      return prompt;
+    }
+
+    return [
+      { type: 'text', text: prompt },
+      ...attachmentContext.images.map(image => ({
+        type: 'image',
+        source: { type: 'base64', media_type: image.mediaType, data: image.data }
+      }))
+    ];
+  }
+
+  buildAttachmentSection(attachmentContext) {
+    if (!attachmentContext || attachmentContext.considered.length === 0) {
+      return '';
     }
+
+    const texts = attachmentContext.texts.map(file => {
+      const notice = file.truncated
+        ? `\n[Truncated: showing the first ${file.shownBytes} of ${file.totalBytes} bytes]`
+        : '';
+      return `--- ${file.filename} (${file.mimeType}) ---\n${file.text}${notice}`;
+    });
+    const images = attachmentContext.images.map(image => `• ${image.filename} (attached below as an image)`);
+    const skipped = attachmentContext.considered
+      .filter(entry => entry.usage === 'skipped')
+      .map(entry => `• ${entry.filename} - not included (${entry.note})`);
+
+    return `
+**Attachments:**
+${[...texts, ...images, ...skipped].join('\n\n')}
+`;
   }
 
-  buildAnalysisPrompt(jiraIssue) {
+  buildIssueContextSection(issueContext) {
+    if (!issueContext || issueContext.considered.length === 0) {
+      return '';
+    }
+
+    const sources = issueContext.sources.map(source => {
+      const notice = source.truncated
+        ? `\n[Truncated: showing the ${source.keepEnd ? 'last' : 'first'} ${source.text.length} of ${source.totalChars} characters]`
+        : '';
+      return `--- ${source.label} ---\n${source.text}${notice}`;
+    });
+    const skipped = issueContext.considered
+      .filter(entry => entry.usage === 'skipped')
+      .map(entry => `• ${entry.label} - not included (${entry.note})`);
+
+    return `
+**Related Context:**
+The parent, linked issues and discussion below often hold requirements and decisions that are not in the description. Reflect them in the criteria; where a comment changes or overrides the description, follow the later decision.
+
+${[...sources, ...skipped].join('\n\n')}
+`;
+  }
+
+  buildClarificationSection(clarification) {
+    const rounds = (clarification?.rounds || []).filter(round => round.questions.length > 0);
+    if (rounds.length === 0) {
+      return '';
+    }
+
+    const formatted = rounds.map((round, index) => {
+      const questions = round.questions.map((question, number) => `Q${number + 1}. ${question}`);
+      const answers = round.answers.length > 0
+        ? round.answers.map(answer => `--- ${answer.author} (${(answer.created || '').substring(0, 10) || 'undated'}) ---\n${answer.body}`)
+        : ['(no answers)'];
+      return `Round ${index + 1}:\n${questions.join('\n')}\n\nAnswers:\n${answers.join('\n\n')}`;
+    });
+
+    return `
+**Clarifications:**
+Questions asked about this work item and the answers given in comments. The answers are part of the requirements.
+
+${formatted.join('\n\n')}
+`;
+  }
+
+  // Claude either confirms the work item is ready or, when still allowed, asks
+  // questions instead of inventing criteria
+  buildReadinessSection(clarification) {
+    if (clarification && !clarification.allowQuestions) {
+      return `
+**Readiness:**
+Do not ask clarifying questions. Where the work item or the answers leave gaps, make reasonable assumptions and list them in estimatedEffort.assumptions. Include "readiness": { "ready": true } in the tool input.
+`;
+    }
+
+    return `
+**Readiness Check:**
+First decide whether this work item says enough to write specific, testable delivery criteria without inventing the requirements. If it does not (for example "make the thing better"), skip the analysis and call the tool with only:
+
+{
+  "readiness": {
+    "ready": false,
+    "reason": "What is missing, in one or two sentences",
+    "questions": ["Specific question 1", "Specific question 2"]
+  }
+}
+
+Ask at most 5 questions, each answerable in a sentence or two. If the work item is clear enough, continue with the task below and include "readiness": { "ready": true } in the tool input.
+`;
+  }
+
+  buildAnalysisPrompt(jiraIssue, attachmentContext = null, issueContext = null, clarification = null) {
     return `You are a senior software analyst tasked with analyzing a Jira work item and creating comprehensive delivery criteria.
 
 **Jira Issue Details:**
 - Key: ${jiraIssue.key}
 - Type: ${jiraIssue.fields.issuetype.name}
 - Summary: ${jiraIssue.fields.summary}
-- Description: ${jiraIssue.fields.description || 'No description provided'}
+- Description: ${this.markup.toMarkdown(jiraIssue.fields.description) || 'No description provided'}
 - Priority: ${jiraIssue.fields.priority?.name || 'Not specified'}
 - Project: ${jiraIssue.fields.project.name}
-
+${this.buildIssueContextSection(issueContext)}${this.buildAttachmentSection(attachmentContext)}${this.buildClarificationSection(clarification)}${this.buildReadinessSection(clarification)}
 **Your Task:**
-Analyze this work item and provide a comprehensive analysis in the following JSON format:
+Analyze this work item and provide a comprehensive analysis with the following structure:
 
 {
   "deliveryCriteria": {
@@ -82,7 +227,20 @@ Analyze this work item and provide a comprehensive analysis in the following JSO
     "complexity": "Medium",
     "confidence": "High",
     "assumptions": ["assumption 1", "assumption 2"]
-  }
+  },
+  "jiraMetadata": {
+    "priority": "Highest | High | Medium | Low | Lowest",
+    "components": ["Jira component name 1"]
+  },
+  "workBreakdown": [
+    {
+      "title": "Short title of an independently deliverable piece of work",
+      "description": "What this piece covers",
+      "storyPoints": 3,
+      "functionalRequirements": ["requirement 1"],
+      "acceptanceCriteria": ["criteria 1", "criteria 2"]
+    }
+  ]
 }
 
 **Guidelines:**
@@ -90,65 +248,49 @@ Analyze this work item and provide a comprehensive analysis in the following JSO
 - Consider edge cases and error scenarios
 - Include performance and security considerations
 - Provide realistic effort estimates
+- Suggest a priority and the Jira components the work belongs to (leave components empty if unsure)
 - Focus on testable acceptance criteria
+- Write each requirement as one self-contained statement without numbering; IDs (FR-1, TR-1, AC-1, DoD-1) are added afterwards
+- Treat attached specs, samples and screenshots as part of the requirements
+- If the work is larger than ${this.breakdownMinStoryPoints} story points, split it into 2-6 workBreakdown items that can each be implemented and tested on their own, each with its own acceptance criteria; otherwise return an empty workBreakdown
 
-Respond with valid JSON only.`;
+Record the result by calling the record_requirements_analysis tool.`;
   }
 
-  parseAnalysisResponse(claudeResponse) {
-    try {
-      // Extract JSON from Claude's response
-      const jsonMatch = claudeResponse.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No valid JSON found in Claude response');
-      }
-      
-      const parsedAnalysis = JSON.parse(jsonMatch[0]);
-      
-      // Validate required structure
-      if (!parsedAnalysis.deliveryCriteria || !parsedAnalysis.validationTests) {
-        throw new Error('Missing required analysis sections');
-      }
-      
-      return parsedAnalysis;
-      
-    } catch (error) {
-      console.error('Failed to parse Claude analysis:', error);
-      // Return fallback structure
-      return this.getFallbackAnalysis();
+  // The schema guarantees a reason and questions whenever ready is false
+  normalizeReadiness(analysis) {
+    const readiness = analysis.readiness || {};
+    if (readiness.ready !== false) {
+      return { ready: true, reason: null, questions: [] };
     }
+    return { ready: false, reason: readiness.reason, questions: readiness.questions.map(question => question.trim()) };
   }
 
-  getFallbackAnalysis() {
-    return {
-      deliveryCriteria: {
-        functionalRequirements: ['Core functionality implemented as described'],
-        technicalRequirements: ['Code follows project standards'],
-        qualityRequirements: ['Unit tests with >80% coverage'],
-        acceptanceCriteria: ['All functional requirements met'],
-        definitionOfDone: ['Code reviewed and deployed']
-      },
-      validationTests: {
-        unitTests: ['Test core functionality'],
-        integrationTests: ['Test system integration'],
-        edgeCases: ['Test error handling'],
-        performanceTests: ['Validate performance requirements']
-      },
-      technicalApproach: {
-        architecture: 'Standard implementation approach',
-        components: ['Main component'],
-        dependencies: ['Standard project dependencies'],
-        risks: ['Implementation complexity'],
-        mitigations: ['Thorough testing and code review']
-      },
-      estimatedEffort: {
-        storyPoints: 5,
-        hours: 16,
-        complexity: 'Medium',
-        confidence: 'Medium',
-        assumptions: ['Requirements are clear and complete']
-      }
-    };
+  // Breakdown items only count for work above the threshold, and only when
+  // there is more than one of them
+  normalizeWorkBreakdown(analysis) {
+    const items = Array.isArray(analysis.workBreakdown) ? analysis.workBreakdown : [];
+    if (!(Number(analysis.estimatedEffort?.storyPoints) > this.breakdownMinStoryPoints) || items.length < 2) {
+      return [];
+    }
+
+    return items
+      .filter(item => item && item.title)
+      .map(item => ({
+        title: String(item.title),
+        description: item.description || '',
+        storyPoints: item.storyPoints ?? null,
+        functionalRequirements: Array.isArray(item.functionalRequirements) ? item.functionalRequirements : [],
+        acceptanceCriteria: Array.isArray(item.acceptanceCriteria) ? item.acceptanceCriteria : []
+      }));
+  }
+
+  // Questions are only allowed while clarification rounds remain
+  checkReadiness(analysis, allowQuestions) {
+    if (!allowQuestions && analysis.readiness?.ready === false) {
+      return [{ path: '/readiness/ready', message: 'must be true: no more clarifying questions can be asked, so return the full analysis with your assumptions' }];
+    }
+    return [];
   }
 }
 
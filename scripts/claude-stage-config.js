@@ -0,0 +1,100 @@
+// Claude request settings per pipeline stage: model, max tokens, temperature,
+// system prompt and timeout.
+//
+// Settings come from the CLAUDE_STAGE_CONFIG environment variable (JSON) or
+// config/claude-stages.json: `defaults` apply to every stage and `stages.<name>`
+// overrides them. Environment variables override the file, the stage-specific
+// ones (CLAUDE_ANALYSIS_MODEL) winning over the global ones (CLAUDE_MODEL).
+
+const STAGES = ['analysis', 'implementation', 'tests', 'documentation', 'evaluation'];
+
+// Setting name -> environment variable suffix and parser
+const SETTINGS = {
+  model: { env: 'MODEL', parse: value => value },
+  maxTokens: { env: 'MAX_TOKENS', parse: value => parseInt(value, 10) },
+  temperature: { env: 'TEMPERATURE', parse: value => parseFloat(value) },
+  systemPrompt: { env: 'SYSTEM_PROMPT', parse: value => value },
+  timeoutMs: { env: 'TIMEOUT_MS', parse: value => parseInt(value, 10) }
+};
+
+class ClaudeStageConfig {
+  constructor(options = {}) {
+    this.config = options.config || this.loadConfig();
+    this.env = options.env || process.env;
+  }
+
+  loadConfig() {
+    if (process.env.CLAUDE_STAGE_CONFIG) {
+      try {
+        return JSON.parse(process.env.CLAUDE_STAGE_CONFIG);
+      } catch (error) {
+        throw new Error(`Invalid CLAUDE_STAGE_CONFIG JSON: ${error.message}`);
+      }
+    }
+
+    // Static require so the Netlify bundler includes the file
+    return require('../config/claude-stages.json');
+  }
+
+  // Returns the effective { stage, model, maxTokens, temperature, systemPrompt, timeoutMs }
+  get(stage) {
+    if (!STAGES.includes(stage)) {
+      throw new Error(`Unknown Claude stage: ${stage} (expected one of ${STAGES.join(', ')})`);
+    }
+
+    const settings = { stage, ...(this.config.defaults || {}), ...(this.config.stages?.[stage] || {}) };
+
+    for (const [name, { env, parse }] of Object.entries(SETTINGS)) {
+      for (const variable of [`CLAUDE_${env}`, `CLAUDE_${stage.toUpperCase()}_${env}`]) {
+        if (this.env[variable] !== undefined && this.env[variable] !== '') {
+          settings[name] = parse(this.env[variable]);
+          if (typeof settings[name] === 'number' && !Number.isFinite(settings[name])) {
+            throw new Error(`Invalid ${variable}: ${this.env[variable]}`);
+          }
+        }
+      }
+    }
+
+    // Numbers from the config file aren't parsed, so check them here too
+    for (const name of ['maxTokens', 'temperature', 'timeoutMs']) {
+      if (settings[name] !== undefined && settings[name] !== null && !Number.isFinite(settings[name])) {
+        throw new Error(`Invalid ${name} for the ${stage} stage: ${JSON.stringify(settings[name])}`);
+      }
+    }
+
+    if (!settings.model) {
+      throw new Error(`No Claude model configured for the ${stage} stage`);
+    }
+    if (!(settings.maxTokens > 0)) {
+      throw new Error(`No max tokens configured for the ${stage} stage`);
+    }
+
+    return {
+      stage,
+      model: settings.model,
+      maxTokens: settings.maxTokens,
+      temperature: settings.temperature ?? null,
+      systemPrompt: settings.systemPrompt || null,
+      timeoutMs: settings.timeoutMs ?? null
+    };
+  }
+
+  // Body fields for anthropic.messages.create()
+  toRequestParams(settings) {
+    return {
+      model: settings.model,
+      max_tokens: settings.maxTokens,
+      ...(settings.temperature !== null && { temperature: settings.temperature }),
+      ...(settings.systemPrompt && { system: settings.systemPrompt })
+    };
+  }
+
+  // Per-request options (second argument of anthropic.messages.create())
+  toRequestOptions(settings) {
+    return settings.timeoutMs ? { timeout: settings.timeoutMs } : {};
+  }
+}
+
+ClaudeStageConfig.STAGES = STAGES;
+
+module.exports = ClaudeStageConfig;
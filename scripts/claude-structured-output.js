@@ -0,0 +1,112 @@
+// Structured replies from Claude via tool use. Each agent declares its output as
+// the input schema of a single tool and forces Claude to call it, so the result
+// arrives as parsed JSON in a `tool_use` block instead of being fished out of
+// free text.
+//
+// Replies are handled the same way for every agent: a reply cut off at
+// max_tokens fails straight away (asking again would be cut off too), while a
+// missing tool call or an input that doesn't match the schema is sent back to
+// Claude with the problem, up to maxAttempts calls in total.
+
+const { JsonSchemaValidator } = require('./json-schema.js');
+const ClaudeStageConfig = require('./claude-stage-config.js');
+
+class StructuredOutputError extends Error {
+  constructor(message, errors = [], reason = 'schema_mismatch') {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+    // 'max_tokens', 'missing_tool_call' or 'schema_mismatch'
+    this.reason = reason;
+  }
+}
+
+// Annotations that describe the schema file rather than the tool input
+const SCHEMA_FILE_KEYWORDS = ['$schema', '$id', 'title'];
+
+class StructuredOutputClient {
+  constructor(options = {}) {
+    this.anthropic = options.anthropic;
+    this.validator = options.validator || new JsonSchemaValidator();
+    this.stageConfig = options.stageConfig || new ClaudeStageConfig();
+    this.maxAttempts = options.maxAttempts ?? parseInt(process.env.CLAUDE_OUTPUT_MAX_ATTEMPTS || '3', 10);
+  }
+
+  // `settings` come from ClaudeStageConfig.get(). `tool` is { name, description,
+  // schema }. `extraErrors(input)` can add checks the schema can't express; it
+  // returns more { path, message } errors. Returns { input, response, attempts }.
+  async request({ label, settings, messages, tool, extraErrors }) {
+    const conversation = [...messages];
+
+    for (let attempt = 1; ; attempt++) {
+      const response = await this.anthropic.messages.create({
+        ...this.stageConfig.toRequestParams(settings),
+        tools: [this.buildToolDefinition(tool)],
+        tool_choice: { type: 'tool', name: tool.name },
+        messages: conversation
+      }, this.stageConfig.toRequestOptions(settings));
+
+      if (response.stop_reason === 'max_tokens') {
+        throw new StructuredOutputError(
+          `${label} was cut off at the ${settings.maxTokens} token limit before Claude finished the ${tool.name} call`,
+          [],
+          'max_tokens'
+        );
+      }
+
+      const toolUse = (response.content || []).find(block => block.type === 'tool_use' && block.name === tool.name);
+      let errors;
+      let repair;
+
+      if (!toolUse) {
+        errors = [{ path: '', message: `no ${tool.name} tool call in the response` }];
+        repair = { role: 'user', content: `Your previous response did not call the ${tool.name} tool. Call ${tool.name} with the complete result.` };
+      } else {
+        errors = [
+          ...this.validator.validate(tool.schema, toolUse.input),
+          ...(extraErrors ? extraErrors(toolUse.input) : [])
+        ];
+        if (errors.length === 0) {
+          return { input: toolUse.input, response, attempts: attempt };
+        }
+        repair = {
+          role: 'user',
+          content: [{
+            type: 'tool_result',
+            tool_use_id: toolUse.id,
+            is_error: true,
+            content: this.buildRepairMessage(tool, errors)
+          }]
+        };
+      }
+
+      console.log(`DEBUG: ${label} attempt ${attempt}/${this.maxAttempts} did not match the ${tool.name} schema:\n${this.validator.formatErrors(errors)}`);
+      if (attempt >= this.maxAttempts) {
+        const summary = errors.map(error => `${error.path || '(root)'} ${error.message}`).join('; ');
+        throw new StructuredOutputError(
+          `${label} did not match the ${tool.name} schema after ${attempt} attempt(s): ${summary}`,
+          errors,
+          toolUse ? 'schema_mismatch' : 'missing_tool_call'
+        );
+      }
+
+      conversation.push({ role: 'assistant', content: response.content }, repair);
+    }
+  }
+
+  buildToolDefinition(tool) {
+    const inputSchema = { ...tool.schema };
+    SCHEMA_FILE_KEYWORDS.forEach(keyword => delete inputSchema[keyword]);
+    return { name: tool.name, description: tool.description, input_schema: inputSchema };
+  }
+
+  buildRepairMessage(tool, errors) {
+    return `The ${tool.name} input did not match the required schema:
+
+${this.validator.formatErrors(errors)}
+
+Call ${tool.name} again with the complete corrected input (all fields, not only the fixed ones).`;
+  }
+}
+
+module.exports = { StructuredOutputClient, StructuredOutputError };
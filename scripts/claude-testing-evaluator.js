@@ -3,35 +3,56 @@
 const { Anthropic } = require('@anthropic-ai/sdk');
 const fs = require('fs').promises;
 const path = require('path');
+const JiraMarkup = require('./jira-markup.js');
+const { StructuredOutputClient } = require('./claude-structured-output.js');
+const ClaudeStageConfig = require('./claude-stage-config.js');
+const RequirementTraceability = require('./requirement-traceability.js');
+const EVALUATION_SCHEMA = require('../config/schemas/evaluation.schema.json');
 
 class ClaudeTestingEvaluator {
-  constructor() {
-    this.anthropic = new Anthropic({
+  constructor(options = {}) {
+    // A pre-built client (e.g. recorded responses for replay) can be injected
+    this.anthropic = options.anthropic || new Anthropic({
       apiKey: process.env.CLAUDE_API_KEY,
     });
+    // Reads issue descriptions whether Jira returned wiki markup or ADF
+    this.markup = options.markup || new JiraMarkup();
+    this.schema = options.evaluationSchema || EVALUATION_SCHEMA;
+    this.stageConfig = options.stageConfig || new ClaudeStageConfig();
+    this.traceability = options.traceability || new RequirementTraceability();
+    this.structuredOutput = options.structuredOutput || new StructuredOutputClient({ anthropic: this.anthropic, stageConfig: this.stageConfig });
   }
 
-  async evaluateImplementation(criteriaIssue, originalKey, implementationResult) {
+  // `workItemPath` is the artifact directory under work-items/ (differs from the
+  // original key for work breakdown sub-tasks)
+  async evaluateImplementation(criteriaIssue, originalKey, implementationResult, workItemPath = originalKey) {
     try {
       console.log(`🔍 Evaluating implementation for ${originalKey} against deliverable criteria...`);
       
       // Load the implementation artifacts from filesystem
-      const implementationArtifacts = await this.loadImplementationArtifacts(originalKey);
+      const implementationArtifacts = await this.loadImplementationArtifacts(workItemPath);
       
       // Extract criteria from the criteria issue
       const deliveryCriteria = this.extractDeliveryCriteria(criteriaIssue);
       
       // Perform Claude-powered evaluation
+      const claudeSettings = this.stageConfig.get('evaluation');
       const evaluation = await this.performClaudeEvaluation(
         originalKey,
         criteriaIssue,
         implementationResult,
         implementationArtifacts,
-        deliveryCriteria
+        deliveryCriteria,
+        claudeSettings
       );
       
       // Calculate final scoring
       const finalScore = this.calculateFinalScore(evaluation);
+      const traceability = this.traceability.buildMatrix(
+        this.traceability.assignIds(deliveryCriteria),
+        evaluation.requirementVerdicts,
+        this.getFileRequirements(implementationArtifacts)
+      );
       
       console.log(`✅ Evaluation complete for ${originalKey}`);
       console.log(`DEBUG: Final score: ${finalScore.overallScore}/100`);
@@ -45,6 +66,8 @@ class ClaudeTestingEvaluator {
         evaluation: evaluation,
         finalScore: finalScore,
         recommendation: this.generateRecommendation(finalScore, evaluation),
+        traceability,
+        claudeSettings,
         evaluatedAt: new Date().toISOString()
       };
 
@@ -54,11 +77,11 @@ class ClaudeTestingEvaluator {
     }
   }
 
-  async loadImplementationArtifacts(originalKey) {
+  async loadImplementationArtifacts(workItemPath) {
     try {
-      console.log(`DEBUG: Loading implementation artifacts for ${originalKey}`);
+      console.log(`DEBUG: Loading implementation artifacts for ${workItemPath}`);
       
-      const implementationDir = path.join(process.cwd(), 'work-items', originalKey, 'implementation');
+      const implementationDir = path.join(process.cwd(), 'work-items', workItemPath, 'implementation');
       const files = await fs.readdir(implementationDir);
       
       console.log(`DEBUG: Found ${files.length} artifact files`);
@@ -79,17 +102,32 @@ class ClaudeTestingEvaluator {
     }
   }
 
+  // { file: [ids] } from the implementation's traceability.json; empty for
+  // implementations generated before it existed
+  getFileRequirements(artifacts) {
+    if (!artifacts['traceability.json']) {
+      return {};
+    }
+    try {
+      return JSON.parse(artifacts['traceability.json']).files || {};
+    } catch (error) {
+      console.error(`DEBUG: Could not read traceability.json: ${error.message}`);
+      return {};
+    }
+  }
+
   extractDeliveryCriteria(criteriaIssue) {
-    const description = criteriaIssue.fields.description || '';
+    const description = this.markup.toMarkdown(criteriaIssue.fields.description);
     
-    return {
+    // Criteria issues from before requirement IDs get them by position
+    return this.traceability.withIds({
       functionalRequirements: this.extractSection(description, 'Functional Requirements'),
       technicalRequirements: this.extractSection(description, 'Technical Requirements'),
       acceptanceCriteria: this.extractSection(description, 'Acceptance Criteria'),
       validationTests: this.extractSection(description, 'Validation Tests'),
       definitionOfDone: this.extractSection(description, 'Definition of Done'),
       estimatedEffort: this.extractEffortDetails(description)
-    };
+    });
   }
 
   extractSection(text, sectionName) {
@@ -116,7 +154,7 @@ class ClaudeTestingEvaluator {
     };
   }
 
-  async performClaudeEvaluation(originalKey, criteriaIssue, implementationResult, artifacts, criteria) {
+  async performClaudeEvaluation(originalKey, criteriaIssue, implementationResult, artifacts, criteria, claudeSettings = this.stageConfig.get('evaluation')) {
     console.log(`DEBUG: Starting Claude evaluation for ${originalKey}`);
     
     const evaluationPrompt = this.buildEvaluationPrompt(
@@ -129,18 +167,27 @@ class ClaudeTestingEvaluator {
     
     console.log(`DEBUG: Evaluation prompt length: ${evaluationPrompt.length} chars`);
     
-    const response = await this.anthropic.messages.create({
-      model: 'claude-3-5-sonnet-20241022',
-      max_tokens: 6000,
-      temperature: 0.1,
+    const { input: evaluation } = await this.structuredOutput.request({
+      label: `Evaluation of ${originalKey}`,
+      settings: claudeSettings,
       messages: [{
         role: 'user',
         content: evaluationPrompt
-      }]
+      }],
+      tool: {
+        name: 'record_evaluation',
+        description: 'Record the scored evaluation of the implementation against its deliverable criteria.',
+        schema: this.schema
+      },
+      extraErrors: input => this.traceability.checkVerdicts(
+        input.requirementVerdicts,
+        this.traceability.ids(this.traceability.assignIds(criteria)),
+        '/requirementVerdicts'
+      )
     });
 
-    console.log(`DEBUG: Claude evaluation response received`);
-    return this.parseEvaluationResponse(response.content[0].text);
+    console.log(`DEBUG: Claude evaluation received with ${evaluation.errors.length} errors`);
+    return evaluation;
   }
 
   buildEvaluationPrompt(originalKey, criteriaIssue, implementationResult, artifacts, criteria) {
@@ -187,15 +234,21 @@ Conduct a comprehensive product management evaluation using these success criter
 
 **CRITICAL:** You must also identify any ERRORS, DEFECTS, or CRITICAL ISSUES that would prevent deployment/use.
 
-**Response Format (JSON only):**
+**REQUIREMENT VERDICTS:** Each requirement above starts with its ID (FR-1, TR-2, AC-3, DoD-1). Give exactly one verdict per ID in requirementVerdicts - met, partially_met or not_met - with the evidence for it. traceability.json (if present) lists which IDs each file claims to address. Refer to requirements by ID in coveredRequirements, missedRequirements and partialRequirements.
+
+**Response Format:**
+Record your evaluation by calling the record_evaluation tool with this structure:
 {
   "requirementsCoverage": {
     "score": 0-25,
     "analysis": "detailed analysis",
-    "coveredRequirements": ["req1", "req2"],
-    "missedRequirements": ["req3"],
-    "partialRequirements": ["req4"]
+    "coveredRequirements": ["FR-1", "AC-1"],
+    "missedRequirements": ["FR-2"],
+    "partialRequirements": ["TR-1"]
   },
+  "requirementVerdicts": [
+    { "id": "FR-1", "verdict": "met|partially_met|not_met", "evidence": "where the implementation meets it, or what is missing" }
+  ],
   "qualityCraftsmanship": {
     "score": 0-25,
     "analysis": "detailed analysis",
@@ -234,45 +287,6 @@ Conduct a comprehensive product management evaluation using these success criter
 Be thorough, objective, and specific in your evaluation. Focus on whether this implementation would actually work and meet the original business need.`;
   }
 
-  parseEvaluationResponse(claudeResponse) {
-    console.log('DEBUG: Parsing Claude evaluation response...');
-    console.log('DEBUG: Response length:', claudeResponse.length);
-    
-    try {
-      const jsonMatch = claudeResponse.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('Claude evaluation response does not contain valid JSON structure');
-      }
-      
-      const evaluation = JSON.parse(jsonMatch[0]);
-      console.log('DEBUG: Evaluation successfully parsed');
-      console.log('DEBUG: Evaluation sections:', Object.keys(evaluation));
-      
-      // Validate required sections
-      const requiredSections = [
-        'requirementsCoverage',
-        'qualityCraftsmanship', 
-        'usabilityPracticality',
-        'completenessPolish',
-        'errors',
-        'overallAssessment'
-      ];
-      
-      for (const section of requiredSections) {
-        if (!evaluation[section]) {
-          throw new Error(`Missing required evaluation section: ${section}`);
-        }
-      }
-      
-      return evaluation;
-      
-    } catch (parseError) {
-      console.error('ERROR: Failed to parse Claude evaluation response');
-      console.error('Parse error:', parseError.message);
-      throw new Error(`Failed to parse Claude evaluation response: ${parseError.message}`);
-    }
-  }
-
   calculateFinalScore(evaluation) {
     const scores = [
       evaluation.requirementsCoverage.score,
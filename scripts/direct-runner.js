@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+// Self-hosted runner: receives Jira webhooks over HTTP and runs JiraWebhookProcessor
+// in-process, without Netlify or GitHub Actions.
+//
+// Usage:
+//   node scripts/direct-runner.js
+//
+// Environment:
+//   PORT                    Port to listen on (default: 3000)
+//   JIRA_WEBHOOK_SECRET     Shared secret for X-Hub-Signature verification (required)
+//   AUTOMATION_REPO_DIR     Repository that receives work-items/ artifacts (default: current directory)
+//   AUTOMATION_GIT_COMMIT   Set to "false" to skip committing artifacts (default: true)
+//   AUTOMATION_GIT_PUSH     Set to "true" to push after each commit
+
+const http = require('http');
+const path = require('path');
+
+const JiraWebhookProcessor = require('./process-jira-webhook.js');
+const WebhookSignatureVerifier = require('./webhook-signature.js');
+const WebhookEventFilter = require('./webhook-event-filter.js');
+const IssueWorkQueue = require('./issue-work-queue.js');
+const ArtifactCommitter = require('./artifact-committer.js');
+const ProjectRouter = require('./project-routing.js');
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+class DirectRunner {
+  constructor(options = {}) {
+    this.repoDir = path.resolve(options.repoDir || process.env.AUTOMATION_REPO_DIR || process.cwd());
+    this.commitArtifacts = options.commitArtifacts ?? process.env.AUTOMATION_GIT_COMMIT !== 'false';
+
+    this.processor = options.processor || new JiraWebhookProcessor();
+    this.signatureVerifier = options.signatureVerifier || new WebhookSignatureVerifier();
+    this.eventFilter = options.eventFilter || new WebhookEventFilter();
+    this.queue = options.queue || new IssueWorkQueue();
+    this.committer = options.committer || new ArtifactCommitter({ repoDir: this.repoDir });
+    this.projectRouter = options.projectRouter || new ProjectRouter();
+    this.server = null;
+  }
+
+  listen(port = parseInt(process.env.PORT || '3000', 10)) {
+    // The processor writes work-items/ relative to the working directory
+    process.chdir(this.repoDir);
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error('Request handling error:', error);
+        this.respond(res, 500, { error: 'Internal server error', message: error.message });
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(port, () => {
+        console.log(`🚀 Direct runner listening on port ${this.server.address().port} (repo: ${this.repoDir})`);
+        resolve(this.server);
+      });
+    });
+  }
+
+  async close() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+    console.log('Waiting for queued jobs to finish...');
+    await this.queue.drain();
+  }
+
+  async handleRequest(req, res) {
+    if (req.method === 'GET' && req.url === '/health') {
+      return this.respond(res, 200, { status: 'ok', queue: this.queue.getStatus() });
+    }
+
+    if (req.method !== 'POST') {
+      return this.respond(res, 405, { error: 'Method not allowed' });
+    }
+
+    const rawBody = await this.readBody(req);
+    console.log('Jira webhook received at:', new Date().toISOString());
+
+    const verification = this.signatureVerifier.verify(req.headers, rawBody);
+    if (!verification.valid) {
+      return this.respond(res, verification.statusCode, { error: 'Webhook rejected', reason: verification.reason });
+    }
+
+    const jiraPayload = verification.payload;
+    const filterResult = this.eventFilter.evaluate(jiraPayload);
+
+    if (!filterResult.actionable) {
+      console.log('Ignoring webhook:', filterResult.reason);
+      this.signatureVerifier.markDelivered(verification.replayKey);
+      return this.respond(res, 202, { message: 'ignored', queued: false, reason: filterResult.reason });
+    }
+
+    const projectKey = this.eventFilter.getProjectKey(jiraPayload.issue);
+    if (!this.projectRouter.getRoute(projectKey)) {
+      console.log(`No route configured for project ${projectKey} - rejecting`);
+      return this.respond(res, 422, { error: 'Unknown project', reason: `No route configured for project ${projectKey}` });
+    }
+
+    const issueKey = jiraPayload.issue.key;
+    const webhookPayload = { ...jiraPayload, webhookIdentifier: verification.deliveryId };
+
+    // Acknowledge straight away; Jira retries deliveries that take too long
+    this.queue.enqueue(issueKey, () => this.runJob(issueKey, webhookPayload))
+      .catch(error => console.error(`Webhook processing failed for ${issueKey}:`, error.message));
+    this.signatureVerifier.markDelivered(verification.replayKey);
+    console.log(`Queued ${jiraPayload.webhookEvent} for ${issueKey}`);
+
+    return this.respond(res, 202, {
+      message: 'queued',
+      queued: true,
+      issueKey: issueKey,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Failures are logged by the queue callback in handleRequest
+  async runJob(issueKey, webhookPayload) {
+    const result = await this.processor.processWebhook(webhookPayload);
+    console.log(`Webhook processing complete for ${issueKey}: ${result.action}`);
+
+    if (this.commitArtifacts && result.action !== 'ignored') {
+      const commit = await this.committer.commit(result.action, issueKey, result.originalIssue || issueKey);
+      if (commit.pushed) {
+        await this.linkCommit(webhookPayload.issue, result, commit.sha);
+      }
+    }
+
+    return result;
+  }
+
+  // Links the pushed commit from the issues the run touched; a Jira hiccup here
+  // doesn't fail a job whose artifacts are already committed
+  async linkCommit(issue, result, sha) {
+    const route = this.projectRouter.getRoute(this.eventFilter.getProjectKey(issue));
+    const issueKeys = [...new Set([issue.key, result.criteriaIssue].filter(Boolean))];
+
+    for (const issueKey of issueKeys) {
+      try {
+        await this.processor.artifactLinker.linkCommit(issueKey, route, sha, result.action);
+      } catch (error) {
+        console.error(`Failed to link commit ${sha} to ${issueKey}: ${error.message}`);
+      }
+    }
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  respond(res, statusCode, body) {
+    if (res.headersSent) return;
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+if (require.main === module) {
+  const runner = new DirectRunner();
+  runner.listen().catch(error => {
+    console.error('Failed to start direct runner:', error.message);
+    process.exit(1);
+  });
+
+  const shutdown = () => {
+    runner.close().then(() => process.exit(0));
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+module.exports = DirectRunner;
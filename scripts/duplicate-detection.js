@@ -0,0 +1,281 @@
+// Duplicate and overlap detection for new original issues, before any Claude
+// analysis is paid for. Candidates are the project's most recent issues (JQL)
+// and the work items already implemented under work-items/; similarity is
+// lexical and computed locally.
+//
+// Likely duplicates get one comment listing them and an issue link each. When a
+// close match already has an approved implementation (its evaluation passed),
+// the issue is labelled and the analysis waits until someone posts a comment
+// that is exactly CONFIRMATION_PHRASE.
+
+const fs = require('fs').promises;
+const path = require('path');
+const JiraMarkup = require('./jira-markup.js');
+const WebhookEventFilter = require('./webhook-event-filter.js');
+
+const MATCHES_MARKER = 'claude-duplicate-check';
+const REVIEW_MARKER = 'claude-duplicate-review';
+const CONFIRMATION_PHRASE = 'go ahead';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from', 'has', 'have', 'in', 'into', 'is', 'it',
+  'its', 'of', 'on', 'or', 'should', 'so', 'that', 'the', 'their', 'this', 'to', 'we', 'when', 'will', 'with', 'would'
+]);
+
+class DuplicateDetector {
+  constructor(options = {}) {
+    this.jiraApi = options.jiraApi;
+    this.markup = options.markup || new JiraMarkup();
+    this.repoDir = options.repoDir || process.cwd();
+    // Matches at or above this similarity (0-1) are reported
+    this.threshold = options.threshold ?? parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD || '0.5');
+    // Matches at or above this one pause the analysis when their implementation was approved
+    this.reviewThreshold = options.reviewThreshold ?? parseFloat(process.env.DUPLICATE_REVIEW_THRESHOLD || '0.8');
+    // Most recent issues in the project compared against
+    this.searchLimit = options.searchLimit ?? parseInt(process.env.DUPLICATE_SEARCH_LIMIT || '50', 10);
+    // Matches reported per issue; 0 turns detection off
+    this.maxMatches = options.maxMatches ?? parseInt(process.env.DUPLICATE_MAX_MATCHES || '5', 10);
+    this.label = WebhookEventFilter.AWAITING_DUPLICATE_REVIEW_LABEL;
+  }
+
+  // Returns [{ key, summary, score, sources, approved }], best match first
+  async findMatches(issue) {
+    if (this.maxMatches <= 0) {
+      return [];
+    }
+
+    const target = this.vectorize(issue.fields?.summary, this.markup.toMarkdown(issue.fields?.description));
+    const candidates = new Map();
+    const addCandidate = (key, summary, text, source) => {
+      const existing = candidates.get(key) || { key, summary, score: 0, sources: [] };
+      existing.summary = existing.summary || summary;
+      existing.score = Math.max(existing.score, this.cosine(target, this.vectorize(summary, text)));
+      existing.sources.push(source);
+      candidates.set(key, existing);
+    };
+
+    for (const candidate of await this.searchRecentIssues(issue)) {
+      addCandidate(candidate.key, candidate.fields.summary, this.markup.toMarkdown(candidate.fields.description), 'jira');
+    }
+    for (const workItem of await this.readWorkItems(issue.key)) {
+      addCandidate(workItem.key, workItem.summary, workItem.text, 'work-items');
+    }
+
+    const matches = Array.from(candidates.values())
+      .filter(candidate => candidate.score >= this.threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxMatches);
+
+    for (const match of matches) {
+      match.score = Math.round(match.score * 100) / 100;
+      match.approved = await this.isApproved(match.key);
+    }
+
+    console.log(`✅ Duplicate check for ${issue.key}: ${candidates.size} candidates, ${matches.length} likely duplicates`);
+    return matches;
+  }
+
+  // Matches similar enough, and far enough along, that a human should decide
+  getBlockingMatches(matches) {
+    return matches.filter(match => match.approved && match.score >= this.reviewThreshold);
+  }
+
+  async searchRecentIssues(issue) {
+    if (this.searchLimit <= 0) {
+      return [];
+    }
+
+    const projectKey = issue.fields?.project?.key;
+    const jql = `project = "${projectKey}" AND key != "${issue.key}" ORDER BY created DESC`;
+    const issues = await this.jiraApi.searchIssues(jql, ['summary', 'description', 'issuetype', 'status'], { limit: this.searchLimit });
+
+    // The automation's own criteria issues and sub-tasks restate their original issue
+    return issues.filter(candidate =>
+      candidate.key !== issue.key &&
+      !(candidate.fields?.summary || '').includes(WebhookEventFilter.CRITERIA_SUMMARY_MARKER) &&
+      !WebhookEventFilter.SUBTASK_ISSUE_TYPES.includes(candidate.fields?.issuetype?.name)
+    );
+  }
+
+  // Title and description from each implemented work item's summary, including
+  // its sub-tasks
+  async readWorkItems(excludeKey) {
+    const workItemsDir = path.join(this.repoDir, 'work-items');
+    const entries = await fs.readdir(workItemsDir, { withFileTypes: true }).catch(() => []);
+    const workItems = [];
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || entry.name === excludeKey) {
+        continue;
+      }
+
+      const summaries = [path.join(workItemsDir, entry.name, 'implementation', 'implementation-summary.md')];
+      const subtasksDir = path.join(workItemsDir, entry.name, 'subtasks');
+      for (const subtask of await fs.readdir(subtasksDir, { withFileTypes: true }).catch(() => [])) {
+        if (subtask.isDirectory()) {
+          summaries.push(path.join(subtasksDir, subtask.name, 'implementation', 'implementation-summary.md'));
+        }
+      }
+
+      const titles = [];
+      const descriptions = [];
+      for (const file of summaries) {
+        const content = await fs.readFile(file, 'utf8').catch(() => null);
+        if (!content) continue;
+        titles.push(content.match(/^- \*\*Title:\*\* (.*)$/m)?.[1] || '');
+        descriptions.push(content.match(/^- \*\*Description:\*\* (.*)$/m)?.[1] || '');
+      }
+
+      if (titles.some(Boolean)) {
+        workItems.push({ key: entry.name, summary: titles.filter(Boolean).join('; '), text: descriptions.join('\n') });
+      }
+    }
+
+    return workItems;
+  }
+
+  // Approved = the evaluation passed, or every sub-task's did
+  async isApproved(issueKey) {
+    const workItemDir = path.join(this.repoDir, 'work-items', issueKey);
+    const readJson = file => fs.readFile(path.join(workItemDir, file), 'utf8').then(JSON.parse).catch(() => null);
+
+    const evaluation = await readJson(path.join('evaluation', 'evaluation-results.json'));
+    if (evaluation?.finalScore?.meetsCriteria) {
+      return true;
+    }
+    const rollup = await readJson(path.join('subtasks', 'rollup.json'));
+    return Boolean(rollup?.allPassed);
+  }
+
+  // Term frequencies over summary (counted twice) and description
+  vectorize(summary, description) {
+    const vector = new Map();
+    const add = (text, weight) => {
+      for (const token of this.tokenize(text)) {
+        vector.set(token, (vector.get(token) || 0) + weight);
+      }
+    };
+    add(summary, 2);
+    add(description, 1);
+    return vector;
+  }
+
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+      .map(token => this.stem(token));
+  }
+
+  // Enough to match "exports"/"export"/"exporting"
+  stem(token) {
+    if (token.length <= 4) return token;
+    return token.replace(/(ing|ed|s)$/, '');
+  }
+
+  cosine(a, b) {
+    let dot = 0;
+    for (const [token, weight] of a) {
+      dot += weight * (b.get(token) || 0);
+    }
+    const norm = vector => Math.sqrt(Array.from(vector.values()).reduce((sum, weight) => sum + weight * weight, 0));
+    const denominator = norm(a) * norm(b);
+    return denominator === 0 ? 0 : dot / denominator;
+  }
+
+  // Comments once per issue and links each match that isn't linked yet
+  async flag(issue, matches, linkType) {
+    const comments = await this.getCommentBodies(issue.key);
+    if (!comments.some(body => body.includes(MATCHES_MARKER))) {
+      await this.jiraApi.addComment(
+        issue.key,
+        this.jiraApi.formatComment(
+          'Possible Duplicates',
+          `This issue looks similar to existing work:
+
+${matches.map(match => `• ${match.key} - ${match.summary} (${Math.round(match.score * 100)}% similar${match.approved ? ', implementation approved' : ''})`).join('\n')}
+
+Check whether this is the same request before the work goes further.`,
+          `\`${MATCHES_MARKER}\` *Posted by Claude Automation System*`
+        )
+      );
+    }
+
+    const linked = new Set((issue.fields?.issuelinks || []).map(link => (link.outwardIssue || link.inwardIssue)?.key));
+    for (const match of matches.filter(candidate => !linked.has(candidate.key))) {
+      try {
+        await this.jiraApi.linkIssues(issue.key, match.key, linkType);
+      } catch (error) {
+        console.error(`Failed to link ${issue.key} to possible duplicate ${match.key}: ${error.message}`);
+      }
+    }
+  }
+
+  async requestReview(issue, blockingMatches) {
+    await this.jiraApi.addComment(
+      issue.key,
+      this.jiraApi.formatComment(
+        'Duplicate Review Needed',
+        `Analysis is paused: ${blockingMatches.map(match => match.key).join(', ')} already ${blockingMatches.length === 1 ? 'has' : 'have'} an approved implementation of very similar work.
+
+If this issue should still be analyzed, reply with a comment that says only "${CONFIRMATION_PHRASE}". Otherwise, close it as a duplicate.`,
+        `\`${REVIEW_MARKER}\` *Posted by Claude Automation System*`
+      )
+    );
+    await this.setLabel(issue.key, true);
+
+    console.log(`✅ Paused ${issue.key} for duplicate review of ${blockingMatches.map(match => match.key).join(', ')}`);
+  }
+
+  // True once a human comment that is exactly CONFIRMATION_PHRASE follows the latest
+  // review request. A phrase inside a sentence ("please don't go ahead") doesn't count.
+  async isConfirmed(issueKey) {
+    let requested = false;
+    let confirmed = false;
+
+    for (const comment of await this.jiraApi.getComments(issueKey)) {
+      const body = this.markup.toMarkdown(comment.body) || '';
+
+      if (await this.jiraApi.isAutomationComment(comment)) {
+        if (body.includes(REVIEW_MARKER)) {
+          requested = true;
+          confirmed = false;
+        }
+      } else if (requested && this.isConfirmation(body)) {
+        confirmed = true;
+      }
+    }
+    return confirmed;
+  }
+
+  // Case and trailing punctuation ("Go ahead.") are ignored
+  isConfirmation(body) {
+    return body.trim().toLowerCase().replace(/[.!]+$/, '') === CONFIRMATION_PHRASE;
+  }
+
+  isAwaitingReview(issue) {
+    return WebhookEventFilter.hasLabel(issue.fields?.labels, this.label);
+  }
+
+  async resolve(issueKey) {
+    await this.setLabel(issueKey, false);
+  }
+
+  async getCommentBodies(issueKey) {
+    return (await this.jiraApi.getComments(issueKey)).map(comment => this.markup.toMarkdown(comment.body) || '');
+  }
+
+  async setLabel(issueKey, present) {
+    const issue = await this.jiraApi.getIssue(issueKey);
+    const labels = (issue.fields.labels || [])
+      .map(label => (typeof label === 'string' ? label : label.name))
+      .filter(label => label !== this.label);
+
+    await this.jiraApi.updateIssue(issueKey, { labels: present ? [...labels, this.label] : labels });
+  }
+}
+
+DuplicateDetector.CONFIRMATION_PHRASE = CONFIRMATION_PHRASE;
+
+module.exports = DuplicateDetector;
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// Runs the whole pipeline (create → criteria → implement → test) against the
+// in-process fake Jira. Every webhook the fake Jira emits is fed back through
+// JiraWebhookProcessor, the way the real webhook would be.
+//
+// Usage:
+//   node scripts/fake-jira-demo.js [--claude-fixture <file> | --live-claude] [--summary "..."] [--description "..."] [--check]
+//
+// Claude answers from fixtures/demo-claude.json unless another fixture is given;
+// --live-claude calls the real Claude API instead (CLAUDE_API_KEY). --check
+// fails (exit code 1) unless every stage of the flow completed, and removes the
+// scratch directory afterwards. Artifacts are written to a scratch directory,
+// never to this repository.
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const FakeJiraServer = require('./fake-jira-server.js');
+const JiraApiHelpers = require('./jira-api-helpers.js');
+const { BasicAuthStrategy } = require('./jira-auth.js');
+const JiraWebhookProcessor = require('./process-jira-webhook.js');
+const RecordedClaudeClient = require('./recorded-claude-client.js');
+
+const PROJECT_KEY = 'DEMO';
+const DEFAULT_CLAUDE_FIXTURE = path.join(__dirname, '..', 'fixtures', 'demo-claude.json');
+// Files every completed work item should have
+const EXPECTED_FILES = [
+  'implementation/implementation-summary.md',
+  'implementation/traceability.json',
+  'evaluation/evaluation-results.json',
+  'evaluation/evaluation-summary.md'
+];
+// Guards against webhook loops; a full run needs far fewer
+const MAX_WEBHOOKS = 50;
+
+function option(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : fallback;
+}
+
+async function listFiles(dir, root = dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await listFiles(fullPath, root));
+    else files.push(path.relative(root, fullPath));
+  }
+  return files.sort();
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  // Resolved before switching to the scratch workspace
+  const claudeFixturePath = path.resolve(option(args, 'claude-fixture', DEFAULT_CLAUDE_FIXTURE));
+  const liveClaude = args.includes('--live-claude');
+  const verbose = args.includes('--verbose');
+  const check = args.includes('--check');
+
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'fake-jira-demo-'));
+  process.chdir(workspace);
+
+  const jira = new FakeJiraServer({ projects: { [PROJECT_KEY]: { name: 'Demo Project', components: ['Backend', 'Frontend'] } } });
+  const baseUrl = await jira.listen();
+
+  const webhooks = [];
+  jira.on('webhook', payload => webhooks.push(payload));
+
+  // The fake server accepts any credentials
+  const jiraApi = new JiraApiHelpers({
+    baseUrl,
+    auth: new BasicAuthStrategy({ email: 'demo@example.invalid', token: 'demo' }),
+    maxRetries: 0
+  });
+  const anthropic = liveClaude
+    ? undefined
+    : new RecordedClaudeClient(JSON.parse(await fs.readFile(claudeFixturePath, 'utf8')));
+  const processor = new JiraWebhookProcessor({ jiraApi, anthropic });
+
+  const { log, error } = console;
+  const quiet = fn => async (...fnArgs) => {
+    if (verbose) return fn(...fnArgs);
+    console.log = () => {};
+    console.error = () => {};
+    try {
+      return await fn(...fnArgs);
+    } finally {
+      console.log = log;
+      console.error = error;
+    }
+  };
+
+  let processed = 0;
+  // Every processor action, by issue key
+  const actions = {};
+  const drainWebhooks = quiet(async () => {
+    const results = [];
+    while (webhooks.length > 0 && processed < MAX_WEBHOOKS) {
+      const payload = webhooks.shift();
+      processed++;
+      try {
+        const result = await processor.processWebhook(payload);
+        (actions[payload.issue.key] = actions[payload.issue.key] || []).push(result.action);
+        results.push(`${payload.webhookEvent} ${payload.issue.key} → ${result.action}`);
+      } catch (processingError) {
+        results.push(`${payload.webhookEvent} ${payload.issue.key} → ERROR ${processingError.message}`);
+      }
+    }
+    return results;
+  });
+
+  const step = async (title, action) => {
+    log(`\n▶ ${title}`);
+    await action();
+    (await drainWebhooks()).forEach(line => log(`  ${line}`));
+  };
+
+  let originalKey;
+  await step('Product owner creates a story', async () => {
+    originalKey = jira.createIssue({
+      project: { key: PROJECT_KEY },
+      issuetype: { name: 'Story' },
+      summary: option(args, 'summary', 'Add a CSV export to the monthly usage report'),
+      description: option(args, 'description', 'Users need to download the monthly usage report as CSV, one row per account.')
+    }).key;
+  });
+
+  const criteriaIssues = Array.from(jira.issues.values())
+    .filter(issue => issue.fields.summary.startsWith(`Deliverable Criteria: ${originalKey}`));
+  // Broken-down work is approved and tested one sub-task at a time
+  const subtasks = criteriaIssues.filter(issue => issue.fields.parent);
+  const workItems = subtasks.length > 0 ? subtasks : criteriaIssues;
+
+  if (workItems.length === 0) {
+    log('\nNo deliverable criteria issue was created - stopping here.');
+  }
+  for (const workItem of workItems) {
+    await step(`Reviewer approves ${workItem.key}`, async () => jira.setStatus(workItem.key, 'Ready for Implementation'));
+    await step(`Reviewer moves ${workItem.key} to testing`, async () => jira.setStatus(workItem.key, 'Testing Criteria'));
+  }
+
+  log('\nFinal Jira state:');
+  for (const issue of jira.issues.values()) {
+    log(`  ${issue.key} [${issue.fields.status.name}] ${issue.fields.summary} (${issue.fields.comment.comments.length} comments, labels: ${issue.fields.labels.join(', ') || 'none'})`);
+  }
+
+  const files = await listFiles(path.join(workspace, 'work-items'));
+  log(`\nFiles written under ${path.join(workspace, 'work-items')}:`);
+  files.forEach(file => log(`  ${file}`));
+
+  await jira.close();
+
+  if (check) {
+    const failures = [];
+    if (!(actions[originalKey] || []).includes('requirements_analyzed')) {
+      failures.push(`${originalKey} was not analyzed`);
+    }
+    if (workItems.length === 0) {
+      failures.push('no deliverable criteria issue was created');
+    }
+    for (const workItem of workItems) {
+      for (const action of ['implementation_generated', 'evaluation_passed']) {
+        if (!(actions[workItem.key] || []).includes(action)) {
+          failures.push(`${workItem.key} never reached ${action}`);
+        }
+      }
+    }
+    if (processed >= MAX_WEBHOOKS) {
+      failures.push(`stopped after ${MAX_WEBHOOKS} webhooks`);
+    }
+    for (const workItem of workItems) {
+      const workItemPath = processor.getWorkItemPath(originalKey, workItem);
+      for (const file of EXPECTED_FILES.map(name => path.join(workItemPath, name))) {
+        if (!files.includes(file)) failures.push(`${file} was not written`);
+      }
+    }
+
+    await fs.rm(workspace, { recursive: true, force: true });
+    if (failures.length > 0) {
+      throw new Error(`End-to-end check failed:\n${failures.map(failure => `  - ${failure}`).join('\n')}`);
+    }
+    log('\n✅ End-to-end check passed');
+  }
+}
+
+main().catch(error => {
+  console.error('Demo failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,718 @@
+#!/usr/bin/env node
+// In-memory stand-in for the Jira REST API, served over HTTP so JiraApiHelpers
+// runs unchanged against it. Implements the endpoints the automation uses and
+// emits webhook payloads when issues change, so the whole create → criteria →
+// implement → test flow can run without a Jira tenant.
+//
+// Usage:
+//   node scripts/fake-jira-server.js [--port 4000] [--webhook-url http://localhost:3000/] [--state state.json]
+//
+// Webhooks are emitted as 'webhook' events and, with a webhook URL, POSTed there
+// (signed with JIRA_WEBHOOK_SECRET when it is set, like a real Jira webhook).
+
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const DEFAULT_STATUSES = [
+  'To Do',
+  'Ready for Implementation',
+  'In Progress',
+  'Testing Criteria',
+  'Code Complete',
+  'Documentation Complete',
+  'Analysis Complete',
+  'Configuration Complete',
+  'Done'
+];
+// Entering these statuses needs a resolution, as on a typical "Done" screen
+const DEFAULT_RESOLVED_STATUSES = ['Done'];
+const RESOLUTIONS = [{ id: '1', name: 'Done' }, { id: '2', name: "Won't Do" }, { id: '3', name: 'Duplicate' }];
+const SUBTASK_ISSUE_TYPES = ['Sub-task', 'Subtask'];
+const PRIORITIES = ['Highest', 'High', 'Medium', 'Low', 'Lowest'].map((name, index) => ({ id: String(index + 1), name }));
+
+class FakeJiraServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.statuses = options.statuses || DEFAULT_STATUSES;
+    this.resolvedStatuses = options.resolvedStatuses || DEFAULT_RESOLVED_STATUSES;
+    // { fromStatus: [toStatus, ...] }; statuses not listed can move to any other status
+    this.workflow = options.workflow || {};
+    this.projects = new Map(Object.entries(options.projects || { TEST: { name: 'Test Project', components: [] } })
+      .map(([key, project]) => [key, { key, id: String(10000 + key.length), components: [], ...project }]));
+    this.fields = options.fields || [
+      { id: 'summary', name: 'Summary', custom: false, schema: { type: 'string' } },
+      { id: 'description', name: 'Description', custom: false, schema: { type: 'string' } },
+      { id: 'priority', name: 'Priority', custom: false, schema: { type: 'priority' } },
+      { id: 'components', name: 'Component/s', custom: false, schema: { type: 'array' } },
+      { id: 'labels', name: 'Labels', custom: false, schema: { type: 'array' } },
+      { id: 'timetracking', name: 'Time tracking', custom: false, schema: { type: 'timetracking' } },
+      { id: 'customfield_10016', name: 'Story Points', custom: true, schema: { type: 'number' } }
+    ];
+    this.currentUser = options.currentUser || { accountId: 'fake-user', name: 'automation', displayName: 'Automation User' };
+    this.webhookUrl = options.webhookUrl || null;
+    this.webhookSecret = options.webhookSecret ?? process.env.JIRA_WEBHOOK_SECRET;
+
+    this.issues = new Map();
+    this.links = [];
+    this.attachments = new Map();
+    // Remote links by issue key
+    this.remoteLinks = new Map();
+    this.nextId = 10000;
+    this.issueCounters = new Map();
+    this.requests = [];
+    this.server = null;
+    this.pendingDeliveries = new Set();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lifecycle
+  // ---------------------------------------------------------------------------
+
+  listen(port = 0) {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.respond(res, error.statusCode || 500, { errorMessages: [error.message], errors: {} });
+      });
+    });
+
+    return new Promise(resolve => {
+      this.server.listen(port, '127.0.0.1', () => {
+        this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+        console.log(`🧪 Fake Jira listening at ${this.baseUrl}`);
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  async close() {
+    await Promise.allSettled(Array.from(this.pendingDeliveries));
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Routing
+  // ---------------------------------------------------------------------------
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://fake-jira');
+    const body = await this.readBody(req);
+    this.requests.push({ method: req.method, path: url.pathname });
+
+    if (!req.headers.authorization) {
+      return this.respond(res, 401, { errorMessages: ['Authentication required'] });
+    }
+
+    // The context path (if any) and the API version are both ignored
+    const apiMatch = url.pathname.match(/\/rest\/api\/[23](\/.*)$/);
+    const secureMatch = url.pathname.match(/\/secure\/attachment\/(\d+)\//);
+    if (secureMatch) {
+      return this.sendAttachment(res, secureMatch[1]);
+    }
+    if (!apiMatch) {
+      return this.respond(res, 404, { errorMessages: [`No fake endpoint for ${url.pathname}`] });
+    }
+
+    const route = `${req.method} ${apiMatch[1]}`;
+    const json = () => (body.length > 0 ? JSON.parse(body.toString('utf8')) : {});
+    let match;
+
+    if (route === 'GET /myself') return this.respond(res, 200, this.currentUser);
+    if (route === 'GET /field') return this.respond(res, 200, this.fields);
+    if ((match = route.match(/^GET \/project\/([^/]+)$/))) return this.respond(res, 200, this.requireProject(match[1]));
+    if (route === 'POST /issue') return this.respond(res, 201, this.createIssue(json().fields || {}));
+    if (route === 'POST /issueLink') return this.respond(res, 201, this.linkIssues(json()));
+    if (route === 'GET /search' || route === 'GET /search/jql') return this.respond(res, 200, this.search(url, route.endsWith('/jql')));
+    if ((match = route.match(/^GET \/attachment\/content\/(\d+)$/))) return this.sendAttachment(res, match[1]);
+    if ((match = route.match(/^DELETE \/attachment\/(\d+)$/))) {
+      this.deleteAttachment(match[1]);
+      return this.respond(res, 204);
+    }
+
+    match = apiMatch[1].match(/^\/issue\/([^/]+)(\/[^/]+)?(?:\/([^/]+))?$/);
+    if (!match) {
+      return this.respond(res, 404, { errorMessages: [`No fake endpoint for ${route}`] });
+    }
+
+    const [, issueKey, sub = '', subId] = match;
+    const handler = `${req.method} ${sub}`;
+    switch (handler) {
+      case 'GET ':
+        return this.respond(res, 200, this.getIssue(issueKey, url.searchParams.get('fields')));
+      case 'PUT ':
+        this.updateIssue(issueKey, json().fields || {});
+        return this.respond(res, 204);
+      case 'DELETE ':
+        this.deleteIssue(issueKey);
+        return this.respond(res, 204);
+      case 'GET /editmeta':
+        return this.respond(res, 200, { fields: this.getEditMeta(issueKey) });
+      case 'GET /comment':
+        return this.respond(res, 200, this.listComments(issueKey, url.searchParams));
+      case 'POST /comment':
+        return this.respond(res, 201, this.addComment(issueKey, json().body));
+      case 'PUT /comment':
+        return this.respond(res, 200, this.updateComment(issueKey, subId, json().body));
+      case 'GET /transitions':
+        return this.respond(res, 200, { transitions: this.getTransitions(issueKey, url.searchParams.get('expand')) });
+      case 'POST /transitions': {
+        const payload = json();
+        this.transitionIssue(issueKey, payload.transition?.id, payload.fields || {});
+        return this.respond(res, 204);
+      }
+      case 'POST /attachments':
+        return this.respond(res, 200, await this.addAttachments(issueKey, req, body));
+      case 'GET /remotelink':
+        return this.respond(res, 200, this.getRemoteLinks(issueKey));
+      case 'POST /remotelink': {
+        const { link, created } = this.upsertRemoteLink(issueKey, json());
+        return this.respond(res, created ? 201 : 200, { id: link.id, self: `${this.baseUrl}/rest/api/2/issue/${issueKey}/remotelink/${link.id}` });
+      }
+      default:
+        return this.respond(res, 404, { errorMessages: [`No fake endpoint for ${route}`] });
+    }
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  respond(res, statusCode, body) {
+    if (res.headersSent) return;
+    if (body === undefined) {
+      res.writeHead(statusCode);
+      res.end();
+      return;
+    }
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  fail(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    throw error;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Issues
+  // ---------------------------------------------------------------------------
+
+  requireProject(projectKey) {
+    const project = this.projects.get(projectKey);
+    if (!project) this.fail(404, `No project could be found with key '${projectKey}'.`);
+    return project;
+  }
+
+  requireIssue(issueKey) {
+    const issue = this.issues.get(issueKey) || Array.from(this.issues.values()).find(candidate => candidate.id === issueKey);
+    if (!issue) this.fail(404, 'Issue does not exist or you do not have permission to see it.');
+    return issue;
+  }
+
+  // Test helper and POST /issue; returns { id, key, self }
+  createIssue(fields, options = {}) {
+    const projectKey = fields.project?.key;
+    if (!projectKey) this.fail(400, 'project is required');
+    const project = this.requireProject(projectKey);
+    if (!fields.summary) this.fail(400, 'summary is required');
+    if (!fields.issuetype?.name) this.fail(400, 'issuetype is required');
+
+    const parent = fields.parent ? this.requireIssue(fields.parent.key || fields.parent.id) : null;
+    const isSubtask = SUBTASK_ISSUE_TYPES.includes(fields.issuetype.name);
+    if (isSubtask && !parent) {
+      this.fail(400, 'parent is required for sub-tasks');
+    }
+    // Standard issues can only be parented by an epic, as in team-managed projects
+    if (!isSubtask && parent && parent.fields.issuetype.name !== 'Epic') {
+      this.fail(400, `Issue type '${fields.issuetype.name}' can only have an epic as its parent`);
+    }
+
+    const number = (this.issueCounters.get(projectKey) || 0) + 1;
+    this.issueCounters.set(projectKey, number);
+
+    const id = String(this.nextId++);
+    const key = `${projectKey}-${number}`;
+    const now = new Date().toISOString();
+    const issue = {
+      id,
+      key,
+      self: `${this.baseUrl}/rest/api/2/issue/${id}`,
+      fields: {
+        labels: [],
+        components: [],
+        attachment: [],
+        comment: { comments: [], total: 0 },
+        issuelinks: [],
+        priority: { id: '3', name: 'Medium' },
+        resolution: null,
+        ...fields,
+        project: { key: project.key, id: project.id, name: project.name },
+        issuetype: { name: fields.issuetype.name, subtask: isSubtask },
+        ...(parent ? { parent: { id: parent.id, key: parent.key } } : {}),
+        status: { name: options.status || this.statuses[0] },
+        reporter: this.currentUser,
+        created: now,
+        updated: now
+      }
+    };
+
+    this.issues.set(key, issue);
+    this.emitWebhook('jira:issue_created', issue);
+    return { id, key, self: issue.self };
+  }
+
+  getIssue(issueKey, fieldsParam) {
+    const issue = this.present(this.requireIssue(issueKey));
+    if (fieldsParam && fieldsParam !== '*all') {
+      const wanted = fieldsParam.split(',');
+      issue.fields = Object.fromEntries(Object.entries(issue.fields).filter(([name]) => wanted.includes(name)));
+    }
+    return issue;
+  }
+
+  // A copy as Jira returns it: parent and sub-tasks carry their summary and status
+  present(issue) {
+    const copy = JSON.parse(JSON.stringify(issue));
+    const reference = related => ({
+      id: related.id,
+      key: related.key,
+      fields: { summary: related.fields.summary, status: related.fields.status, issuetype: related.fields.issuetype }
+    });
+
+    if (copy.fields.parent && this.issues.has(copy.fields.parent.key)) {
+      copy.fields.parent = reference(this.issues.get(copy.fields.parent.key));
+    }
+    copy.fields.subtasks = Array.from(this.issues.values())
+      .filter(candidate => candidate.fields.parent?.key === issue.key && candidate.fields.issuetype.subtask)
+      .map(reference);
+    return copy;
+  }
+
+  updateIssue(issueKey, fields) {
+    const issue = this.requireIssue(issueKey);
+    const items = [];
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (['project', 'status', 'issuetype'].includes(field)) {
+        this.fail(400, `Field '${field}' cannot be set. It is not on the appropriate screen, or unknown.`);
+      }
+      items.push({ field, fromString: this.describe(issue.fields[field]), toString: this.describe(value) });
+      issue.fields[field] = this.resolveFieldValue(issue, field, value);
+    }
+
+    issue.fields.updated = new Date().toISOString();
+    this.emitWebhook('jira:issue_updated', issue, { changelog: { id: String(this.nextId++), items } });
+  }
+
+  deleteIssue(issueKey) {
+    const issue = this.requireIssue(issueKey);
+    this.issues.delete(issue.key);
+    this.links = this.links.filter(link => link.inward !== issue.key && link.outward !== issue.key);
+    this.emitWebhook('jira:issue_deleted', issue);
+  }
+
+  // Stores references ({ id }, { name }) as full objects, as Jira returns them
+  resolveFieldValue(issue, field, value) {
+    if (field === 'priority' && value) {
+      return PRIORITIES.find(p => p.id === value.id || p.name === value.name) || this.fail(400, `Priority '${value.name || value.id}' is not valid`);
+    }
+    if (field === 'components' && Array.isArray(value)) {
+      const allowed = this.getEditMeta(issue.key).components?.allowedValues || [];
+      return value.map(component =>
+        allowed.find(c => c.id === component.id || c.name === component.name)
+          || this.fail(400, `Component '${component.name || component.id}' is not valid`)
+      );
+    }
+    return value;
+  }
+
+  describe(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'string') return value.length > 200 ? `${value.substring(0, 200)}...` : value;
+    return value.name || JSON.stringify(value).substring(0, 200);
+  }
+
+  getEditMeta(issueKey) {
+    const issue = this.requireIssue(issueKey);
+    const project = this.projects.get(issue.fields.project.key);
+    const meta = {};
+
+    for (const field of this.fields) {
+      meta[field.id] = { name: field.name, schema: field.schema, required: field.id === 'summary' };
+    }
+    if (meta.priority) {
+      meta.priority.allowedValues = PRIORITIES;
+    }
+    if (meta.components) {
+      meta.components.allowedValues = project.components.map((component, index) => ({
+        id: String(component.id || 20000 + index),
+        name: component.name || component
+      }));
+    }
+    return meta;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Comments
+  // ---------------------------------------------------------------------------
+
+  listComments(issueKey, params = new URLSearchParams()) {
+    const { comments } = this.requireIssue(issueKey).fields.comment;
+    const startAt = parseInt(params.get('startAt') || '0', 10);
+    const maxResults = Math.min(parseInt(params.get('maxResults') || '50', 10), 100);
+    return { startAt, maxResults, total: comments.length, comments: comments.slice(startAt, startAt + maxResults) };
+  }
+
+  // REST callers always comment as currentUser; tests can pass another author
+  addComment(issueKey, body, author = this.currentUser) {
+    if (!body) this.fail(400, 'Comment body can not be empty!');
+    const issue = this.requireIssue(issueKey);
+    const now = new Date().toISOString();
+    const comment = { id: String(this.nextId++), body, author, created: now, updated: now };
+
+    issue.fields.comment.comments.push(comment);
+    issue.fields.comment.total = issue.fields.comment.comments.length;
+    this.emitWebhook('comment_created', issue, { comment });
+    return comment;
+  }
+
+  updateComment(issueKey, commentId, body) {
+    const issue = this.requireIssue(issueKey);
+    const comment = issue.fields.comment.comments.find(candidate => candidate.id === commentId);
+    if (!comment) this.fail(404, `Can not find a comment for the id: ${commentId}.`);
+
+    comment.body = body;
+    comment.updated = new Date().toISOString();
+    this.emitWebhook('comment_updated', issue, { comment });
+    return comment;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Workflow
+  // ---------------------------------------------------------------------------
+
+  getTransitions(issueKey, expand) {
+    const current = this.requireIssue(issueKey).fields.status.name;
+    const targets = this.workflow[current] || this.statuses.filter(status => status !== current);
+
+    return targets.map(status => {
+      const transition = { id: String(this.statuses.indexOf(status) + 11), name: `Move to ${status}`, to: { name: status } };
+      if (expand && expand.includes('transitions.fields')) {
+        transition.fields = this.resolvedStatuses.includes(status)
+          ? { resolution: { required: true, name: 'Resolution', schema: { type: 'resolution' }, allowedValues: RESOLUTIONS } }
+          : {};
+      }
+      return transition;
+    });
+  }
+
+  transitionIssue(issueKey, transitionId, fields) {
+    const issue = this.requireIssue(issueKey);
+    const transition = this.getTransitions(issue.key, 'transitions.fields').find(candidate => candidate.id === String(transitionId));
+    if (!transition) {
+      this.fail(400, `Transition id '${transitionId}' is not valid for this issue.`);
+    }
+    if (transition.fields.resolution && !fields.resolution) {
+      this.fail(400, 'Resolution is required.');
+    }
+
+    const from = issue.fields.status.name;
+    issue.fields.status = { name: transition.to.name };
+    issue.fields.resolution = fields.resolution
+      ? RESOLUTIONS.find(r => r.id === fields.resolution.id || r.name === fields.resolution.name) || null
+      : null;
+    issue.fields.updated = new Date().toISOString();
+
+    this.emitWebhook('jira:issue_updated', issue, {
+      changelog: { id: String(this.nextId++), items: [{ field: 'status', fromString: from, toString: transition.to.name }] }
+    });
+  }
+
+  // Test helper: move an issue straight to a status, as a person would in the UI
+  setStatus(issueKey, status) {
+    const issue = this.requireIssue(issueKey);
+    const transition = this.getTransitions(issue.key, 'transitions.fields').find(candidate => candidate.to.name === status);
+    if (!transition) this.fail(400, `Status '${status}' is not reachable from '${issue.fields.status.name}'`);
+    this.transitionIssue(issue.key, transition.id, transition.fields.resolution ? { resolution: RESOLUTIONS[0] } : {});
+  }
+
+  // ---------------------------------------------------------------------------
+  // Links and attachments
+  // ---------------------------------------------------------------------------
+
+  linkIssues(payload) {
+    const inward = this.requireIssue(payload.inwardIssue?.key);
+    const outward = this.requireIssue(payload.outwardIssue?.key);
+    const type = { name: payload.type?.name || 'Relates', inward: 'relates to', outward: 'relates to' };
+    const id = String(this.nextId++);
+
+    this.links.push({ id, type: type.name, inward: inward.key, outward: outward.key });
+    inward.fields.issuelinks.push({ id, type, outwardIssue: this.summarize(outward) });
+    outward.fields.issuelinks.push({ id, type, inwardIssue: this.summarize(inward) });
+    this.emitWebhook('issuelink_created', inward, { issueLink: { id, issueLinkType: type } });
+    return undefined;
+  }
+
+  summarize(issue) {
+    return {
+      id: issue.id,
+      key: issue.key,
+      fields: { summary: issue.fields.summary, status: issue.fields.status, issuetype: issue.fields.issuetype }
+    };
+  }
+
+  async addAttachments(issueKey, req, body) {
+    const issue = this.requireIssue(issueKey);
+    if (req.headers['x-atlassian-token'] !== 'no-check') {
+      this.fail(403, 'XSRF check failed');
+    }
+
+    const formData = await new Request('http://fake-jira/upload', {
+      method: 'POST',
+      headers: { 'content-type': req.headers['content-type'] },
+      body
+    }).formData();
+
+    const created = [];
+    for (const file of formData.getAll('file')) {
+      const content = Buffer.from(await file.arrayBuffer());
+      const id = String(this.nextId++);
+      const attachment = {
+        id,
+        filename: file.name,
+        mimeType: file.type || 'application/octet-stream',
+        size: content.length,
+        created: new Date().toISOString(),
+        author: this.currentUser,
+        content: `${this.baseUrl}/rest/api/2/attachment/content/${id}`
+      };
+      this.attachments.set(id, { ...attachment, data: content });
+      issue.fields.attachment.push(attachment);
+      created.push(attachment);
+    }
+
+    this.emitWebhook('attachment_created', issue, { attachment: created });
+    return created;
+  }
+
+  deleteAttachment(attachmentId) {
+    const attachment = this.attachments.get(attachmentId);
+    if (!attachment) {
+      this.fail(404, 'Attachment not found');
+    }
+    this.attachments.delete(attachmentId);
+    for (const issue of this.issues.values()) {
+      issue.fields.attachment = issue.fields.attachment.filter(existing => existing.id !== attachmentId);
+    }
+  }
+
+  getRemoteLinks(issueKey) {
+    this.requireIssue(issueKey);
+    return this.remoteLinks.get(issueKey) || [];
+  }
+
+  // Same globalId replaces the existing link, as in Jira
+  upsertRemoteLink(issueKey, payload) {
+    this.requireIssue(issueKey);
+    if (!payload.object?.url || !payload.object?.title) {
+      this.fail(400, 'Remote link object requires url and title');
+    }
+
+    const links = this.remoteLinks.get(issueKey) || [];
+    const existing = payload.globalId && links.find(link => link.globalId === payload.globalId);
+    const link = { ...payload, id: existing ? existing.id : this.nextId++ };
+    this.remoteLinks.set(issueKey, existing ? links.map(other => (other === existing ? link : other)) : [...links, link]);
+    return { link, created: !existing };
+  }
+
+  sendAttachment(res, attachmentId) {
+    const attachment = this.attachments.get(attachmentId);
+    if (!attachment) {
+      return this.respond(res, 404, { errorMessages: ['Attachment not found'] });
+    }
+    res.writeHead(200, { 'Content-Type': attachment.mimeType, 'Content-Length': attachment.data.length });
+    res.end(attachment.data);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Search (JQL subset)
+  // ---------------------------------------------------------------------------
+
+  search(url, tokenPagination) {
+    const params = url.searchParams;
+    const maxResults = Math.min(parseInt(params.get('maxResults') || '50', 10), 100);
+    const fields = params.get('fields');
+    const matches = this.runJql(params.get('jql') || '');
+
+    const startAt = tokenPagination
+      ? parseInt(params.get('nextPageToken') || '0', 10)
+      : parseInt(params.get('startAt') || '0', 10);
+    const page = matches.slice(startAt, startAt + maxResults).map(issue => this.getIssue(issue.key, fields));
+    const nextStart = startAt + page.length;
+
+    if (tokenPagination) {
+      const isLast = nextStart >= matches.length;
+      return { issues: page, isLast, ...(isLast ? {} : { nextPageToken: String(nextStart) }) };
+    }
+    return { startAt, maxResults, total: matches.length, issues: page };
+  }
+
+  // Supports `field op value` clauses joined with AND, where op is =, !=, ~, IN
+  // or NOT IN, over key, project, status, issuetype/type, labels, summary,
+  // description and text. ORDER BY created/updated/key is honoured.
+  runJql(jql) {
+    const [where, orderBy] = jql.split(/\s+ORDER\s+BY\s+/i);
+    const clauses = where.trim() ? where.split(/\s+AND\s+/i) : [];
+    const predicates = clauses.map(clause => this.parseJqlClause(clause.trim()));
+
+    const results = Array.from(this.issues.values()).filter(issue => predicates.every(predicate => predicate(issue)));
+
+    const [orderField = 'created', direction = 'ASC'] = (orderBy || '').trim().split(/\s+/).filter(Boolean);
+    const sortKey = issue => (orderField.toLowerCase() === 'key' ? Number(issue.id) : issue.fields[orderField.toLowerCase()] || issue.id);
+    results.sort((a, b) => (sortKey(a) > sortKey(b) ? 1 : sortKey(a) < sortKey(b) ? -1 : Number(a.id) - Number(b.id)));
+    return direction.toUpperCase() === 'DESC' ? results.reverse() : results;
+  }
+
+  parseJqlClause(clause) {
+    const match = clause.match(/^(\w+)\s*(!=|=|~|NOT\s+IN|IN)\s*(.+)$/i);
+    if (!match) this.fail(400, `Unsupported JQL clause in fake Jira: "${clause}"`);
+
+    const [, rawField, rawOperator, rawValue] = match;
+    const field = rawField.toLowerCase();
+    const operator = rawOperator.toUpperCase().replace(/\s+/g, ' ');
+    const unquote = value => value.trim().replace(/^["']|["']$/g, '');
+    const values = operator.endsWith('IN')
+      ? rawValue.replace(/^\(|\)$/g, '').split(',').map(unquote)
+      : [unquote(rawValue)];
+    const lowerValues = values.map(value => value.toLowerCase());
+
+    const getValues = issue => {
+      switch (field) {
+        case 'key': return [issue.key];
+        case 'project': return [issue.fields.project.key, issue.fields.project.name];
+        case 'status': return [issue.fields.status.name];
+        case 'issuetype':
+        case 'type': return [issue.fields.issuetype.name];
+        case 'labels': return issue.fields.labels;
+        case 'summary': return [issue.fields.summary || ''];
+        case 'description': return [JSON.stringify(issue.fields.description || '')];
+        case 'text': return [issue.fields.summary || '', JSON.stringify(issue.fields.description || '')];
+        default: return this.fail(400, `Field '${rawField}' is not supported by the fake Jira JQL subset`);
+      }
+    };
+
+    return issue => {
+      const actual = getValues(issue).map(value => String(value).toLowerCase());
+      switch (operator) {
+        case '=':
+        case 'IN':
+          return actual.some(value => lowerValues.includes(value));
+        case '!=':
+        case 'NOT IN':
+          return !actual.some(value => lowerValues.includes(value));
+        default:
+          return actual.some(value => lowerValues.every(term => value.includes(term)));
+      }
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Webhooks
+  // ---------------------------------------------------------------------------
+
+  emitWebhook(webhookEvent, issue, extra = {}) {
+    const payload = {
+      timestamp: Date.now(),
+      webhookEvent,
+      ...(webhookEvent.startsWith('jira:issue_') ? { issue_event_type_name: webhookEvent.replace('jira:', '') } : {}),
+      user: this.currentUser,
+      issue: this.present(issue),
+      ...extra
+    };
+    const deliveryId = crypto.randomUUID();
+
+    this.emit('webhook', payload, deliveryId);
+    if (this.webhookUrl) {
+      const delivery = this.deliverWebhook(payload, deliveryId).finally(() => this.pendingDeliveries.delete(delivery));
+      this.pendingDeliveries.add(delivery);
+    }
+    return payload;
+  }
+
+  async deliverWebhook(payload, deliveryId) {
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json', 'X-Atlassian-Webhook-Identifier': deliveryId };
+    if (this.webhookSecret) {
+      headers['X-Hub-Signature'] = `sha256=${crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex')}`;
+    }
+
+    try {
+      const response = await fetch(this.webhookUrl, { method: 'POST', headers, body });
+      console.log(`📤 ${payload.webhookEvent} for ${payload.issue.key} → ${response.status}`);
+    } catch (error) {
+      console.error(`Webhook delivery to ${this.webhookUrl} failed: ${error.message}`);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // State snapshots
+  // ---------------------------------------------------------------------------
+
+  toJSON() {
+    return {
+      issues: Object.fromEntries(this.issues),
+      links: this.links,
+      remoteLinks: Object.fromEntries(this.remoteLinks),
+      issueCounters: Object.fromEntries(this.issueCounters),
+      nextId: this.nextId
+    };
+  }
+
+  loadState(state) {
+    this.issues = new Map(Object.entries(state.issues || {}));
+    this.links = state.links || [];
+    this.remoteLinks = new Map(Object.entries(state.remoteLinks || {}));
+    this.issueCounters = new Map(Object.entries(state.issueCounters || {}));
+    this.nextId = state.nextId || this.nextId;
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  const fs = require('fs');
+  const statePath = option('state');
+  const server = new FakeJiraServer({ webhookUrl: option('webhook-url') });
+  if (statePath && fs.existsSync(statePath)) {
+    server.loadState(JSON.parse(fs.readFileSync(statePath, 'utf8')));
+  }
+
+  server.listen(parseInt(option('port') || process.env.PORT || '4000', 10)).then(baseUrl => {
+    console.log(`Point the automation at it with JIRA_URL=${baseUrl} (any credentials are accepted)`);
+  });
+
+  const shutdown = async () => {
+    if (statePath) {
+      fs.writeFileSync(statePath, JSON.stringify(server, null, 2));
+    }
+    await server.close();
+    process.exit(0);
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+module.exports = FakeJiraServer;
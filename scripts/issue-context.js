@@ -0,0 +1,139 @@
+// Collects the context around an issue for the requirements analysis prompt: the
+// parent or epic, linked issues and the comment thread. Each source is labelled
+// and trimmed to a size budget; whatever doesn't fit is listed as skipped.
+
+const JiraMarkup = require('./jira-markup.js');
+const WebhookEventFilter = require('./webhook-event-filter.js');
+
+// Company-managed projects link epics through this field instead of `parent`
+const EPIC_LINK_FIELD_NAME = 'Epic Link';
+
+class IssueContextBuilder {
+  constructor(options = {}) {
+    this.jiraApi = options.jiraApi;
+    this.markup = options.markup || new JiraMarkup();
+    this.maxSourceChars = options.maxSourceChars ?? parseInt(process.env.ANALYSIS_CONTEXT_MAX_SOURCE_CHARS || '4000', 10);
+    this.maxTotalChars = options.maxTotalChars ?? parseInt(process.env.ANALYSIS_CONTEXT_TOTAL_CHARS || '20000', 10);
+    this.maxLinkedIssues = options.maxLinkedIssues ?? parseInt(process.env.ANALYSIS_CONTEXT_MAX_LINKED_ISSUES || '10', 10);
+    // Most recent comments are kept
+    this.maxComments = options.maxComments ?? parseInt(process.env.ANALYSIS_CONTEXT_MAX_COMMENTS || '20', 10);
+  }
+
+  // Returns { sources, considered }. `sources` are { label, text, truncated } in
+  // prompt order; `considered` has one entry per source with how it was used
+  // ('included', 'truncated' or 'skipped')
+  async build(issue) {
+    const context = { sources: [], considered: [] };
+    let remainingChars = this.maxTotalChars;
+
+    // `keepEnd` trims from the start instead, e.g. to keep the latest comments
+    const add = (label, text, keepEnd = false) => {
+      const entry = { label, usage: 'skipped', note: null };
+      context.considered.push(entry);
+
+      if (remainingChars <= 0) {
+        entry.note = `context budget of ${this.maxTotalChars} characters used up`;
+        return;
+      }
+
+      const limit = Math.min(this.maxSourceChars, remainingChars);
+      const truncated = text.length > limit;
+      const shown = !truncated ? text : keepEnd ? text.slice(-limit) : text.substring(0, limit);
+      context.sources.push({ label, text: shown, truncated, keepEnd, totalChars: text.length });
+      remainingChars -= shown.length;
+      entry.usage = truncated ? 'truncated' : 'included';
+      entry.note = truncated ? `${keepEnd ? 'last' : 'first'} ${limit} of ${text.length} characters` : null;
+    };
+    const skip = (label, note) => context.considered.push({ label, usage: 'skipped', note });
+
+    for (const { key, relation } of await this.findParents(issue)) {
+      try {
+        add(`${relation} ${key}`, this.describeParent(await this.jiraApi.getIssue(key)));
+      } catch (error) {
+        console.error(`Failed to read ${relation.toLowerCase()} ${key} of ${issue.key}: ${error.message}`);
+        skip(`${relation} ${key}`, `could not be read: ${error.message}`);
+      }
+    }
+
+    const links = this.getRelevantLinks(issue);
+    links.slice(0, this.maxLinkedIssues).forEach(link => add(`Linked issue ${link.key} (${link.relation})`, this.describeLink(link)));
+    links.slice(this.maxLinkedIssues).forEach(link => skip(`Linked issue ${link.key} (${link.relation})`, `linked issue limit of ${this.maxLinkedIssues} reached`));
+
+    try {
+      const comments = await this.getDiscussion(issue.key);
+      if (comments.length > 0) {
+        add(`Comments (${comments.length} most recent)`, comments.join('\n\n'), true);
+      }
+    } catch (error) {
+      console.error(`Failed to read comments on ${issue.key}: ${error.message}`);
+      skip('Comments', `could not be read: ${error.message}`);
+    }
+
+    console.log(`✅ Context for ${issue.key}: ${context.sources.length} sources, ${this.maxTotalChars - remainingChars} characters`);
+    return context;
+  }
+
+  // The `parent` field covers sub-tasks and team-managed epics; company-managed
+  // projects use the Epic Link custom field
+  async findParents(issue) {
+    const parents = [];
+    const parent = issue.fields?.parent;
+    if (parent?.key) {
+      const isEpic = parent.fields?.issuetype?.name === 'Epic';
+      parents.push({ key: parent.key, relation: isEpic ? 'Parent epic' : 'Parent' });
+    }
+
+    try {
+      const epicField = (await this.jiraApi.getFields()).find(field => field.name === EPIC_LINK_FIELD_NAME);
+      const epicKey = epicField && issue.fields?.[epicField.id];
+      if (typeof epicKey === 'string' && !parents.some(existing => existing.key === epicKey)) {
+        parents.push({ key: epicKey, relation: 'Parent epic' });
+      }
+    } catch (error) {
+      console.error(`DEBUG: Could not look up the ${EPIC_LINK_FIELD_NAME} field: ${error.message}`);
+    }
+
+    return parents;
+  }
+
+  describeParent(parent) {
+    const fields = parent.fields || {};
+    const description = this.markup.toMarkdown(fields.description) || 'No description provided';
+    return `${fields.issuetype?.name || 'Issue'} [${fields.status?.name || 'Unknown status'}]: ${fields.summary}\n${description}`;
+  }
+
+  // The automation's own criteria issues are output, not input
+  getRelevantLinks(issue) {
+    return (issue.fields?.issuelinks || [])
+      .map(link => {
+        const linked = link.outwardIssue || link.inwardIssue;
+        return linked && {
+          key: linked.key,
+          relation: (link.outwardIssue ? link.type?.outward : link.type?.inward) || link.type?.name || 'relates to',
+          fields: linked.fields || {}
+        };
+      })
+      .filter(link => link && !(link.fields.summary || '').includes(WebhookEventFilter.CRITERIA_SUMMARY_MARKER));
+  }
+
+  describeLink(link) {
+    return `${link.fields.issuetype?.name || 'Issue'} [${link.fields.status?.name || 'Unknown status'}]: ${link.fields.summary || 'No summary'}`;
+  }
+
+  // Human comments, oldest first, limited to the most recent ones
+  async getDiscussion(issueKey) {
+    const comments = [];
+    for (const comment of await this.jiraApi.getComments(issueKey)) {
+      const body = this.markup.toMarkdown(comment.body) || '';
+      if (body.trim() && !(await this.jiraApi.isAutomationComment(comment))) {
+        comments.push({ comment, body });
+      }
+    }
+
+    return comments.slice(-this.maxComments).map(({ comment, body }) =>
+      `${comment.author?.displayName || 'Unknown'} (${(comment.created || '').substring(0, 10) || 'undated'}):\n${body.trim()}`
+    );
+  }
+}
+
+module.exports = IssueContextBuilder;
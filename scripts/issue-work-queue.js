@@ -0,0 +1,47 @@
+// In-process work queue that runs jobs for the same issue one at a time,
+// matching the per-issue concurrency group used by the GitHub Actions workflow
+
+class IssueWorkQueue {
+  constructor() {
+    this.chains = new Map();
+    this.pendingCounts = new Map();
+  }
+
+  enqueue(issueKey, job) {
+    const key = issueKey || 'manual';
+    const previous = this.chains.get(key) || Promise.resolve();
+
+    this.pendingCounts.set(key, (this.pendingCounts.get(key) || 0) + 1);
+
+    // Run after the previous job for this issue, whether it succeeded or not
+    const run = previous.catch(() => {}).then(() => job());
+    const tail = run.catch(() => {}).finally(() => {
+      const remaining = this.pendingCounts.get(key) - 1;
+      if (remaining === 0) {
+        this.pendingCounts.delete(key);
+        this.chains.delete(key);
+      } else {
+        this.pendingCounts.set(key, remaining);
+      }
+    });
+
+    this.chains.set(key, tail);
+    return run;
+  }
+
+  getStatus() {
+    return {
+      activeIssues: this.chains.size,
+      pendingJobs: Array.from(this.pendingCounts.values()).reduce((sum, count) => sum + count, 0),
+      issues: Object.fromEntries(this.pendingCounts)
+    };
+  }
+
+  async drain() {
+    while (this.chains.size > 0) {
+      await Promise.all(Array.from(this.chains.values()));
+    }
+  }
+}
+
+module.exports = IssueWorkQueue;
@@ -1,33 +1,205 @@
 // Helper functions for Jira API interactions
 
+const {
+  JiraApiError,
+  JiraAuthError,
+  JiraRateLimitError,
+  JiraNetworkError,
+  JiraNotFoundError,
+  JiraTransitionError
+} = require('./jira-errors.js');
+const JiraMarkup = require('./jira-markup.js');
+const { createJiraAuth } = require('./jira-auth.js');
+const WebhookEventFilter = require('./webhook-event-filter.js');
+
+// Methods that are safe to repeat after a server error or dropped connection.
+// POSTs are only retried when Jira explicitly rejected them with a 429.
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE', 'HEAD'];
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const DEFAULT_SEARCH_FIELDS = ['summary', 'status', 'issuetype'];
+
 class JiraApiHelpers {
-  constructor() {
-    this.baseUrl = process.env.JIRA_URL;
-    this.email = process.env.JIRA_EMAIL;
-    this.token = process.env.JIRA_API_TOKEN;
-    this.authHeader = `Basic ${Buffer.from(`${this.email}:${this.token}`).toString('base64')}`;
+  constructor(options = {}) {
+    // 'cloud' or 'datacenter' (Data Center and Server); picks defaults where the APIs differ
+    this.deployment = options.deployment || process.env.JIRA_DEPLOYMENT || 'cloud';
+    if (!['cloud', 'datacenter'].includes(this.deployment)) {
+      throw new Error(`Unsupported JIRA_DEPLOYMENT: ${this.deployment} (expected "cloud" or "datacenter")`);
+    }
+
+    // Data Center is often served under a context path, e.g. https://jira.example.com/jira
+    const contextPath = (options.contextPath ?? process.env.JIRA_CONTEXT_PATH ?? '').replace(/\/+$/, '');
+    this.baseUrl = `${(options.baseUrl || process.env.JIRA_URL || '').replace(/\/+$/, '')}${contextPath && !contextPath.startsWith('/') ? '/' : ''}${contextPath}`;
+    // REST calls can go elsewhere, e.g. https://api.atlassian.com/ex/jira/<cloudId> for OAuth apps
+    this.apiBaseUrl = (options.apiBaseUrl || process.env.JIRA_API_BASE_URL || this.baseUrl).replace(/\/+$/, '');
+    this.auth = options.auth || createJiraAuth({ mode: options.authMode });
+
+    this.maxRetries = options.maxRetries ?? parseInt(process.env.JIRA_MAX_RETRIES || '3', 10);
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? parseInt(process.env.JIRA_RETRY_BASE_DELAY_MS || '500', 10);
+    this.retryMaxDelayMs = options.retryMaxDelayMs ?? parseInt(process.env.JIRA_RETRY_MAX_DELAY_MS || '30000', 10);
+    this.requestTimeoutMs = options.requestTimeoutMs ?? parseInt(process.env.JIRA_REQUEST_TIMEOUT_MS || '30000', 10);
+
+    // 'jql' = token-paginated /search/jql, 'classic' = startAt-paginated /search
+    // Data Center has no /search/jql endpoint
+    this.searchApi = options.searchApi || process.env.JIRA_SEARCH_API || (this.deployment === 'datacenter' ? 'classic' : 'jql');
+    this.searchPageSize = options.searchPageSize ?? parseInt(process.env.JIRA_SEARCH_PAGE_SIZE || '100', 10);
+
+    // Used by transitionToStatus when walking multi-step workflows
+    this.transitionMaxHops = options.transitionMaxHops ?? parseInt(process.env.JIRA_TRANSITION_MAX_HOPS || '6', 10);
+    this.defaultResolution = options.defaultResolution || process.env.JIRA_DEFAULT_RESOLUTION || 'Done';
+    // Transitions seen so far, per project and issue type: status -> [{ id, name, to }]
+    this.workflowGraphs = new Map();
+    // /field results rarely change, so they are fetched once per instance
+    this.fieldsPromise = null;
+    // The account the automation acts as, which tells its own comments apart
+    this.currentUserPromise = null;
+
+    // Wiki markup goes through REST API v2; ADF bodies are only accepted by v3
+    this.markup = options.markup || new JiraMarkup({ format: options.textFormat });
+    if (this.markup.format === 'adf' && this.deployment === 'datacenter') {
+      throw new Error('JIRA_TEXT_FORMAT=adf needs REST API v3, which Jira Data Center does not provide');
+    }
+    this.apiRoot = this.markup.format === 'adf' ? '/rest/api/3' : '/rest/api/2';
   }
 
-  async getIssue(issueKey) {
-    try {
-      const response = await fetch(`${this.baseUrl}/rest/api/2/issue/${issueKey}`, {
-        headers: {
-          'Authorization': this.authHeader,
-          'Content-Type': 'application/json'
+  // Shared request layer: timeouts, retries with exponential backoff and jitter,
+  // Retry-After support, and typed errors (see jira-errors.js)
+  async request(method, apiPath, options = {}) {
+    const url = `${this.apiBaseUrl}${apiPath}`;
+    const context = options.errorContext || `${method} ${apiPath} failed`;
+    const body = options.formData || (options.body !== undefined ? JSON.stringify(options.body) : undefined);
+    let reauthenticated = false;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const headers = {
+          'Authorization': await this.auth.getAuthorizationHeader(),
+          ...(options.formData ? { 'X-Atlassian-Token': 'no-check' } : { 'Content-Type': 'application/json' }),
+          ...(options.headers || {})
+        };
+        const response = await this.fetchWithTimeout(url, { method, headers, body });
+
+        if (response.ok) {
+          return await this.parseResponse(response, options.responseType || 'json');
         }
-      });
 
-      if (!response.ok) {
-        throw new Error(`Failed to fetch issue ${issueKey}: ${response.status}`);
+        const errorText = await response.text().catch(() => '');
+        throw JiraApiError.fromResponse(`${context}: ${response.status}${errorText ? ` - ${errorText}` : ''}`, {
+          status: response.status,
+          method,
+          url,
+          body: errorText,
+          retryAfterMs: this.parseRetryAfter(response.headers.get('retry-after'))
+        });
+
+      } catch (error) {
+        const wrapped = error instanceof JiraApiError
+          ? error
+          : new JiraNetworkError(`${context}: ${error.message}`, { method, url, timedOut: error.name === 'TimeoutError' });
+
+        if (wrapped.status === 401 && this.auth.refreshable && !reauthenticated) {
+          reauthenticated = true;
+          this.auth.invalidate();
+          attempt--;
+          console.log(`🔑 Jira ${method} ${apiPath} returned 401, retrying with a fresh access token`);
+          continue;
+        }
+
+        if (!this.shouldRetry(wrapped, method, attempt)) {
+          throw wrapped;
+        }
+
+        const delayMs = this.getRetryDelay(wrapped, attempt);
+        console.log(`⏳ Jira ${method} ${apiPath} failed (${wrapped.status || wrapped.name}), retrying in ${delayMs}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  async fetchWithTimeout(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.requestTimeoutMs);
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        const timeoutError = new Error(`Request timed out after ${this.requestTimeoutMs}ms`);
+        timeoutError.name = 'TimeoutError';
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async parseResponse(response, responseType) {
+    if (responseType === 'none' || response.status === 204) {
+      return null;
+    }
+    if (responseType === 'text') {
+      return await response.text();
+    }
+    if (responseType === 'buffer') {
+      return Buffer.from(await response.arrayBuffer());
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  shouldRetry(error, method, attempt) {
+    if (attempt >= this.maxRetries || !error.retryable) {
+      return false;
+    }
+    if (error instanceof JiraRateLimitError) {
+      // Waiting longer than the retry budget would hold the run (and the issue's queue) hostage
+      if (error.retryAfterMs != null && error.retryAfterMs > this.retryMaxDelayMs) {
+        console.log(`⏳ Jira asked to retry in ${error.retryAfterMs}ms, more than JIRA_RETRY_MAX_DELAY_MS (${this.retryMaxDelayMs}ms); giving up`);
+        return false;
       }
+      return true;
+    }
+    if (error.status && !RETRYABLE_STATUSES.includes(error.status)) {
+      return false;
+    }
+    return IDEMPOTENT_METHODS.includes(method);
+  }
+
+  getRetryDelay(error, attempt) {
+    if (error.retryAfterMs != null) {
+      return error.retryAfterMs;
+    }
+
+    // Exponential backoff with full jitter
+    const ceiling = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
 
-      return await response.json();
+  async getIssue(issueKey) {
+    try {
+      return await this.request('GET', `${this.apiRoot}/issue/${issueKey}`, {
+        errorContext: `Failed to fetch issue ${issueKey}`
+      });
     } catch (error) {
       console.error(`Error fetching issue ${issueKey}:`, error);
       throw error;
     }
   }
 
+  // `description` and comment bodies are written in the automation's Markdown
+  // style and rendered for the configured format; updateIssue sends fields as-is
   async createIssue(projectKey, issueType, summary, description, additionalFields = {}) {
     try {
       const payload = {
@@ -35,26 +207,16 @@ class JiraApiHelpers {
           project: { key: projectKey },
           issuetype: { name: issueType },
           summary: summary,
-          description: description,
+          description: this.markup.render(description),
           ...additionalFields
         }
       };
 
-      const response = await fetch(`${this.baseUrl}/rest/api/2/issue`, {
-        method: 'POST',
-        headers: {
-          'Authorization': this.authHeader,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
+      const newIssue = await this.request('POST', `${this.apiRoot}/issue`, {
+        body: payload,
+        errorContext: 'Failed to create issue'
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to create issue: ${response.status} - ${errorText}`);
-      }
-
-      const newIssue = await response.json();
       console.log(`✅ Created issue: ${newIssue.key}`);
       return newIssue;
     } catch (error) {
@@ -65,22 +227,12 @@ class JiraApiHelpers {
 
   async updateIssue(issueKey, fields) {
     try {
-      const payload = { fields };
-
-      const response = await fetch(`${this.baseUrl}/rest/api/2/issue/${issueKey}`, {
-        method: 'PUT',
-        headers: {
-          'Authorization': this.authHeader,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
+      await this.request('PUT', `${this.apiRoot}/issue/${issueKey}`, {
+        body: { fields },
+        responseType: 'none',
+        errorContext: `Failed to update issue ${issueKey}`
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to update issue ${issueKey}: ${response.status} - ${errorText}`);
-      }
-
       console.log(`✅ Updated issue: ${issueKey}`);
       return true;
     } catch (error) {
@@ -91,49 +243,76 @@ class JiraApiHelpers {
 
   async addComment(issueKey, comment) {
     try {
-      const payload = { body: comment };
-
-      const response = await fetch(`${this.baseUrl}/rest/api/2/issue/${issueKey}/comment`, {
-        method: 'POST',
-        headers: {
-          'Authorization': this.authHeader,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
+      const result = await this.request('POST', `${this.apiRoot}/issue/${issueKey}/comment`, {
+        body: { body: this.markup.render(comment) },
+        errorContext: `Failed to add comment to ${issueKey}`
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to add comment to ${issueKey}: ${response.status} - ${errorText}`);
-      }
-
       console.log(`✅ Added comment to ${issueKey}`);
-      return await response.json();
+      return result;
     } catch (error) {
       console.error(`Error adding comment to ${issueKey}:`, error);
       throw error;
     }
   }
 
-  async transitionIssue(issueKey, transitionId) {
-    try {
-      const payload = {
-        transition: { id: transitionId }
-      };
+  async getComments(issueKey) {
+    const comments = [];
+    let page;
 
-      const response = await fetch(`${this.baseUrl}/rest/api/2/issue/${issueKey}/transitions`, {
-        method: 'POST',
-        headers: {
-          'Authorization': this.authHeader,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
+    do {
+      page = await this.request('GET', `${this.apiRoot}/issue/${issueKey}/comment?startAt=${comments.length}&maxResults=100`, {
+        errorContext: `Failed to fetch comments for ${issueKey}`
       });
+      comments.push(...(page.comments || []));
+    } while ((page.comments || []).length > 0 && comments.length < page.total);
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to transition issue ${issueKey}: ${response.status} - ${errorText}`);
+    return comments;
+  }
+
+  async updateComment(issueKey, commentId, comment) {
+    try {
+      const result = await this.request('PUT', `${this.apiRoot}/issue/${issueKey}/comment/${commentId}`, {
+        body: { body: this.markup.render(comment) },
+        errorContext: `Failed to update comment ${commentId} on ${issueKey}`
+      });
+
+      console.log(`✅ Updated comment ${commentId} on ${issueKey}`);
+      return result;
+    } catch (error) {
+      console.error(`Error updating comment ${commentId} on ${issueKey}:`, error);
+      throw error;
+    }
+  }
+
+  // Keeps one comment per marker: finds the comment whose text contains `marker`,
+  // passes its Markdown (or null) to buildComment, and edits it in place or adds it
+  async upsertComment(issueKey, marker, buildComment) {
+    const comments = await this.getComments(issueKey);
+    const existing = comments.find(comment => this.markup.toMarkdown(comment.body).includes(marker));
+    const comment = buildComment(existing ? this.markup.toMarkdown(existing.body) : null);
+
+    if (existing) {
+      try {
+        return { ...await this.updateComment(issueKey, existing.id, comment), created: false };
+      } catch (error) {
+        // Deleted since it was read; fall through and post a fresh one
+        if (!(error instanceof JiraNotFoundError)) throw error;
       }
+    }
+    return { ...await this.addComment(issueKey, comment), created: true };
+  }
+
+  async transitionIssue(issueKey, transitionId, fields = {}) {
+    try {
+      await this.request('POST', `${this.apiRoot}/issue/${issueKey}/transitions`, {
+        body: {
+          transition: { id: transitionId },
+          ...(Object.keys(fields).length > 0 ? { fields } : {})
+        },
+        responseType: 'none',
+        errorContext: `Failed to transition issue ${issueKey}`
+      });
 
       console.log(`✅ Transitioned issue: ${issueKey}`);
       return true;
@@ -143,20 +322,13 @@ class JiraApiHelpers {
     }
   }
 
-  async getAvailableTransitions(issueKey) {
+  // With `expandFields`, each transition includes the fields on its screen
+  async getAvailableTransitions(issueKey, options = {}) {
+    const query = options.expandFields ? '?expand=transitions.fields' : '';
     try {
-      const response = await fetch(`${this.baseUrl}/rest/api/2/issue/${issueKey}/transitions`, {
-        headers: {
-          'Authorization': this.authHeader,
-          'Content-Type': 'application/json'
-        }
+      const data = await this.request('GET', `${this.apiRoot}/issue/${issueKey}/transitions${query}`, {
+        errorContext: `Failed to get transitions for ${issueKey}`
       });
-
-      if (!response.ok) {
-        throw new Error(`Failed to get transitions for ${issueKey}: ${response.status}`);
-      }
-
-      const data = await response.json();
       return data.transitions;
     } catch (error) {
       console.error(`Error getting transitions for ${issueKey}:`, error);
@@ -164,33 +336,220 @@ class JiraApiHelpers {
     }
   }
 
-  async searchIssues(jql, fields = ['summary', 'status', 'issuetype']) {
-    try {
-      const params = new URLSearchParams({
-        jql: jql,
-        fields: fields.join(','),
-        maxResults: '100'
-      });
+  // Moves an issue to `targetStatus` (a status name, not a transition name),
+  // taking several transitions when the workflow has no direct one. Options:
+  //   fields        - values for transition screens, e.g. { resolution: { name: "Won't Do" } }
+  //   resolution    - resolution name used when a screen requires one (default: JIRA_DEFAULT_RESOLUTION or 'Done')
+  //   avoidStatuses - statuses never entered on the way unless they are the target
+  //   maxHops       - give up after this many transitions (default: JIRA_TRANSITION_MAX_HOPS or 6)
+  //
+  // Jira only reports transitions out of the current status, so each step records
+  // what it sees. The shortest path through the recorded graph is taken when one
+  // exists; otherwise the walk moves on to a status it has not visited yet.
+  async transitionToStatus(issueKey, targetStatus, options = {}) {
+    const maxHops = options.maxHops ?? this.transitionMaxHops;
+    const avoid = (options.avoidStatuses || []).map(status => status.toLowerCase());
+    const issue = await this.getIssue(issueKey);
+    const graph = this.getWorkflowGraph(issue);
+    const path = [];
+
+    let currentStatus = issue.fields.status.name;
+    const visited = new Set([currentStatus.toLowerCase()]);
+
+    while (currentStatus.toLowerCase() !== targetStatus.toLowerCase()) {
+      const transitions = await this.getAvailableTransitions(issueKey, { expandFields: true });
+      graph.set(currentStatus.toLowerCase(), transitions.filter(t => t.to).map(t => ({ id: t.id, name: t.name, to: t.to.name })));
+
+      const errorDetails = {
+        issueKey,
+        targetStatus,
+        currentStatus,
+        path,
+        reachableStatuses: transitions.filter(t => t.to).map(t => t.to.name)
+      };
+
+      if (path.length >= maxHops) {
+        throw new JiraTransitionError(`Could not reach status "${targetStatus}" for ${issueKey} within ${maxHops} transitions (stopped at "${currentStatus}")`, errorDetails);
+      }
+
+      const next = this.chooseNextTransition(graph, transitions, currentStatus, targetStatus, visited, avoid);
+      if (!next) {
+        throw new JiraTransitionError(
+          `Status "${targetStatus}" is not reachable from "${currentStatus}" for ${issueKey}` +
+          ` (available: ${errorDetails.reachableStatuses.join(', ') || 'none'})`,
+          errorDetails
+        );
+      }
+
+      const fields = this.buildTransitionFields(issueKey, next, options, errorDetails);
+      await this.transitionIssue(issueKey, next.id, fields);
+
+      path.push({ transition: next.name, from: currentStatus, to: next.to.name });
+      currentStatus = next.to.name;
+      visited.add(currentStatus.toLowerCase());
+    }
+
+    if (path.length > 0) {
+      console.log(`✅ ${issueKey} reached "${currentStatus}" via ${path.map(step => step.transition).join(' → ')}`);
+    }
+    return { issueKey, status: currentStatus, path };
+  }
+
+  getWorkflowGraph(issue) {
+    const key = `${issue.fields.project?.key || ''}:${issue.fields.issuetype?.name || ''}`;
+    if (!this.workflowGraphs.has(key)) {
+      this.workflowGraphs.set(key, new Map());
+    }
+    return this.workflowGraphs.get(key);
+  }
 
-      const response = await fetch(`${this.baseUrl}/rest/api/2/search?${params}`, {
-        headers: {
-          'Authorization': this.authHeader,
-          'Content-Type': 'application/json'
+  chooseNextTransition(graph, transitions, currentStatus, targetStatus, visited, avoid) {
+    const target = targetStatus.toLowerCase();
+    const allowed = status => status === target || !avoid.includes(status);
+    const live = transitions.filter(t => t.to && allowed(t.to.name.toLowerCase()));
+
+    // Breadth-first search over the recorded graph gives the shortest known path
+    const firstHop = new Map([[currentStatus.toLowerCase(), null]]);
+    const queue = [currentStatus.toLowerCase()];
+    while (queue.length > 0) {
+      const status = queue.shift();
+      if (status === target) {
+        const hop = live.find(t => t.id === firstHop.get(status).id);
+        if (hop) return hop;
+        // The known first hop isn't available to this issue (conditions, permissions,
+        // or a graph learned from another issue of the type): explore instead
+        break;
+      }
+      for (const edge of graph.get(status) || []) {
+        const next = edge.to.toLowerCase();
+        if (!firstHop.has(next) && allowed(next)) {
+          firstHop.set(next, firstHop.get(status) || edge);
+          queue.push(next);
         }
-      });
+      }
+    }
+
+    // Nothing known leads there yet: explore, preferring statuses never seen before
+    const unvisited = live.filter(t => !visited.has(t.to.name.toLowerCase()));
+    return unvisited.find(t => !graph.has(t.to.name.toLowerCase())) || unvisited[0] || null;
+  }
 
-      if (!response.ok) {
-        throw new Error(`Failed to search issues: ${response.status}`);
+  buildTransitionFields(issueKey, transition, options, errorDetails) {
+    const fields = {};
+
+    for (const [fieldId, meta] of Object.entries(transition.fields || {})) {
+      if (options.fields && fieldId in options.fields) {
+        fields[fieldId] = options.fields[fieldId];
+        continue;
+      }
+      if (!meta.required || meta.hasDefaultValue) {
+        continue;
+      }
+
+      const allowedValues = meta.allowedValues || [];
+      const wanted = fieldId === 'resolution' ? (options.resolution || this.defaultResolution) : null;
+      const value = (wanted && allowedValues.find(v => (v.name || v.value || '').toLowerCase() === wanted.toLowerCase()))
+        || allowedValues[0];
+
+      if (!value) {
+        throw new JiraTransitionError(
+          `Transition "${transition.name}" on ${issueKey} requires field "${meta.name || fieldId}"; pass it in options.fields`,
+          errorDetails
+        );
       }
 
-      const data = await response.json();
-      return data.issues;
+      const reference = value.id ? { id: value.id } : { name: value.name || value.value };
+      fields[fieldId] = meta.schema?.type === 'array' ? [reference] : reference;
+    }
+
+    return fields;
+  }
+
+  // Collects every matching issue across all pages. Options:
+  //   limit     - stop after this many issues (default: no cap)
+  //   expand    - string or array passed through as `expand`
+  //   pageSize  - issues per request (default: JIRA_SEARCH_PAGE_SIZE or 100)
+  //   searchApi - 'jql' (token pagination) or 'classic' (startAt pagination)
+  async searchIssues(jql, fields = DEFAULT_SEARCH_FIELDS, options = {}) {
+    try {
+      const issues = [];
+      for await (const issue of this.iterateIssues(jql, { ...options, fields })) {
+        issues.push(issue);
+      }
+      return issues;
     } catch (error) {
       console.error('Error searching issues:', error);
       throw error;
     }
   }
 
+  // Streams matching issues page by page; takes the same options as searchIssues
+  async *iterateIssues(jql, options = {}) {
+    const limit = options.limit ?? Infinity;
+    const pageSize = options.pageSize || this.searchPageSize;
+    const searchApi = options.searchApi || this.searchApi;
+    const query = {
+      jql,
+      fields: options.fields || DEFAULT_SEARCH_FIELDS,
+      expand: options.expand
+    };
+
+    let yielded = 0;
+    let cursor = { startAt: 0, nextPageToken: null };
+
+    while (yielded < limit) {
+      const maxResults = Math.min(pageSize, limit - yielded);
+      const page = await this.fetchSearchPage(searchApi, query, cursor, maxResults);
+
+      for (const issue of page.issues) {
+        yield issue;
+        yielded++;
+        if (yielded >= limit) {
+          console.log(`DEBUG: Search stopped at limit of ${limit} issues`);
+          return;
+        }
+      }
+
+      if (searchApi === 'jql') {
+        if (page.isLast || !page.nextPageToken || page.issues.length === 0) return;
+        cursor = { nextPageToken: page.nextPageToken };
+      } else {
+        const nextStartAt = cursor.startAt + page.issues.length;
+        if (page.issues.length === 0 || nextStartAt >= page.total) return;
+        cursor = { startAt: nextStartAt };
+      }
+    }
+  }
+
+  async fetchSearchPage(searchApi, query, cursor, maxResults) {
+    const params = new URLSearchParams({
+      jql: query.jql,
+      fields: [].concat(query.fields).join(','),
+      maxResults: String(maxResults)
+    });
+    if (query.expand) {
+      params.set('expand', [].concat(query.expand).join(','));
+    }
+
+    if (searchApi === 'jql') {
+      if (cursor.nextPageToken) params.set('nextPageToken', cursor.nextPageToken);
+    } else {
+      params.set('startAt', String(cursor.startAt));
+    }
+
+    const endpoint = searchApi === 'jql' ? `${this.apiRoot}/search/jql` : `${this.apiRoot}/search`;
+    const data = await this.request('GET', `${endpoint}?${params}`, {
+      errorContext: 'Failed to search issues'
+    });
+
+    return {
+      issues: data.issues || [],
+      total: data.total,
+      nextPageToken: data.nextPageToken,
+      isLast: data.isLast
+    };
+  }
+
   async linkIssues(inwardIssueKey, outwardIssueKey, linkType = 'Relates') {
     try {
       const payload = {
@@ -199,20 +558,12 @@ class JiraApiHelpers {
         outwardIssue: { key: outwardIssueKey }
       };
 
-      const response = await fetch(`${this.baseUrl}/rest/api/2/issueLink`, {
-        method: 'POST',
-        headers: {
-          'Authorization': this.authHeader,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
+      await this.request('POST', `${this.apiRoot}/issueLink`, {
+        body: payload,
+        responseType: 'none',
+        errorContext: 'Failed to link issues'
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to link issues: ${response.status} - ${errorText}`);
-      }
-
       console.log(`✅ Linked issues: ${inwardIssueKey} -> ${outwardIssueKey}`);
       return true;
     } catch (error) {
@@ -221,73 +572,179 @@ class JiraApiHelpers {
     }
   }
 
-  async addAttachment(issueKey, filename, content) {
+  async addAttachment(issueKey, filename, content, contentType = 'text/plain') {
     try {
       const formData = new FormData();
-      formData.append('file', new Blob([content], { type: 'text/plain' }), filename);
+      formData.append('file', new Blob([content], { type: contentType }), filename);
 
-      const response = await fetch(`${this.baseUrl}/rest/api/2/issue/${issueKey}/attachments`, {
-        method: 'POST',
-        headers: {
-          'Authorization': this.authHeader,
-          'X-Atlassian-Token': 'no-check'
-        },
-        body: formData
+      const result = await this.request('POST', `${this.apiRoot}/issue/${issueKey}/attachments`, {
+        formData: formData,
+        errorContext: 'Failed to add attachment'
       });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to add attachment: ${response.status} - ${errorText}`);
-      }
-
       console.log(`✅ Added attachment to ${issueKey}: ${filename}`);
-      return await response.json();
+      return result;
     } catch (error) {
       console.error(`Error adding attachment to ${issueKey}:`, error);
       throw error;
     }
   }
 
-  async getProject(projectKey) {
+  // All system and custom fields: [{ id, name, custom, schema }]
+  async getFields() {
+    if (!this.fieldsPromise) {
+      this.fieldsPromise = this.request('GET', `${this.apiRoot}/field`, {
+        errorContext: 'Failed to list fields'
+      }).catch(error => {
+        this.fieldsPromise = null;
+        console.error('Error listing fields:', error);
+        throw error;
+      });
+    }
+    return this.fieldsPromise;
+  }
+
+  // Fields editable on this issue's screen, keyed by field id, with allowedValues
+  async getEditMeta(issueKey) {
     try {
-      const response = await fetch(`${this.baseUrl}/rest/api/2/project/${projectKey}`, {
-        headers: {
-          'Authorization': this.authHeader,
-          'Content-Type': 'application/json'
-        }
+      const data = await this.request('GET', `${this.apiRoot}/issue/${issueKey}/editmeta`, {
+        errorContext: `Failed to get edit metadata for ${issueKey}`
+      });
+      return data.fields || {};
+    } catch (error) {
+      console.error(`Error getting edit metadata for ${issueKey}:`, error);
+      throw error;
+    }
+  }
+
+  async deleteAttachment(attachmentId) {
+    try {
+      await this.request('DELETE', `${this.apiRoot}/attachment/${attachmentId}`, {
+        errorContext: `Failed to delete attachment ${attachmentId}`
       });
+      console.log(`✅ Deleted attachment ${attachmentId}`);
+    } catch (error) {
+      console.error(`Error deleting attachment ${attachmentId}:`, error);
+      throw error;
+    }
+  }
+
+  // Uploads the new version before removing older ones with the same filename,
+  // so the issue is never left without the file
+  async replaceAttachment(issueKey, filename, content, contentType = 'text/plain') {
+    const previous = (await this.getAttachments(issueKey)).filter(attachment => attachment.filename === filename);
+    const uploaded = await this.addAttachment(issueKey, filename, content, contentType);
+    const uploadedIds = (uploaded || []).map(attachment => String(attachment.id));
 
-      if (!response.ok) {
-        throw new Error(`Failed to fetch project ${projectKey}: ${response.status}`);
+    for (const attachment of previous) {
+      if (!uploadedIds.includes(String(attachment.id))) {
+        await this.deleteAttachment(attachment.id);
       }
+    }
+    return uploaded;
+  }
+
+  async getRemoteLinks(issueKey) {
+    return this.request('GET', `${this.apiRoot}/issue/${issueKey}/remotelink`, {
+      errorContext: `Failed to fetch remote links for ${issueKey}`
+    });
+  }
+
+  // Jira updates the existing link with the same globalId instead of adding another
+  async upsertRemoteLink(issueKey, link) {
+    try {
+      const result = await this.request('POST', `${this.apiRoot}/issue/${issueKey}/remotelink`, {
+        body: {
+          globalId: link.globalId,
+          ...(link.relationship ? { relationship: link.relationship } : {}),
+          object: {
+            url: link.url,
+            title: link.title,
+            ...(link.summary ? { summary: link.summary } : {}),
+            ...(link.iconUrl ? { icon: { url16x16: link.iconUrl, title: link.title } } : {})
+          }
+        },
+        errorContext: `Failed to add remote link to ${issueKey}`
+      });
 
-      return await response.json();
+      console.log(`✅ Linked ${issueKey} to ${link.url}`);
+      return result;
     } catch (error) {
-      console.error(`Error fetching project ${projectKey}:`, error);
+      console.error(`Error adding remote link to ${issueKey}:`, error);
       throw error;
     }
   }
 
-  async getCurrentUser() {
+  async getAttachments(issueKey) {
     try {
-      const response = await fetch(`${this.baseUrl}/rest/api/2/myself`, {
-        headers: {
-          'Authorization': this.authHeader,
-          'Content-Type': 'application/json'
-        }
+      const issue = await this.request('GET', `${this.apiRoot}/issue/${issueKey}?fields=attachment`, {
+        errorContext: `Failed to list attachments for ${issueKey}`
       });
+      return issue.fields.attachment || [];
+    } catch (error) {
+      console.error(`Error listing attachments for ${issueKey}:`, error);
+      throw error;
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`Failed to fetch current user: ${response.status}`);
-      }
+  // Returns the attachment body as a Buffer
+  async downloadAttachment(attachment) {
+    const fallbackPath = this.deployment === 'datacenter'
+      ? `/secure/attachment/${attachment.id}/${encodeURIComponent(attachment.filename)}`
+      : `${this.apiRoot}/attachment/content/${attachment.id}`;
+    const apiPath = attachment.content && attachment.content.startsWith(this.apiBaseUrl)
+      ? attachment.content.substring(this.apiBaseUrl.length)
+      : fallbackPath;
+
+    try {
+      return await this.request('GET', apiPath, {
+        headers: { 'Accept': '*/*' },
+        responseType: 'buffer',
+        errorContext: `Failed to download attachment ${attachment.filename}`
+      });
+    } catch (error) {
+      console.error(`Error downloading attachment ${attachment.filename}:`, error);
+      throw error;
+    }
+  }
+
+  async getProject(projectKey) {
+    try {
+      return await this.request('GET', `${this.apiRoot}/project/${projectKey}`, {
+        errorContext: `Failed to fetch project ${projectKey}`
+      });
+    } catch (error) {
+      console.error(`Error fetching project ${projectKey}:`, error);
+      throw error;
+    }
+  }
 
-      return await response.json();
+  async getCurrentUser() {
+    try {
+      return await this.request('GET', `${this.apiRoot}/myself`, {
+        errorContext: 'Failed to fetch current user'
+      });
     } catch (error) {
       console.error('Error fetching current user:', error);
       throw error;
     }
   }
 
+  // getCurrentUser, fetched once per instance
+  async getAutomationUser() {
+    if (!this.currentUserPromise) {
+      this.currentUserPromise = this.getCurrentUser().catch(error => {
+        this.currentUserPromise = null;
+        throw error;
+      });
+    }
+    return this.currentUserPromise;
+  }
+
+  async isAutomationComment(comment) {
+    return WebhookEventFilter.isAuthoredBy(comment, await this.getAutomationUser());
+  }
+
   formatComment(title, content, footer = null) {
     let comment = `**${title}**\n\n${content}`;
     if (footer) {
@@ -323,6 +780,9 @@ class JiraApiHelpers {
       return true;
     } catch (error) {
       console.error('❌ Jira API connection failed:', error);
+      if (error instanceof JiraAuthError) {
+        throw new JiraAuthError('Failed to validate Jira API connection: credentials were rejected', error);
+      }
       throw new Error('Failed to validate Jira API connection');
     }
   }
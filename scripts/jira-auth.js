@@ -0,0 +1,148 @@
+// Authentication strategies for JiraApiHelpers, selected with JIRA_AUTH_MODE:
+//   basic  - Jira Cloud email + API token (default)
+//   bearer - Jira Data Center/Server Personal Access Token
+//   oauth2 - OAuth 2.0 client credentials, with the access token refreshed before it expires
+//
+// Every strategy exposes getAuthorizationHeader() and invalidate(); the request
+// layer calls invalidate() after a 401 so a rotated or revoked token is fetched again.
+
+const { JiraAuthError } = require('./jira-errors.js');
+
+class BasicAuthStrategy {
+  constructor(options = {}) {
+    this.mode = 'basic';
+    this.email = options.email ?? process.env.JIRA_EMAIL;
+    this.token = options.token ?? process.env.JIRA_API_TOKEN;
+    if (!this.email || !this.token) {
+      throw new Error('JIRA_AUTH_MODE=basic requires JIRA_EMAIL and JIRA_API_TOKEN');
+    }
+  }
+
+  static requiredEnv() {
+    return ['JIRA_EMAIL', 'JIRA_API_TOKEN'];
+  }
+
+  async getAuthorizationHeader() {
+    return `Basic ${Buffer.from(`${this.email}:${this.token}`).toString('base64')}`;
+  }
+
+  invalidate() {}
+}
+
+class BearerTokenAuthStrategy {
+  constructor(options = {}) {
+    this.mode = 'bearer';
+    this.token = options.token ?? process.env.JIRA_PAT;
+    if (!this.token) {
+      throw new Error('JIRA_AUTH_MODE=bearer requires JIRA_PAT');
+    }
+  }
+
+  static requiredEnv() {
+    return ['JIRA_PAT'];
+  }
+
+  async getAuthorizationHeader() {
+    return `Bearer ${this.token}`;
+  }
+
+  invalidate() {}
+}
+
+class OAuthClientCredentialsStrategy {
+  constructor(options = {}) {
+    this.mode = 'oauth2';
+    // A 401 may just mean the token was revoked early; a fresh one is worth one retry
+    this.refreshable = true;
+    this.clientId = options.clientId ?? process.env.JIRA_OAUTH_CLIENT_ID;
+    this.clientSecret = options.clientSecret ?? process.env.JIRA_OAUTH_CLIENT_SECRET;
+    this.tokenUrl = options.tokenUrl ?? process.env.JIRA_OAUTH_TOKEN_URL ?? 'https://auth.atlassian.com/oauth/token';
+    this.scope = options.scope ?? process.env.JIRA_OAUTH_SCOPE;
+    this.audience = options.audience ?? process.env.JIRA_OAUTH_AUDIENCE;
+    // Refresh this long before the token's stated expiry
+    this.refreshMarginMs = options.refreshMarginMs ?? 60000;
+    this.fetch = options.fetch || fetch;
+
+    if (!this.clientId || !this.clientSecret) {
+      throw new Error('JIRA_AUTH_MODE=oauth2 requires JIRA_OAUTH_CLIENT_ID and JIRA_OAUTH_CLIENT_SECRET');
+    }
+
+    this.accessToken = null;
+    this.expiresAt = 0;
+    this.pendingRefresh = null;
+  }
+
+  static requiredEnv() {
+    return ['JIRA_OAUTH_CLIENT_ID', 'JIRA_OAUTH_CLIENT_SECRET'];
+  }
+
+  async getAuthorizationHeader() {
+    if (!this.accessToken || Date.now() >= this.expiresAt - this.refreshMarginMs) {
+      // Concurrent requests share one refresh
+      this.pendingRefresh = this.pendingRefresh || this.refreshToken().finally(() => {
+        this.pendingRefresh = null;
+      });
+      await this.pendingRefresh;
+    }
+    return `Bearer ${this.accessToken}`;
+  }
+
+  async refreshToken() {
+    const body = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: this.clientId,
+      client_secret: this.clientSecret
+    });
+    if (this.scope) body.set('scope', this.scope);
+    if (this.audience) body.set('audience', this.audience);
+
+    const response = await this.fetch(this.tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+      body: body.toString()
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new JiraAuthError(`OAuth token request failed: ${response.status}${errorText ? ` - ${errorText}` : ''}`, {
+        status: response.status,
+        method: 'POST',
+        url: this.tokenUrl,
+        body: errorText
+      });
+    }
+
+    const data = await response.json();
+    this.accessToken = data.access_token;
+    this.expiresAt = Date.now() + (data.expires_in || 3600) * 1000;
+    console.log(`✅ Obtained Jira OAuth access token (expires in ${data.expires_in || 3600}s)`);
+  }
+
+  invalidate() {
+    this.accessToken = null;
+    this.expiresAt = 0;
+  }
+}
+
+const STRATEGIES = {
+  basic: BasicAuthStrategy,
+  bearer: BearerTokenAuthStrategy,
+  oauth2: OAuthClientCredentialsStrategy
+};
+
+function createJiraAuth(options = {}) {
+  const mode = options.mode || process.env.JIRA_AUTH_MODE || 'basic';
+  const Strategy = STRATEGIES[mode];
+  if (!Strategy) {
+    throw new Error(`Unsupported JIRA_AUTH_MODE: ${mode} (expected ${Object.keys(STRATEGIES).join(', ')})`);
+  }
+  return new Strategy(options);
+}
+
+module.exports = {
+  createJiraAuth,
+  BasicAuthStrategy,
+  BearerTokenAuthStrategy,
+  OAuthClientCredentialsStrategy,
+  STRATEGIES
+};
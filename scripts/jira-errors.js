@@ -0,0 +1,97 @@
+// Typed errors raised by JiraApiHelpers so callers can branch on the failure kind
+
+class JiraApiError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'JiraApiError';
+    this.status = details.status ?? null;
+    this.method = details.method;
+    this.url = details.url;
+    this.body = details.body;
+    this.retryable = details.retryable ?? false;
+
+    // Same shape the processor's error logging already inspects
+    if (this.status) {
+      this.response = { status: this.status, data: this.body };
+    }
+  }
+
+  static fromResponse(message, details) {
+    const { status } = details;
+    if (status === 401 || status === 403) return new JiraAuthError(message, details);
+    if (status === 404) return new JiraNotFoundError(message, details);
+    if (status === 400 || status === 409 || status === 422) return new JiraValidationError(message, details);
+    if (status === 429) return new JiraRateLimitError(message, details);
+    if (status >= 500) return new JiraServerError(message, details);
+    return new JiraApiError(message, details);
+  }
+}
+
+class JiraAuthError extends JiraApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'JiraAuthError';
+  }
+}
+
+class JiraNotFoundError extends JiraApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'JiraNotFoundError';
+  }
+}
+
+class JiraValidationError extends JiraApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'JiraValidationError';
+  }
+}
+
+class JiraRateLimitError extends JiraApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'JiraRateLimitError';
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+class JiraServerError extends JiraApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'JiraServerError';
+  }
+}
+
+class JiraNetworkError extends JiraApiError {
+  constructor(message, details = {}) {
+    super(message, { ...details, retryable: true });
+    this.name = 'JiraNetworkError';
+    this.timedOut = details.timedOut ?? false;
+  }
+}
+
+// The target status could not be reached through the issue's workflow, or a
+// transition screen needs a value the caller did not supply
+class JiraTransitionError extends JiraApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'JiraTransitionError';
+    this.issueKey = details.issueKey;
+    this.targetStatus = details.targetStatus;
+    this.currentStatus = details.currentStatus;
+    this.path = details.path || [];
+    this.reachableStatuses = details.reachableStatuses || [];
+  }
+}
+
+module.exports = {
+  JiraApiError,
+  JiraAuthError,
+  JiraNotFoundError,
+  JiraValidationError,
+  JiraRateLimitError,
+  JiraServerError,
+  JiraNetworkError,
+  JiraTransitionError
+};
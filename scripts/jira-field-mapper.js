@@ -0,0 +1,172 @@
+// Writes analysis estimates and metadata into real Jira fields: story points,
+// time tracking, priority, components and a complexity label.
+//
+// Which fields are written comes from the project's route (`fields` in
+// config/project-routes.json, see project-routing.js). Custom fields are named
+// there ("Story Points") and resolved to ids through /rest/api/2/field; the
+// issue's edit metadata decides what is actually settable for that project.
+//
+// With `onlyEmpty` (used for the human-owned original issue) the analysis only
+// fills fields nobody has set; the complexity label is the automation's own and
+// is always written.
+
+const { JiraValidationError } = require('./jira-errors.js');
+
+const COMPLEXITY_LABEL_PREFIX = 'complexity-';
+
+class JiraFieldMapper {
+  constructor(options = {}) {
+    this.jiraApi = options.jiraApi;
+  }
+
+  // Returns { applied: { fieldId: value }, skipped: [{ field, reason }] }. Never
+  // throws: estimates are useful but not worth failing the pipeline over.
+  async applyAnalysis(issueKey, analysis, mapping, options = {}) {
+    const result = { applied: {}, skipped: [] };
+
+    try {
+      const editMeta = await this.jiraApi.getEditMeta(issueKey);
+      const current = options.onlyEmpty ? (await this.jiraApi.getIssue(issueKey)).fields || {} : null;
+      const fields = {};
+
+      for (const desired of this.buildDesiredValues(analysis, mapping)) {
+        const fieldId = await this.resolveFieldId(desired.field, editMeta);
+        if (!fieldId) {
+          result.skipped.push({ field: desired.field, reason: 'not on the edit screen for this project' });
+          continue;
+        }
+        if (current && fieldId !== 'labels' && this.hasValue(fieldId, current)) {
+          result.skipped.push({ field: desired.field, reason: 'already set on the issue' });
+          continue;
+        }
+
+        const value = this.toFieldValue(fieldId, desired.value, editMeta[fieldId]);
+        if (value === undefined) {
+          result.skipped.push({ field: desired.field, reason: `no allowed value matches "${desired.value}"` });
+          continue;
+        }
+        fields[fieldId] = fieldId === 'labels' ? [...(fields.labels || []), ...value] : value;
+      }
+
+      if (Object.keys(fields).length === 0) {
+        return result;
+      }
+
+      await this.updateFields(issueKey, fields, result);
+    } catch (error) {
+      console.error(`Failed to write estimate fields to ${issueKey}: ${error.message}`);
+      result.skipped.push({ field: '*', reason: error.message });
+    }
+
+    if (result.skipped.length > 0) {
+      console.log(`DEBUG: Fields skipped on ${issueKey}:`, result.skipped.map(s => `${s.field} (${s.reason})`).join('; '));
+    }
+    return result;
+  }
+
+  buildDesiredValues(analysis, mapping = {}) {
+    const effort = analysis.estimatedEffort || {};
+    const metadata = analysis.jiraMetadata || {};
+    const values = [];
+
+    if (mapping.storyPoints && Number.isFinite(Number(effort.storyPoints))) {
+      values.push({ field: mapping.storyPoints, value: Number(effort.storyPoints) });
+    }
+    if (mapping.originalEstimate && Number(effort.hours) > 0) {
+      values.push({ field: 'timetracking', value: { originalEstimate: `${Number(effort.hours)}h` } });
+    }
+    if (mapping.priority && metadata.priority) {
+      values.push({ field: 'priority', value: metadata.priority });
+    }
+    if (mapping.components && Array.isArray(metadata.components) && metadata.components.length > 0) {
+      values.push({ field: 'components', value: metadata.components });
+    }
+    if (mapping.complexityLabel && effort.complexity) {
+      values.push({ field: 'labels', value: [`${COMPLEXITY_LABEL_PREFIX}${String(effort.complexity).toLowerCase().replace(/\s+/g, '-')}`] });
+    }
+
+    return values;
+  }
+
+  // Jira gives new issues a default priority, so any priority counts as set
+  hasValue(fieldId, fields) {
+    const value = fieldId === 'timetracking' ? fields.timetracking?.originalEstimate : fields[fieldId];
+    return value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+  }
+
+  // Accepts a field id or a field name; a name shared by several fields
+  // resolves to the one this issue can actually edit
+  async resolveFieldId(nameOrId, editMeta) {
+    if (editMeta[nameOrId]) {
+      return nameOrId;
+    }
+
+    const wanted = nameOrId.toLowerCase();
+    const candidates = (await this.jiraApi.getFields())
+      .filter(field => field.id === nameOrId || (field.name || '').toLowerCase() === wanted)
+      .map(field => field.id);
+
+    return candidates.find(id => editMeta[id]) || null;
+  }
+
+  toFieldValue(fieldId, value, meta = {}) {
+    const allowedValues = meta.allowedValues;
+    const pick = name => {
+      if (!allowedValues) return { name };
+      const match = allowedValues.find(v => (v.name || v.value || '').toLowerCase() === String(name).toLowerCase());
+      return match ? { id: match.id } : undefined;
+    };
+
+    switch (fieldId) {
+      case 'priority':
+        return pick(value);
+      case 'components': {
+        const components = value.map(pick).filter(Boolean);
+        return components.length > 0 ? components : undefined;
+      }
+      case 'labels':
+      case 'timetracking':
+        return value;
+      default:
+        return meta.schema?.type === 'string' ? String(value) : value;
+    }
+  }
+
+  // One update for everything; if Jira rejects it, fall back to field-by-field
+  // so one misconfigured field doesn't block the rest
+  async updateFields(issueKey, fields, result) {
+    const withLabels = async subset => {
+      if (subset.labels) {
+        const issue = await this.jiraApi.getIssue(issueKey);
+        // A re-analysis replaces the previous complexity label instead of adding a second one
+        const existing = (issue.fields.labels || [])
+          .map(label => typeof label === 'string' ? label : label.name)
+          .filter(label => !label.startsWith(COMPLEXITY_LABEL_PREFIX));
+        const labels = subset.labels.filter(label => !existing.includes(label));
+        subset = { ...subset, labels: [...existing, ...labels] };
+      }
+      return subset;
+    };
+
+    try {
+      await this.jiraApi.updateIssue(issueKey, await withLabels(fields));
+      Object.assign(result.applied, fields);
+      return;
+    } catch (error) {
+      if (!(error instanceof JiraValidationError)) throw error;
+      console.log(`DEBUG: Bulk field update rejected for ${issueKey}, retrying field by field`);
+    }
+
+    for (const [fieldId, value] of Object.entries(fields)) {
+      try {
+        await this.jiraApi.updateIssue(issueKey, await withLabels({ [fieldId]: value }));
+        result.applied[fieldId] = value;
+      } catch (error) {
+        if (!(error instanceof JiraValidationError)) throw error;
+        result.skipped.push({ field: fieldId, reason: error.body || error.message });
+      }
+    }
+  }
+}
+
+module.exports = JiraFieldMapper;
@@ -0,0 +1,394 @@
+// Converts the automation's Markdown-style templates to the markup Jira expects:
+// wiki markup for REST API v2, or Atlassian Document Format (ADF) for REST API v3.
+// Also reads either format back into the same Markdown style so the parsers
+// (extractSection, extractDeliveryCriteria, marker checks) work on both.
+
+class JiraMarkup {
+  constructor(options = {}) {
+    this.format = options.format || process.env.JIRA_TEXT_FORMAT || 'wiki';
+    if (!['wiki', 'adf'].includes(this.format)) {
+      throw new Error(`Unsupported JIRA_TEXT_FORMAT: ${this.format} (expected "wiki" or "adf")`);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Writing: internal Markdown -> Jira
+  // ---------------------------------------------------------------------------
+
+  render(markdown) {
+    const blocks = this.parseMarkdownBlocks(markdown || '');
+    return this.format === 'adf' ? this.blocksToAdf(blocks) : this.blocksToWiki(blocks);
+  }
+
+  // Appends rendered Markdown to an existing Jira value without re-rendering
+  // (and so rewriting) the human-authored part
+  append(existingValue, markdown) {
+    if (!existingValue) {
+      return this.render(markdown);
+    }
+
+    const blocks = this.parseMarkdownBlocks(markdown || '');
+    if (this.isAdf(existingValue)) {
+      return { ...existingValue, content: [...(existingValue.content || []), ...this.blocksToAdf(blocks).content] };
+    }
+    return `${existingValue}\n\n${this.blocksToWiki(blocks)}`;
+  }
+
+  parseMarkdownBlocks(markdown) {
+    const blocks = [];
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    let paragraph = null;
+    let list = null;
+
+    const flush = () => {
+      if (paragraph) blocks.push(paragraph);
+      if (list) blocks.push(list);
+      paragraph = null;
+      list = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const trimmed = line.trim();
+
+      const fence = trimmed.match(/^```(\w*)\s*$/);
+      if (fence) {
+        flush();
+        const codeLines = [];
+        while (++i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+          codeLines.push(lines[i]);
+        }
+        blocks.push({ type: 'codeBlock', language: fence[1] || null, text: codeLines.join('\n') });
+        continue;
+      }
+
+      if (!trimmed) {
+        flush();
+        continue;
+      }
+
+      const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+      if (heading) {
+        flush();
+        blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+        continue;
+      }
+
+      if (/^(-{3,}|\*{3,})$/.test(trimmed)) {
+        flush();
+        blocks.push({ type: 'rule' });
+        continue;
+      }
+
+      // | a | b | rows; a | --- | separator marks the rows above it as the header
+      if (trimmed.startsWith('|')) {
+        flush();
+        const table = { type: 'table', header: null, rows: [] };
+        for (; i < lines.length && lines[i].trim().startsWith('|'); i++) {
+          const cells = this.splitTableRow(lines[i].trim());
+          if (cells.every(cell => /^:?-{3,}:?$/.test(cell))) {
+            table.header = table.header || table.rows.pop() || null;
+          } else {
+            table.rows.push(cells);
+          }
+        }
+        i--;
+        blocks.push(table);
+        continue;
+      }
+
+      const bullet = trimmed.match(/^[•\-*]\s+(.*)$/);
+      const ordered = trimmed.match(/^\d+\.\s+(.*)$/);
+      if (bullet || ordered) {
+        const listType = bullet ? 'bulletList' : 'orderedList';
+        if (paragraph) {
+          blocks.push(paragraph);
+          paragraph = null;
+        }
+        if (!list || list.type !== listType) {
+          if (list) blocks.push(list);
+          list = { type: listType, items: [] };
+        }
+        list.items.push((bullet || ordered)[1]);
+        continue;
+      }
+
+      if (list) {
+        blocks.push(list);
+        list = null;
+      }
+      paragraph = paragraph || { type: 'paragraph', lines: [] };
+      paragraph.lines.push(trimmed);
+    }
+
+    flush();
+    return blocks;
+  }
+
+  splitTableRow(line) {
+    return line.replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+  }
+
+  // Splits a line of Markdown into text runs with strong/em/code marks
+  parseInline(text) {
+    const tokens = [];
+    const pattern = /\*\*(.+?)\*\*|`([^`]+)`|(?<![*\w])\*([^*\s](?:[^*]*?[^*\s])?)\*(?![*\w])/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      if (match.index > lastIndex) {
+        tokens.push({ text: text.slice(lastIndex, match.index), marks: [] });
+      }
+      if (match[1] !== undefined) tokens.push({ text: match[1], marks: ['strong'] });
+      else if (match[2] !== undefined) tokens.push({ text: match[2], marks: ['code'] });
+      else tokens.push({ text: match[3], marks: ['em'] });
+      lastIndex = pattern.lastIndex;
+    }
+
+    if (lastIndex < text.length) {
+      tokens.push({ text: text.slice(lastIndex), marks: [] });
+    }
+    return tokens.filter(token => token.text.length > 0);
+  }
+
+  blocksToWiki(blocks) {
+    return blocks.map(block => {
+      switch (block.type) {
+        case 'heading':
+          return `h${block.level}. ${this.inlineToWiki(block.text)}`;
+        case 'rule':
+          return '----';
+        case 'codeBlock':
+          return `{code${block.language ? `:${block.language}` : ''}}\n${block.text}\n{code}`;
+        case 'bulletList':
+          return block.items.map(item => `* ${this.inlineToWiki(item)}`).join('\n');
+        case 'orderedList':
+          return block.items.map(item => `# ${this.inlineToWiki(item)}`).join('\n');
+        case 'table': {
+          const row = (cells, separator) => `${separator}${cells.map(cell => this.inlineToWiki(cell) || ' ').join(separator)}${separator}`;
+          return [
+            ...(block.header ? [row(block.header, '||')] : []),
+            ...block.rows.map(cells => row(cells, '|'))
+          ].join('\n');
+        }
+        default:
+          return block.lines.map(line => this.inlineToWiki(line)).join('\n');
+      }
+    }).join('\n\n');
+  }
+
+  inlineToWiki(text) {
+    return this.parseInline(text).map(token => {
+      if (token.marks.includes('code')) return `{{${token.text}}}`;
+      const escaped = token.text.replace(/([[{])/g, '\\$1');
+      if (token.marks.includes('strong')) return `*${escaped}*`;
+      if (token.marks.includes('em')) return `_${escaped}_`;
+      return escaped;
+    }).join('');
+  }
+
+  blocksToAdf(blocks) {
+    const paragraphOf = text => ({ type: 'paragraph', content: this.inlineToAdf(text) });
+
+    return {
+      type: 'doc',
+      version: 1,
+      content: blocks.map(block => {
+        switch (block.type) {
+          case 'heading':
+            return { type: 'heading', attrs: { level: block.level }, content: this.inlineToAdf(block.text) };
+          case 'rule':
+            return { type: 'rule' };
+          case 'codeBlock':
+            return {
+              type: 'codeBlock',
+              attrs: block.language ? { language: block.language } : {},
+              ...(block.text ? { content: [{ type: 'text', text: block.text }] } : {})
+            };
+          case 'bulletList':
+          case 'orderedList':
+            return {
+              type: block.type,
+              ...(block.type === 'orderedList' ? { attrs: { order: 1 } } : {}),
+              content: block.items.map(item => ({ type: 'listItem', content: [paragraphOf(item)] }))
+            };
+          case 'table': {
+            const row = (cells, cellType) => ({
+              type: 'tableRow',
+              content: cells.map(cell => ({ type: cellType, attrs: {}, content: [paragraphOf(cell)] }))
+            });
+            return {
+              type: 'table',
+              attrs: { isNumberColumnEnabled: false, layout: 'default' },
+              content: [
+                ...(block.header ? [row(block.header, 'tableHeader')] : []),
+                ...block.rows.map(cells => row(cells, 'tableCell'))
+              ]
+            };
+          }
+          default: {
+            const content = [];
+            block.lines.forEach((line, index) => {
+              if (index > 0) content.push({ type: 'hardBreak' });
+              content.push(...this.inlineToAdf(line));
+            });
+            return { type: 'paragraph', content };
+          }
+        }
+      })
+    };
+  }
+
+  inlineToAdf(text) {
+    return this.parseInline(text).map(token => ({
+      type: 'text',
+      text: token.text,
+      ...(token.marks.length > 0 ? { marks: token.marks.map(type => ({ type })) } : {})
+    }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reading: Jira -> internal Markdown
+  // ---------------------------------------------------------------------------
+
+  isAdf(value) {
+    return Boolean(value) && typeof value === 'object' && value.type === 'doc';
+  }
+
+  // Accepts ADF, wiki markup, or text already in the internal Markdown style
+  toMarkdown(value) {
+    if (!value) return '';
+    if (this.isAdf(value)) return this.adfToMarkdown(value);
+    if (typeof value !== 'string') return String(value);
+    return this.wikiToMarkdown(value);
+  }
+
+  wikiToMarkdown(wiki) {
+    const output = [];
+    let inCode = false;
+    // Number of the next item in a run of "# " lines
+    let ordered = 1;
+
+    for (const line of wiki.replace(/\r\n/g, '\n').split('\n')) {
+      const item = line.match(/^\s*#\s+(.*)$/);
+      if (!item) ordered = 1;
+
+      const codeMarker = line.trim().match(/^\{(?:code|noformat)(?::([\w]+))?[^}]*\}$/);
+      if (codeMarker) {
+        output.push(inCode ? '```' : `\`\`\`${codeMarker[1] || ''}`);
+        inCode = !inCode;
+        continue;
+      }
+      if (inCode) {
+        output.push(line);
+        continue;
+      }
+
+      const heading = line.match(/^\s*h([1-6])\.\s+(.*)$/);
+      if (heading) {
+        output.push(`${'#'.repeat(Number(heading[1]))} ${this.wikiInlineToMarkdown(heading[2])}`);
+        continue;
+      }
+      if (/^\s*-{4,}\s*$/.test(line)) {
+        output.push('---');
+        continue;
+      }
+
+      const tableRow = line.trim().match(/^(\|\|?)(.*?)\|*$/);
+      if (tableRow) {
+        const isHeader = tableRow[1] === '||';
+        const cells = tableRow[2].split(isHeader ? '||' : '|').map(cell => this.wikiInlineToMarkdown(cell.trim()));
+        output.push(`| ${cells.join(' | ')} |`);
+        if (isHeader) output.push(`|${' --- |'.repeat(cells.length)}`);
+        continue;
+      }
+
+      const bullet = line.match(/^\s*[*-]+\s+(.*)$/);
+      if (bullet) {
+        output.push(`• ${this.wikiInlineToMarkdown(bullet[1])}`);
+        continue;
+      }
+      // Only single-level numbered lists; "## Heading" is left for Markdown input
+      if (item) {
+        output.push(`${ordered++}. ${this.wikiInlineToMarkdown(item[1])}`);
+        continue;
+      }
+
+      output.push(this.wikiInlineToMarkdown(line));
+    }
+
+    return output.join('\n');
+  }
+
+  // Single-star bold and underscore italics become the Markdown equivalents;
+  // text that is already Markdown (**bold**) is left alone
+  wikiInlineToMarkdown(text) {
+    return text
+      .replace(/\{\{(.+?)\}\}/g, '`$1`')
+      .replace(/(^|[^*\w\\])\*([^*\s](?:[^*\n]*?[^*\s])?)\*(?![*\w])/g, '$1**$2**')
+      .replace(/(^|[^\w\\])_([^_\s](?:[^_\n]*?[^_\s])?)_(?!\w)/g, '$1*$2*')
+      .replace(/\\([[{])/g, '$1');
+  }
+
+  adfToMarkdown(doc) {
+    return (doc.content || []).map(node => this.adfBlockToMarkdown(node)).filter(Boolean).join('\n\n');
+  }
+
+  adfBlockToMarkdown(node) {
+    switch (node.type) {
+      case 'heading':
+        return `${'#'.repeat(node.attrs?.level || 1)} ${this.adfInlineToMarkdown(node.content)}`;
+      case 'paragraph':
+        return this.adfInlineToMarkdown(node.content);
+      case 'rule':
+        return '---';
+      case 'codeBlock':
+        return `\`\`\`${node.attrs?.language || ''}\n${this.adfInlineToMarkdown(node.content)}\n\`\`\``;
+      case 'bulletList':
+      case 'orderedList':
+        return (node.content || []).map((item, index) => {
+          const prefix = node.type === 'bulletList' ? '•' : `${(node.attrs?.order || 1) + index}.`;
+          const text = (item.content || []).map(child => this.adfBlockToMarkdown(child)).join(' ');
+          return `${prefix} ${text}`;
+        }).join('\n');
+      case 'blockquote':
+        return (node.content || []).map(child => `> ${this.adfBlockToMarkdown(child)}`).join('\n');
+      case 'table':
+        return (node.content || []).map(row => {
+          const cells = row.content || [];
+          const line = `| ${cells.map(cell => (cell.content || []).map(child => this.adfBlockToMarkdown(child)).join(' ')).join(' | ')} |`;
+          const isHeader = cells.length > 0 && cells.every(cell => cell.type === 'tableHeader');
+          return isHeader ? `${line}\n|${' --- |'.repeat(cells.length)}` : line;
+        }).join('\n');
+      default:
+        return node.content ? node.content.map(child => this.adfBlockToMarkdown(child)).join('\n') : this.adfInlineToMarkdown([node]);
+    }
+  }
+
+  adfInlineToMarkdown(nodes = []) {
+    return (nodes || []).map(node => {
+      switch (node.type) {
+        case 'text': {
+          const marks = (node.marks || []).map(mark => mark.type);
+          if (marks.includes('code')) return `\`${node.text}\``;
+          if (marks.includes('strong')) return `**${node.text}**`;
+          if (marks.includes('em')) return `*${node.text}*`;
+          return node.text;
+        }
+        case 'hardBreak':
+          return '\n';
+        case 'mention':
+          return node.attrs?.text || '@user';
+        case 'emoji':
+          return node.attrs?.text || node.attrs?.shortName || '';
+        case 'inlineCard':
+          return node.attrs?.url || '';
+        default:
+          return node.content ? this.adfInlineToMarkdown(node.content) : (node.text || '');
+      }
+    }).join('');
+  }
+}
+
+module.exports = JiraMarkup;
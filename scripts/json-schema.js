@@ -0,0 +1,111 @@
+// Minimal JSON Schema validator for the shapes Claude is asked to return. Covers
+// the keywords the schemas in config/schemas use: type, enum, const, required,
+// properties, additionalProperties, items, min/maxItems, minLength, minimum,
+// maximum and if/then/else. Errors carry JSON Pointer paths so they can be fed
+// back to Claude verbatim.
+//
+// Unlike standard JSON Schema, minLength counts the string without surrounding
+// whitespace, so "   " doesn't satisfy minLength: 1.
+
+class SchemaValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+class JsonSchemaValidator {
+  // Returns [{ path, message }]; empty when `value` matches
+  validate(schema, value, path = '') {
+    const errors = [];
+    const fail = message => errors.push({ path, message });
+
+    if (schema.type && !this.matchesType(schema.type, value)) {
+      fail(`must be ${[].concat(schema.type).join(' or ')} (got ${this.describeType(value)})`);
+      return errors;
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+      fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} item(s)`);
+      if (schema.items) {
+        value.forEach((item, index) => errors.push(...this.validate(schema.items, item, `${path}/${index}`)));
+      }
+    }
+
+    if (this.isObject(value)) {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push({ path: `${path}/${key}`, message: 'is required' });
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined) errors.push(...this.validate(propertySchema, value[key], `${path}/${key}`));
+      }
+      const additionalKeys = Object.keys(value).filter(key => !(schema.properties || {})[key]);
+      if (schema.additionalProperties === false) {
+        additionalKeys.forEach(key => errors.push({ path: `${path}/${key}`, message: 'is not an allowed property' }));
+      } else if (this.isObject(schema.additionalProperties)) {
+        additionalKeys.forEach(key => errors.push(...this.validate(schema.additionalProperties, value[key], `${path}/${key}`)));
+      }
+    }
+
+    if (schema.if) {
+      const branch = this.validate(schema.if, value, path).length === 0 ? schema.then : schema.else;
+      if (branch) errors.push(...this.validate(branch, value, path));
+    }
+
+    return errors;
+  }
+
+  // Throws SchemaValidationError listing every mismatch
+  assertValid(schema, value, label = 'value') {
+    const errors = this.validate(schema, value);
+    if (errors.length > 0) {
+      throw new SchemaValidationError(`${label} does not match its schema:\n${this.formatErrors(errors)}`, errors);
+    }
+    return value;
+  }
+
+  formatErrors(errors) {
+    return errors.map(error => `- ${error.path || '(root)'} ${error.message}`).join('\n');
+  }
+
+  matchesType(type, value) {
+    return [].concat(type).some(candidate => {
+      switch (candidate) {
+        case 'object': return this.isObject(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'null': return value === null;
+        default: return typeof value === candidate;
+      }
+    });
+  }
+
+  describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+module.exports = { JsonSchemaValidator, SchemaValidationError };
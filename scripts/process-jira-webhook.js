@@ -4,13 +4,48 @@ const ClaudeRequirementsAnalyzer = require('./claude-requirements-analyzer.js');
 const ClaudeImplementationAgent = require('./claude-implementation.js');
 const JiraApiHelpers = require('./jira-api-helpers.js');
 const ClaudeTestingEvaluator = require('./claude-testing-evaluator.js');
+const WebhookEventFilter = require('./webhook-event-filter.js');
+const WebhookIdempotencyStore = require('./webhook-idempotency-store.js');
+const ProjectRouter = require('./project-routing.js');
+const AttachmentContextBuilder = require('./attachment-context.js');
+const IssueContextBuilder = require('./issue-context.js');
+const JiraFieldMapper = require('./jira-field-mapper.js');
+const AutomationStatusComment = require('./automation-status-comment.js');
+const ArtifactLinker = require('./artifact-links.js');
+const ClarificationRequests = require('./clarification-requests.js');
+const RequirementTraceability = require('./requirement-traceability.js');
+const DuplicateDetector = require('./duplicate-detection.js');
+const { JiraNotFoundError } = require('./jira-errors.js');
+
+// Results that finish a delivery's work. Only these mark the delivery as
+// processed: a failed or errored run has to stay retryable.
+const COMPLETED_ACTIONS = [
+  'requirements_analyzed',
+  'clarification_requested',
+  'duplicate_review_requested',
+  'implementation_generated',
+  'subtasks_rolled_up',
+  'evaluation_passed'
+];
 
 class JiraWebhookProcessor {
-  constructor() {
-    this.requirementsAnalyzer = new ClaudeRequirementsAnalyzer();
-    this.implementationAgent = new ClaudeImplementationAgent();
-    this.testingEvaluator = new ClaudeTestingEvaluator();
-    this.jiraApi = new JiraApiHelpers();
+  constructor(options = {}) {
+    // Collaborators can be swapped out (e.g. recorded Jira/Claude fixtures for offline replay)
+    this.requirementsAnalyzer = options.requirementsAnalyzer || new ClaudeRequirementsAnalyzer(options);
+    this.implementationAgent = options.implementationAgent || new ClaudeImplementationAgent(options);
+    this.testingEvaluator = options.testingEvaluator || new ClaudeTestingEvaluator(options);
+    this.jiraApi = options.jiraApi || new JiraApiHelpers();
+    this.eventFilter = options.eventFilter || new WebhookEventFilter();
+    this.idempotencyStore = options.idempotencyStore || new WebhookIdempotencyStore();
+    this.projectRouter = options.projectRouter || new ProjectRouter();
+    this.attachmentContextBuilder = options.attachmentContextBuilder || new AttachmentContextBuilder({ jiraApi: this.jiraApi });
+    this.issueContextBuilder = options.issueContextBuilder || new IssueContextBuilder({ jiraApi: this.jiraApi });
+    this.fieldMapper = options.fieldMapper || new JiraFieldMapper({ jiraApi: this.jiraApi });
+    this.statusComment = options.statusComment || new AutomationStatusComment({ jiraApi: this.jiraApi });
+    this.artifactLinker = options.artifactLinker || new ArtifactLinker({ jiraApi: this.jiraApi });
+    this.clarifications = options.clarifications || new ClarificationRequests({ jiraApi: this.jiraApi });
+    this.traceability = options.traceability || new RequirementTraceability();
+    this.duplicateDetector = options.duplicateDetector || new DuplicateDetector({ jiraApi: this.jiraApi });
   }
 
   async processWebhook(webhookPayload) {
@@ -23,18 +58,44 @@ class JiraWebhookProcessor {
     try {
       console.log(`Processing webhook for issue: ${webhookPayload.issue?.key || 'unknown'}`);
       
+      // Payloads too large for repository_dispatch arrive with the issue key only
+      webhookPayload = await this.hydrateWebhookPayload(webhookPayload);
+      
       // Validate webhook payload
       console.log(`\n--- VALIDATION PHASE ---`);
-      const isValid = this.isValidWebhookEvent(webhookPayload);
-      console.log(`DEBUG: Webhook validation result:`, isValid);
+      const filterResult = this.eventFilter.evaluate(webhookPayload);
+      console.log(`DEBUG: Webhook validation result:`, filterResult.actionable);
       
-      if (!isValid) {
-        const result = { action: 'ignored', reason: 'Non-actionable event' };
+      if (!filterResult.actionable) {
+        const result = { action: 'ignored', reason: filterResult.reason || 'Non-actionable event' };
         console.log('Ignoring non-actionable webhook event');
         console.log(`=== WEBHOOK PROCESSING END (${Date.now() - startTime}ms) ===\n`);
         return result;
       }
 
+      // Unknown projects are rejected rather than processed with another project's settings
+      const projectKey = this.eventFilter.getProjectKey(webhookPayload.issue);
+      const route = this.projectRouter.getRoute(projectKey);
+      if (!route) {
+        const result = { action: 'rejected', reason: `No route configured for project ${projectKey}` };
+        console.log(`Rejecting webhook: ${result.reason}`);
+        console.log(`=== WEBHOOK PROCESSING END (${Date.now() - startTime}ms) ===\n`);
+        return result;
+      }
+
+      // Skip deliveries that have already been processed (Jira retries, duplicate dispatches)
+      console.log(`\n--- IDEMPOTENCY PHASE ---`);
+      const deliveryKey = this.idempotencyStore.getDeliveryKey(webhookPayload);
+      console.log(`DEBUG: Delivery key: ${deliveryKey}`);
+      
+      const previousDelivery = await this.idempotencyStore.get(deliveryKey);
+      if (previousDelivery) {
+        const result = this.buildDuplicateResult(webhookPayload, previousDelivery, 'Webhook delivery already processed');
+        console.log(`Skipping duplicate delivery (previous action: ${previousDelivery.action})`);
+        console.log(`=== WEBHOOK PROCESSING END (${Date.now() - startTime}ms) ===\n`);
+        return result;
+      }
+
       // Classify the issue type using Claude markers
       console.log(`\n--- CLASSIFICATION PHASE ---`);
       const classification = this.classifyIssueType(webhookPayload);
@@ -44,10 +105,45 @@ class JiraWebhookProcessor {
       let result;
       
       switch (classification) {
-        case 'initial_inquiry':
+        case 'initial_inquiry': {
+          // issue_created is often followed by an issue_updated for the same issue;
+          // only ever analyze an original issue once
+          const stageKey = this.idempotencyStore.getStageKey(webhookPayload.issue.key, 'initial_inquiry');
+          const previousAnalysis = await this.idempotencyStore.get(stageKey);
+          
+          if (previousAnalysis) {
+            console.log(`Requirements already analyzed for ${webhookPayload.issue.key} - skipping`);
+            result = this.buildDuplicateResult(webhookPayload, previousAnalysis, 'Requirements already analyzed for this issue');
+            break;
+          }
+          
           console.log(`Routing to initial inquiry processing`);
           result = await this.processInitialInquiry(webhookPayload);
+          
+          if (result.action === 'requirements_analyzed') {
+            await this.recordProcessed(stageKey, webhookPayload, result);
+          }
           break;
+        }
+
+        case 'clarification_response': {
+          const stageKey = this.idempotencyStore.getStageKey(webhookPayload.issue.key, 'initial_inquiry');
+          const previousAnalysis = await this.idempotencyStore.get(stageKey);
+
+          if (previousAnalysis) {
+            console.log(`Requirements already analyzed for ${webhookPayload.issue.key} - skipping`);
+            result = this.buildDuplicateResult(webhookPayload, previousAnalysis, 'Requirements already analyzed for this issue');
+            break;
+          }
+
+          console.log(`Routing to clarification response processing`);
+          result = await this.processClarificationResponse(webhookPayload);
+
+          if (result.action === 'requirements_analyzed') {
+            await this.recordProcessed(stageKey, webhookPayload, result);
+          }
+          break;
+        }
         
         case 'deliverable_criteria':
           console.log(`Routing to deliverable criteria processing`);
@@ -66,6 +162,10 @@ class JiraWebhookProcessor {
           break;
       }
 
+      if (COMPLETED_ACTIONS.includes(result.action)) {
+        await this.recordProcessed(deliveryKey, webhookPayload, result);
+      }
+
       console.log(`\n--- FINAL RESULT ---`);
       console.log(`DEBUG: Processing result:`, result);
       console.log(`=== WEBHOOK PROCESSING END (${Date.now() - startTime}ms) ===\n`);
@@ -87,6 +187,57 @@ class JiraWebhookProcessor {
     }
   }
 
+  async hydrateWebhookPayload(webhookPayload) {
+    if (!webhookPayload.issueFieldsOmitted) {
+      return webhookPayload;
+    }
+
+    console.log(`DEBUG: Issue fields omitted from dispatch - fetching ${webhookPayload.issue.key} from Jira`);
+    let issue;
+    try {
+      issue = await this.jiraApi.getIssue(webhookPayload.issue.key);
+    } catch (error) {
+      if (!(error instanceof JiraNotFoundError)) throw error;
+
+      // Deleted (or no longer visible) since the webhook fired - leave the key-only
+      // payload in place so the event filter ignores it
+      console.log(`DEBUG: ${webhookPayload.issue.key} no longer exists in Jira`);
+      return webhookPayload;
+    }
+    
+    return {
+      ...webhookPayload,
+      issueFieldsOmitted: false,
+      issue: issue
+    };
+  }
+
+  buildDuplicateResult(webhookPayload, previousEntry, reason) {
+    return {
+      action: 'duplicate_skipped',
+      reason: reason,
+      issueKey: webhookPayload.issue.key,
+      webhookEvent: webhookPayload.webhookEvent,
+      previousAction: previousEntry.action,
+      previouslyProcessedAt: previousEntry.recordedAt,
+      criteriaIssue: previousEntry.criteriaIssue
+    };
+  }
+
+  async recordProcessed(key, webhookPayload, result) {
+    try {
+      await this.idempotencyStore.record(key, {
+        issueKey: webhookPayload.issue.key,
+        webhookEvent: webhookPayload.webhookEvent,
+        action: result.action,
+        criteriaIssue: result.criteriaIssue
+      });
+    } catch (error) {
+      // Losing the record only risks reprocessing a duplicate later
+      console.error(`Failed to record processed delivery ${key}:`, error.message);
+    }
+  }
+
   async processDeliverableCriteria(webhookPayload) {
     const issue = webhookPayload.issue;
     
@@ -100,13 +251,35 @@ class JiraWebhookProcessor {
       }
 
       // Extract original issue key from summary
-      const originalKey = this.extractOriginalIssueKey(issue.fields.summary, issue.fields.description);
+      const originalKey = this.extractOriginalIssueKey(issue.fields.summary, this.getDescriptionText(issue));
       if (!originalKey) {
         throw new Error('Could not extract original issue key from deliverable criteria');
       }
 
       console.log(`DEBUG: Original issue: ${originalKey}`);
       
+      // Work that was broken down is implemented one sub-task at a time
+      if (this.hasSubtasks(issue)) {
+        console.log(`Skipping implementation - ${issue.key} is implemented per sub-task`);
+        
+        await this.updateAutomationStatus(issue.key, {
+          stage: 'Implementation',
+          result: 'Runs per sub-task',
+          summary: `Split into ${issue.fields.subtasks.length} sub-tasks`,
+          details: `This issue is split into sub-tasks:\n\n${this.listSubtasks(issue)}\n\nMove each sub-task to "Ready for Implementation" to develop it. Results are rolled up to this issue.`
+        });
+        
+        return {
+          action: 'skipped',
+          reason: 'Implemented per sub-task',
+          criteriaIssue: issue.key,
+          originalIssue: originalKey,
+          subtasks: issue.fields.subtasks.map(subtask => subtask.key)
+        };
+      }
+      
+      const workItemPath = this.getWorkItemPath(originalKey, issue);
+      
       // Check stage progression
       const highestStage = this.getHighestStageCompleted(issue);
       const hasForceReimplement = this.hasOverrideLabel ? this.hasOverrideLabel(issue, 'reimplement') : false;
@@ -114,14 +287,13 @@ class JiraWebhookProcessor {
       if ((highestStage === 'implemented' || highestStage === 'tested') && !hasForceReimplement) {
         console.log(`Skipping implementation - already completed (stage: ${highestStage})`);
         
-        await this.jiraApi.addComment(
-          issue.key,
-          this.jiraApi.formatComment(
-            'Implementation Skipped',
-            `Implementation was skipped because it has already been completed (stage: ${highestStage}).\n\nTo force regeneration, add the label \`claude-force-reimplement\` and try again.`,
-            '*Skipped by Claude Automation System*'
-          )
-        );
+        await this.updateAutomationStatus(issue.key, {
+          stage: 'Implementation',
+          result: 'Skipped',
+          summary: `Already completed (stage: ${highestStage})`,
+          details: `Implementation was skipped because it has already been completed (stage: ${highestStage}).\n\nTo force regeneration, add the label \`claude-force-reimplement\` and try again.`,
+          links: [{ label: 'Artifacts', value: `\`work-items/${workItemPath}/implementation/\`` }]
+        });
         
         return { 
           action: 'skipped', 
@@ -174,6 +346,12 @@ class JiraWebhookProcessor {
             '*Error logged by Claude Automation System*'
           )
         );
+        await this.updateAutomationStatus(issue.key, {
+          stage: 'Implementation',
+          result: 'Failed',
+          summary: implementationError.message,
+          details: `Implementation generation failed - see the error comment posted at this time.\n\n\`${implementationError.message}\``
+        });
         
         return {
           action: 'implementation_failed',
@@ -189,8 +367,11 @@ class JiraWebhookProcessor {
       let artifactsResult;
       
       try {
-        artifactsResult = await this.createImplementationArtifacts(originalKey, implementation);
+        artifactsResult = await this.createImplementationArtifacts(originalKey, implementation, workItemPath);
         console.log('DEBUG: Artifacts creation successful');
+        await this.linkArtifacts(issue, 'Implementation',
+          artifactsResult.files.map(file => `${workItemPath}/implementation/${file}`),
+          [`${workItemPath}/implementation/${this.getPrimaryFileName(implementation.implementation.type)}`]);
         
       } catch (artifactsError) {
         console.error('DEBUG: Artifacts creation failed:', artifactsError.message);
@@ -204,6 +385,12 @@ class JiraWebhookProcessor {
             '*Error logged by Claude Automation System*'
           )
         );
+        await this.updateAutomationStatus(issue.key, {
+          stage: 'Implementation',
+          result: 'Failed',
+          summary: `Artifacts not written: ${artifactsError.message}`,
+          details: `The implementation was generated but its artifacts could not be written - see the error comment posted at this time.\n\n\`${artifactsError.message}\``
+        });
         
         return {
           action: 'artifacts_failed',
@@ -217,28 +404,25 @@ class JiraWebhookProcessor {
       
       // Step 5: Update criteria issue with success
       console.log('DEBUG: Updating issue with success status...');
-      await this.jiraApi.addComment(
-        issue.key,
-        this.jiraApi.formatComment(
-          'Implementation Generated',
-          `Claude has successfully generated the implementation for ${originalKey}.
-
-  **Implementation Details:**
-  - Type: ${implementation.implementation.type}
-  - Title: ${implementation.implementation.title}
-
-  **Artifacts Created:**
-  ${artifactsResult.files.map(file => `• ${file}`).join('\n')}
-
-  **Next Steps:**
-  1. Review generated implementation in repository
-  2. Move to "Testing Criteria" status to trigger automated evaluation
-  3. Or proceed with manual testing and review
-
-  **Repository Location:** \`work-items/${originalKey}/implementation/\``,
-          '*Generated by Claude Automation System*'
-        )
-      );
+      await this.updateAutomationStatus(issue.key, {
+        stage: 'Implementation',
+        result: 'Generated',
+        summary: `${implementation.implementation.type}: ${implementation.implementation.title}`,
+        details: `Claude has successfully generated the implementation for ${originalKey}.
+
+**Implementation Details:**
+• Type: ${implementation.implementation.type}
+• Title: ${implementation.implementation.title}
+
+**Artifacts Created:**
+${artifactsResult.files.map(file => `• ${file}`).join('\n')}
+
+**Next Steps:**
+1. Review generated implementation in repository
+2. Move to "Testing Criteria" status to trigger automated evaluation
+3. Or proceed with manual testing and review`,
+        links: [{ label: 'Artifacts', value: `\`work-items/${workItemPath}/implementation/\`` }]
+      });
       
       // Step 6: Update stage label (don't let this break the flow)
       try {
@@ -247,6 +431,11 @@ class JiraWebhookProcessor {
         console.error('Failed to update stage label, but continuing:', labelError.message);
       }
       
+      // Step 7: Roll sub-task progress up to the parent criteria issue
+      if (this.eventFilter.isSubtask(issue)) {
+        await this.rollUpSubtaskResults(issue.fields.parent.key, originalKey);
+      }
+      
       console.log(`DEBUG: Deliverable criteria processing complete for ${issue.key}`);
       
       return {
@@ -269,6 +458,12 @@ class JiraWebhookProcessor {
           '*Error logged by Claude Automation System*'
         )
       );
+      await this.updateAutomationStatus(issue.key, {
+        stage: 'Implementation',
+        result: 'Error',
+        summary: error.message,
+        details: `A system error stopped the run - see the error comment posted at this time.\n\n\`${error.message}\``
+      });
       
       return {
         action: 'system_error',
@@ -292,7 +487,7 @@ class JiraWebhookProcessor {
       }
 
       // Extract original issue key from summary
-      const originalKey = this.extractOriginalIssueKey(issue.fields.summary, issue.fields.description);
+      const originalKey = this.extractOriginalIssueKey(issue.fields.summary, this.getDescriptionText(issue));
       if (!originalKey) {
         throw new Error('Could not extract original issue key from deliverable criteria');
       }
@@ -300,6 +495,21 @@ class JiraWebhookProcessor {
       console.log(`DEBUG: Original issue: ${originalKey}`);
       console.log(`DEBUG: Criteria issue: ${issue.key}`);
       
+      // Broken-down work is evaluated per sub-task; here the results are only collected
+      if (this.hasSubtasks(issue)) {
+        console.log(`Rolling up sub-task results for ${issue.key}`);
+        const rollup = await this.rollUpSubtaskResults(issue.key, originalKey);
+        
+        return {
+          action: 'subtasks_rolled_up',
+          criteriaIssue: issue.key,
+          originalIssue: originalKey,
+          rollup: rollup
+        };
+      }
+      
+      const workItemPath = this.getWorkItemPath(originalKey, issue);
+      
       // Check stage progression
       const highestStage = this.getHighestStageCompleted(issue);
       const hasForceRetest = this.hasOverrideLabel ? this.hasOverrideLabel(issue, 'retest') : false;
@@ -307,14 +517,13 @@ class JiraWebhookProcessor {
       if (highestStage === 'tested' && !hasForceRetest) {
         console.log(`Skipping testing - already completed`);
         
-        await this.jiraApi.addComment(
-          issue.key,
-          this.jiraApi.formatComment(
-            'Testing Skipped',
-            `Testing was skipped because it has already been completed.\n\nTo force re-evaluation, add the label \`claude-force-retest\` and try again.`,
-            '*Skipped by Claude Testing Evaluation System*'
-          )
-        );
+        await this.updateAutomationStatus(issue.key, {
+          stage: 'Testing',
+          result: 'Skipped',
+          summary: 'Already evaluated',
+          details: `Testing was skipped because it has already been completed.\n\nTo force re-evaluation, add the label \`claude-force-retest\` and try again.`,
+          links: [{ label: 'Evaluation Report', value: `\`work-items/${workItemPath}/evaluation/evaluation-summary.md\`` }]
+        });
         
         return { 
           action: 'skipped', 
@@ -338,7 +547,7 @@ class JiraWebhookProcessor {
       let implementationResult;
       
       try {
-        implementationResult = await this.loadImplementationResult(originalKey);
+        implementationResult = await this.loadImplementationResult(originalKey, workItemPath);
         console.log('DEBUG: Implementation loaded successfully');
         console.log('DEBUG: Implementation type:', implementationResult.implementation.type);
       } catch (loadError) {
@@ -348,10 +557,16 @@ class JiraWebhookProcessor {
           issue.key,
           this.jiraApi.formatComment(
             'Testing Evaluation - ERROR',
-            `Unable to load implementation artifacts for evaluation:\n\n\`${loadError.message}\`\n\nPlease ensure the implementation has been generated first by moving the issue to "Ready for Implementation".\n\n**Repository Location:** \`work-items/${originalKey}/\``,
+            `Unable to load implementation artifacts for evaluation:\n\n\`${loadError.message}\`\n\nPlease ensure the implementation has been generated first by moving the issue to "Ready for Implementation".\n\n**Repository Location:** \`work-items/${workItemPath}/\``,
             '*Error logged by Claude Testing Evaluation System*'
           )
         );
+        await this.updateAutomationStatus(issue.key, {
+          stage: 'Testing',
+          result: 'Error',
+          summary: `Implementation not found: ${loadError.message}`,
+          details: `The implementation artifacts could not be loaded - see the error comment posted at this time.\n\n\`${loadError.message}\``
+        });
         
         return {
           action: 'evaluation_failed',
@@ -370,7 +585,8 @@ class JiraWebhookProcessor {
         evaluationResult = await this.testingEvaluator.evaluateImplementation(
           issue,
           originalKey,
-          implementationResult
+          implementationResult,
+          workItemPath
         );
         
         console.log('DEBUG: Evaluation successful');
@@ -386,10 +602,16 @@ class JiraWebhookProcessor {
           issue.key,
           this.jiraApi.formatComment(
             'Testing Evaluation - ERROR',
-            `An error occurred during automated testing evaluation:\n\n\`${evaluationError.message}\`\n\nThis may indicate:\n• Implementation artifacts are missing or corrupted\n• Deliverable criteria format issues\n• Claude API communication problems\n\nPlease check the implementation artifacts and try again, or proceed with manual evaluation.\n\n**Repository Location:** \`work-items/${originalKey}/\``,
+            `An error occurred during automated testing evaluation:\n\n\`${evaluationError.message}\`\n\nThis may indicate:\n• Implementation artifacts are missing or corrupted\n• Deliverable criteria format issues\n• Claude API communication problems\n\nPlease check the implementation artifacts and try again, or proceed with manual evaluation.\n\n**Repository Location:** \`work-items/${workItemPath}/\``,
             '*Error logged by Claude Testing Evaluation System*'
           )
         );
+        await this.updateAutomationStatus(issue.key, {
+          stage: 'Testing',
+          result: 'Error',
+          summary: evaluationError.message,
+          details: `The evaluation could not be completed - see the error comment posted at this time.\n\n\`${evaluationError.message}\``
+        });
         
         return {
           action: 'evaluation_failed',
@@ -403,7 +625,10 @@ class JiraWebhookProcessor {
       // Step 3: Save evaluation results
       console.log('DEBUG: Step 3 - Saving evaluation results...');
       try {
-        await this.saveEvaluationResults(originalKey, evaluationResult);
+        await this.saveEvaluationResults(originalKey, evaluationResult, workItemPath);
+        await this.linkArtifacts(issue, 'Evaluation',
+          [`${workItemPath}/evaluation/evaluation-summary.md`, `${workItemPath}/evaluation/evaluation-results.json`],
+          [`${workItemPath}/evaluation/evaluation-summary.md`]);
       } catch (saveError) {
         console.error('Failed to save evaluation results:', saveError.message);
         // Continue even if saving fails
@@ -427,33 +652,36 @@ class JiraWebhookProcessor {
           evaluationResult.evaluation
         );
         
-        await this.jiraApi.addComment(
-          issue.key,
-          this.jiraApi.formatComment(
-            'Testing Evaluation - PASSED',
-            `Claude has successfully evaluated the implementation and it **PASSES** all criteria.
-
-  **Final Score: ${evaluationResult.finalScore.overallScore}/100** ✅
-  - Requirements Coverage: ${evaluationResult.finalScore.breakdown.requirementsCoverage}/25
-  - Quality & Craftsmanship: ${evaluationResult.finalScore.breakdown.qualityCraftsmanship}/25  
-  - Usability & Practicality: ${evaluationResult.finalScore.breakdown.usabilityPracticality}/25
-  - Completeness & Polish: ${evaluationResult.finalScore.breakdown.completenessPolish}/25
-
-  **Error Analysis: ${evaluationResult.finalScore.errorCount} errors found**
-
-  **Implementation Type:** ${evaluationResult.implementationType}
-
-  ${usageInstructions}
-
-  **Repository Location:** \`work-items/${originalKey}/\`
-  **Evaluation Report:** \`work-items/${originalKey}/evaluation/evaluation-summary.md\``,
-            '*Generated by Claude Testing Evaluation System*'
-          )
-        );
+        await this.updateAutomationStatus(issue.key, {
+          stage: 'Testing',
+          result: `Passed (${evaluationResult.finalScore.overallScore}/100)`,
+          summary: `${evaluationResult.finalScore.errorCount} errors found`,
+          details: `Claude has successfully evaluated the implementation and it **PASSES** all criteria.
+
+**Final Score: ${evaluationResult.finalScore.overallScore}/100** ✅
+• Requirements Coverage: ${evaluationResult.finalScore.breakdown.requirementsCoverage}/25
+• Quality & Craftsmanship: ${evaluationResult.finalScore.breakdown.qualityCraftsmanship}/25
+• Usability & Practicality: ${evaluationResult.finalScore.breakdown.usabilityPracticality}/25
+• Completeness & Polish: ${evaluationResult.finalScore.breakdown.completenessPolish}/25
+
+**Error Analysis: ${evaluationResult.finalScore.errorCount} errors found**
+
+**Implementation Type:** ${evaluationResult.implementationType}
+
+${usageInstructions}`,
+          links: [
+            { label: 'Artifacts', value: `\`work-items/${workItemPath}/\`` },
+            { label: 'Evaluation Report', value: `\`work-items/${workItemPath}/evaluation/evaluation-summary.md\`` }
+          ]
+        });
         
         // Update to completion status
         await this.updateToCompletionStatus(issue.key, originalKey, evaluationResult);
         
+        if (this.eventFilter.isSubtask(issue)) {
+          await this.rollUpSubtaskResults(issue.fields.parent.key, originalKey);
+        }
+        
         return {
           action: 'evaluation_passed',
           criteriaIssue: issue.key,
@@ -466,32 +694,35 @@ class JiraWebhookProcessor {
         console.log('DEBUG: Step 5b - Implementation FAILED evaluation');
         
         const score = evaluationResult.finalScore;
-        await this.jiraApi.addComment(
-          issue.key,
-          this.jiraApi.formatComment(
-            'Testing Evaluation - FAILED',
-            `Claude has evaluated the implementation and it **FAILS** to meet criteria.
-
-  **Final Score: ${score.overallScore}/100** ❌ (Required: ${score.passingScore}/100)
-  - Requirements Coverage: ${score.breakdown.requirementsCoverage}/25
-  - Quality & Craftsmanship: ${score.breakdown.qualityCraftsmanship}/25  
-  - Usability & Practicality: ${score.breakdown.usabilityPracticality}/25
-  - Completeness & Polish: ${score.breakdown.completenessPolish}/25
-
-  **Error Analysis: ${score.errorCount} errors found** (${score.criticalErrors} critical, ${score.highErrors} high)
-
-  **Critical Issues:**
-  ${evaluationResult.evaluation.errors.filter(e => e.severity === 'CRITICAL').map(error => 
-    `• **${error.type}:** ${error.description}`
-  ).join('\n') || 'No critical issues'}
-
-  **Repository Location:** \`work-items/${originalKey}/\`
-  **Detailed Report:** \`work-items/${originalKey}/evaluation/evaluation-summary.md\`
-
-  Please address the identified issues and re-submit for evaluation.`,
-            '*Generated by Claude Testing Evaluation System*'
-          )
-        );
+        await this.updateAutomationStatus(issue.key, {
+          stage: 'Testing',
+          result: `Failed (${score.overallScore}/100)`,
+          summary: `${score.errorCount} errors (${score.criticalErrors} critical, ${score.highErrors} high)`,
+          details: `Claude has evaluated the implementation and it **FAILS** to meet criteria.
+
+**Final Score: ${score.overallScore}/100** ❌ (Required: ${score.passingScore}/100)
+• Requirements Coverage: ${score.breakdown.requirementsCoverage}/25
+• Quality & Craftsmanship: ${score.breakdown.qualityCraftsmanship}/25
+• Usability & Practicality: ${score.breakdown.usabilityPracticality}/25
+• Completeness & Polish: ${score.breakdown.completenessPolish}/25
+
+**Error Analysis: ${score.errorCount} errors found** (${score.criticalErrors} critical, ${score.highErrors} high)
+
+**Critical Issues:**
+${evaluationResult.evaluation.errors.filter(e => e.severity === 'CRITICAL').map(error =>
+  `• **${error.type}:** ${error.description}`
+).join('\n') || 'No critical issues'}
+
+Please address the identified issues and re-submit for evaluation.`,
+          links: [
+            { label: 'Artifacts', value: `\`work-items/${workItemPath}/\`` },
+            { label: 'Detailed Report', value: `\`work-items/${workItemPath}/evaluation/evaluation-summary.md\`` }
+          ]
+        });
+        
+        if (this.eventFilter.isSubtask(issue)) {
+          await this.rollUpSubtaskResults(issue.fields.parent.key, originalKey);
+        }
         
         return {
           action: 'evaluation_failed',
@@ -514,6 +745,12 @@ class JiraWebhookProcessor {
           '*Error logged by Claude Testing Evaluation System*'
         )
       );
+      await this.updateAutomationStatus(issue.key, {
+        stage: 'Testing',
+        result: 'Error',
+        summary: error.message,
+        details: `A system error stopped the run - see the error comment posted at this time.\n\n\`${error.message}\``
+      });
       
       return {
         action: 'system_error',
@@ -524,72 +761,10 @@ class JiraWebhookProcessor {
     }
   }
 
-  isValidWebhookEvent(webhookPayload) {
-    console.log(`Validating webhook event: ${webhookPayload.webhookEvent}`);
-    
-    // Only process specific webhook events
-    const supportedEvents = [
-      'jira:issue_created',
-      'jira:issue_updated'
-    ];
-
-    if (!supportedEvents.includes(webhookPayload.webhookEvent)) {
-      console.log(`Unsupported event type: ${webhookPayload.webhookEvent}`);
-      return false;
-    }
-
-    // Must have issue data
-    if (!webhookPayload.issue || !webhookPayload.issue.key) {
-      console.log(`Missing issue data in webhook payload`);
-      return false;
-    }
-
-    const issue = webhookPayload.issue;
-    const issueType = issue.fields.issuetype.name;
-    const status = issue.fields.status.name;
-
-    console.log(`Issue: ${issue.key}, Type: ${issueType}, Status: ${status}`);
-
-    // Only process Stories and Tasks
-    if (!['Story', 'Task'].includes(issueType)) {
-      console.log(`Issue type '${issueType}' not supported for automation`);
-      return false;
-    }
-
-    // For updated events, only proceed if it's a meaningful status change
-    if (webhookPayload.webhookEvent === 'jira:issue_updated') {
-      // Check if this was a status change
-      const changelog = webhookPayload.changelog;
-      const isStatusChange = changelog?.items?.some(item => item.field === 'status');
-      
-      if (!isStatusChange) {
-        console.log(`Updated event but no status change - ignoring`);
-        return false;
-      }
-
-      // For deliverable criteria issues moving to ready state
-      const summary = issue.fields.summary || '';
-      if (summary.includes('Deliverable Criteria:')) {
-        const actionableStatuses = ['Ready for Implementation', 'In Progress', 'Ready for Development', 'Testing Criteria'];
-        if (!actionableStatuses.includes(status)) {
-          console.log(`Deliverable criteria issue not in actionable status: ${status}`);
-          return false;
-        }
-      } else {
-        // For regular issues, we typically don't care about status updates
-        console.log(`Regular issue status update - ignoring`);
-        return false;
-      }
-    }
-
-    console.log(`Webhook event validated successfully`);
-    return true;
-  }
-
   classifyIssueType(webhookPayload) {
     const issue = webhookPayload.issue;
     const summary = issue.fields.summary || '';
-    const description = issue.fields.description || '';
+    const description = this.getDescriptionText(issue);
     const status = issue.fields.status.name;
     
     console.log(`\n--- CLASSIFICATION DEBUG ---`);
@@ -598,6 +773,14 @@ class JiraWebhookProcessor {
     console.log(`DEBUG: Status: ${status}`);
     console.log(`DEBUG: Description preview: "${description.substring(0, 100)}${description.length > 100 ? '...' : ''}"`);
     console.log(`DEBUG: Issue type: ${issue.fields.issuetype.name}`);
+
+    // The event filter only lets through comments that may answer clarifying
+    // questions or confirm a duplicate review; the automation's own comments are
+    // told apart by author in processClarificationResponse
+    if (webhookPayload.webhookEvent === 'comment_created') {
+      console.log(`DEBUG: Classification result: clarification_response`);
+      return 'clarification_response';
+    }
     
     // Check for Claude markers (most computationally efficient first)
     const hasClaudeMarker = this.hasClaudeMarkers(summary, description);
@@ -610,11 +793,11 @@ class JiraWebhookProcessor {
     }
     
     // Claude-touched item - check specific type and status
-    if (summary.includes('Deliverable Criteria:')) {
+    if (this.eventFilter.isCriteriaSummary(summary)) {
       console.log('Deliverable criteria detected');
       
       // Check if it's in testing status
-      if (status === 'Testing Criteria') {
+      if (status === WebhookEventFilter.TESTING_STATUS) {
         console.log('Deliverable criteria moved to testing - ready for evaluation');
         console.log(`DEBUG: Classification result: testing_criteria`);
         return 'testing_criteria';
@@ -667,22 +850,29 @@ class JiraWebhookProcessor {
 
   isReadyForImplementation(webhookPayload) {
     const status = webhookPayload.issue.fields.status.name;
-    const readyStatuses = [
-      'Ready for Implementation',
-      'In Progress', 
-      'Ready for Development'
-    ];
-    
-    return readyStatuses.includes(status);
+    return WebhookEventFilter.READY_FOR_IMPLEMENTATION_STATUSES.includes(status);
   }
 
-  async processInitialInquiry(webhookPayload) {
+  // `clarificationHistory` (ClarificationRequests.collect()) is passed when the
+  // analysis resumes after clarifying questions were answered
+  async processInitialInquiry(webhookPayload, clarificationHistory = { rounds: [] }) {
     const issue = webhookPayload.issue;
     
     console.log(`\n--- INITIAL INQUIRY PROCESSING ---`);
     console.log(`DEBUG: Processing initial inquiry: ${issue.key}`);
     console.log(`DEBUG: Issue summary: ${issue.fields.summary}`);
-    console.log(`DEBUG: Issue description length: ${(issue.fields.description || '').length} characters`);
+    console.log(`DEBUG: Issue description length: ${this.getDescriptionText(issue).length} characters`);
+    
+    // Step 0: Look for duplicates before paying for an analysis
+    const duplicateCheck = await this.checkForDuplicates(issue);
+    if (duplicateCheck.paused) {
+      return {
+        action: 'duplicate_review_requested',
+        originalIssue: issue.key,
+        reason: `Close match with an approved implementation: ${duplicateCheck.blockingMatches.map(match => match.key).join(', ')}`,
+        possibleDuplicates: duplicateCheck.matches
+      };
+    }
     
     try {
       // Step 1: Analyze requirements with Claude
@@ -690,7 +880,24 @@ class JiraWebhookProcessor {
       console.log('DEBUG: Claude API Key present:', !!process.env.CLAUDE_API_KEY);
       console.log('DEBUG: Claude API Key length:', process.env.CLAUDE_API_KEY ? process.env.CLAUDE_API_KEY.length : 0);
       
-      const analysis = await this.requirementsAnalyzer.analyzeRequirements(issue);
+      const attachmentContext = await this.collectAttachmentContext(issue.key);
+      const issueContext = await this.collectIssueContext(issue);
+      const analysis = await this.requirementsAnalyzer.analyzeRequirements(issue, attachmentContext, issueContext, {
+        rounds: clarificationHistory.rounds,
+        allowQuestions: this.clarifications.canAsk(clarificationHistory)
+      });
+
+      // Too vague to analyze: ask instead of inventing criteria
+      if (!analysis.readiness.ready) {
+        console.log(`DEBUG: ${issue.key} is not ready for analysis - asking clarifying questions`);
+        await this.clarifications.request(issue, analysis.readiness);
+        return {
+          action: 'clarification_requested',
+          originalIssue: issue.key,
+          reason: analysis.readiness.reason,
+          questions: analysis.readiness.questions
+        };
+      }
       
       console.log('DEBUG: Step 1 complete - Analysis received');
       console.log('DEBUG: Analysis keys:', Object.keys(analysis));
@@ -706,9 +913,10 @@ class JiraWebhookProcessor {
       
       // Step 3: Create deliverable criteria issue
       console.log('DEBUG: Step 3 - Creating deliverable criteria issue...');
-      console.log('DEBUG: Project key extracted:', issue.key.split('-')[0]);
+      const route = this.projectRouter.getRoute(this.eventFilter.getProjectKey(issue));
+      console.log('DEBUG: Project key extracted:', route.projectKey);
       
-      const criteriaIssue = await this.createDeliverableCriteriaIssue(issue, analysis);
+      const criteriaIssue = await this.createDeliverableCriteriaIssue(issue, analysis, attachmentContext, issueContext);
       
       console.log('DEBUG: Step 3 complete - Criteria issue created');
       console.log('DEBUG: New criteria issue key:', criteriaIssue.key);
@@ -716,9 +924,28 @@ class JiraWebhookProcessor {
       
       // Step 4: Link the issues
       console.log('DEBUG: Step 4 - Linking issues...');
-      await this.jiraApi.linkIssues(issue.key, criteriaIssue.key, 'Relates');
+      await this.jiraApi.linkIssues(issue.key, criteriaIssue.key, route.pipeline.criteriaLinkType);
       console.log('DEBUG: Step 4 complete - Issues linked');
       
+      // Step 5: Break larger work down into sub-tasks of the criteria issue
+      console.log('DEBUG: Step 5 - Creating work breakdown sub-tasks...');
+      const subtasks = await this.createWorkBreakdownSubtasks(issue, criteriaIssue, analysis, route);
+      console.log(`DEBUG: Step 5 complete - ${subtasks.length} sub-tasks created`);
+      
+      // Step 6: Write estimates and metadata into Jira fields
+      console.log('DEBUG: Step 6 - Writing estimate fields...');
+      const fieldUpdates = await this.applyEstimateFields(route, { original: issue.key, criteria: criteriaIssue.key }, analysis);
+      console.log('DEBUG: Step 6 complete - Estimate fields written');
+
+      // Step 7: No longer waiting for answers
+      if (this.clarifications.isAwaiting(issue)) {
+        try {
+          await this.clarifications.resolve(issue.key);
+        } catch (labelError) {
+          console.error('Failed to remove the awaiting clarification label, but continuing:', labelError.message);
+        }
+      }
+      
       console.log(`DEBUG: Initial inquiry processing complete for ${issue.key}`);
       console.log(`DEBUG: Summary - Original: ${issue.key}, Criteria: ${criteriaIssue.key}`);
       
@@ -726,7 +953,10 @@ class JiraWebhookProcessor {
         action: 'requirements_analyzed',
         originalIssue: issue.key,
         criteriaIssue: criteriaIssue.key,
-        analysis: analysis
+        subtasks: subtasks,
+        analysis: analysis,
+        fieldUpdates: fieldUpdates,
+        possibleDuplicates: duplicateCheck.matches
       };
 
     } catch (error) {
@@ -760,6 +990,71 @@ class JiraWebhookProcessor {
     }
   }
 
+  // Returns { matches, blockingMatches, paused }. Detection is advisory: when it
+  // fails, the analysis goes ahead as if there were no matches
+  async checkForDuplicates(issue) {
+    try {
+      const matches = await this.duplicateDetector.findMatches(issue);
+      if (matches.length === 0) {
+        return { matches, blockingMatches: [], paused: false };
+      }
+
+      const route = this.projectRouter.getRoute(this.eventFilter.getProjectKey(issue));
+      await this.duplicateDetector.flag(issue, matches, route.pipeline.duplicateLinkType);
+
+      const blockingMatches = this.duplicateDetector.getBlockingMatches(matches);
+      const awaiting = this.duplicateDetector.isAwaitingReview(issue);
+      if (blockingMatches.length > 0 && !(await this.duplicateDetector.isConfirmed(issue.key))) {
+        if (!awaiting) {
+          await this.duplicateDetector.requestReview(issue, blockingMatches);
+        }
+        return { matches, blockingMatches, paused: true };
+      }
+
+      if (awaiting) {
+        await this.duplicateDetector.resolve(issue.key);
+      }
+      return { matches, blockingMatches, paused: false };
+    } catch (error) {
+      console.error(`Duplicate check failed for ${issue.key}, continuing with the analysis: ${error.message}`);
+      return { matches: [], blockingMatches: [], paused: false };
+    }
+  }
+
+  // A comment on an issue that is waiting for answers resumes the analysis with
+  // every round of questions and answers so far
+  async processClarificationResponse(webhookPayload) {
+    const issueKey = webhookPayload.issue.key;
+    console.log(`\n--- CLARIFICATION RESPONSE PROCESSING ---`);
+
+    // Our own questions and notes arrive as comment_created too
+    if (await this.jiraApi.isAutomationComment(webhookPayload.comment)) {
+      return { action: 'ignored', reason: 'Comment posted by the automation' };
+    }
+
+    // Comment payloads carry a partial issue
+    const issue = await this.jiraApi.getIssue(issueKey);
+    if (this.duplicateDetector.isAwaitingReview(issue)) {
+      if (!(await this.duplicateDetector.isConfirmed(issueKey))) {
+        return { action: 'ignored', reason: `No "${DuplicateDetector.CONFIRMATION_PHRASE}" comment confirming the duplicate review yet` };
+      }
+      console.log(`DEBUG: Duplicate review of ${issueKey} confirmed - analyzing`);
+      return this.processInitialInquiry({ ...webhookPayload, issue }, await this.clarifications.collect(issueKey));
+    }
+    if (!this.clarifications.isAwaiting(issue)) {
+      return { action: 'ignored', reason: 'Issue is not awaiting clarification' };
+    }
+
+    const history = await this.clarifications.collect(issueKey);
+    const latestRound = history.rounds[history.rounds.length - 1];
+    if (!latestRound || latestRound.answers.length === 0) {
+      return { action: 'ignored', reason: 'No answers to the clarifying questions yet' };
+    }
+
+    console.log(`DEBUG: Resuming analysis of ${issueKey} after ${history.rounds.length} round(s) of questions`);
+    return this.processInitialInquiry({ ...webhookPayload, issue }, history);
+  }
+
   async markIssueAsTouchedByClaude(issueKey, analysis) {
     console.log(`\n--- MARKING ISSUE AS TOUCHED ---`);
     console.log(`DEBUG: Starting to mark issue ${issueKey} as touched by Claude`);
@@ -768,7 +1063,7 @@ class JiraWebhookProcessor {
     console.log(`DEBUG: Timestamp: ${timestamp}`);
     
     try {
-      const claudeMarker = `\n\n---\n*Touched by Claude* - Requirements analyzed on ${timestamp}\n\n**Analysis Summary:**\n• ${analysis.deliveryCriteria.functionalRequirements.length} functional requirements identified\n• ${analysis.validationTests.unitTests.length} test scenarios defined\n• Estimated effort: ${analysis.estimatedEffort.storyPoints} story points\n\nDetailed delivery criteria created in linked issue.`;
+      const claudeMarker = `\n\n---\n*Touched by Claude* - Requirements analyzed on ${timestamp}\n\n**Analysis Summary:**\n• ${analysis.deliveryCriteria.functionalRequirements.length} functional requirements identified\n• ${analysis.validationTests.unitTests.length} test scenarios defined\n• Estimated effort: ${analysis.estimatedEffort.storyPoints} story points${analysis.workBreakdown?.length ? `\n• Split into ${analysis.workBreakdown.length} sub-tasks` : ''}\n\nDetailed delivery criteria created in linked issue.`;
       
       console.log(`DEBUG: Claude marker content (${claudeMarker.length} chars): ${claudeMarker.substring(0, 100)}...`);
       
@@ -776,12 +1071,12 @@ class JiraWebhookProcessor {
       console.log(`DEBUG: Fetching current issue ${issueKey} from Jira...`);
       const issue = await this.jiraApi.getIssue(issueKey);
       console.log(`DEBUG: Current issue fetched successfully`);
-      console.log(`DEBUG: Current description length: ${(issue.fields.description || '').length} chars`);
+      console.log(`DEBUG: Current description length: ${this.getDescriptionText(issue).length} chars`);
       
-      const currentDescription = issue.fields.description || '';
-      const updatedDescription = currentDescription + claudeMarker;
+      // Appended in the issue's own format so the human-written part is left untouched
+      const updatedDescription = this.jiraApi.markup.append(issue.fields.description, claudeMarker);
       
-      console.log(`DEBUG: Updated description length: ${updatedDescription.length} chars`);
+      console.log(`DEBUG: Updated description length: ${JSON.stringify(updatedDescription).length} chars`);
       console.log(`DEBUG: Updating issue ${issueKey} with Claude marker...`);
       
       await this.jiraApi.updateIssue(issueKey, {
@@ -838,11 +1133,173 @@ class JiraWebhookProcessor {
     }
   }
 
-  async createDeliverableCriteriaIssue(originalIssue, analysis) {
+  // `targets` maps the route's fields.applyTo entries ('original', 'criteria') to issue keys.
+  // The original issue belongs to its reporter, so only its empty fields are filled.
+  async applyEstimateFields(route, targets, analysis) {
+    const updates = {};
+    for (const target of route.fields.applyTo || []) {
+      if (targets[target]) {
+        updates[targets[target]] = await this.fieldMapper.applyAnalysis(targets[target], analysis, route.fields, {
+          onlyEmpty: target === 'original'
+        });
+      }
+    }
+    return updates;
+  }
+
+  // Attachments are supporting material: if they can't be listed the analysis
+  // goes ahead on the issue text alone
+  async collectAttachmentContext(issueKey) {
+    try {
+      return await this.attachmentContextBuilder.build(issueKey);
+    } catch (error) {
+      console.error(`DEBUG: Could not collect attachments for ${issueKey}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Same for the parent, links and comments
+  async collectIssueContext(issue) {
+    try {
+      return await this.issueContextBuilder.build(issue);
+    } catch (error) {
+      console.error(`DEBUG: Could not collect related context for ${issue.key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  formatConsideredContext(issueContext) {
+    if (!issueContext || issueContext.considered.length === 0) {
+      return '';
+    }
+
+    const lines = issueContext.considered.map(entry =>
+      `• ${entry.label} - ${entry.usage}${entry.note ? `: ${entry.note}` : ''}`
+    );
+    return `\n\n## Related Context Considered\n${lines.join('\n')}`;
+  }
+
+  formatConsideredAttachments(attachmentContext) {
+    if (!attachmentContext || attachmentContext.considered.length === 0) {
+      return '';
+    }
+
+    const lines = attachmentContext.considered.map(entry =>
+      `• ${entry.filename} (${entry.mimeType}, ${entry.size} bytes) - ${entry.usage}${entry.note ? `: ${entry.note}` : ''}`
+    );
+    return `\n\n## Attachments Considered\n${lines.join('\n')}`;
+  }
+
+  formatWorkBreakdown(analysis) {
+    if (!analysis.workBreakdown?.length) {
+      return '';
+    }
+
+    const lines = analysis.workBreakdown.map((item, index) =>
+      `• ${index + 1}. ${item.title}${item.storyPoints != null ? ` (${item.storyPoints} story points)` : ''}`
+    );
+    return `\n\n## Work Breakdown\n${lines.join('\n')}`;
+  }
+
+  // Each breakdown item becomes a sub-task of the criteria issue. Sub-tasks use the
+  // criteria issue's own format, so they are implemented and evaluated the same way.
+  // A sub-task that can't be created is reported, not fatal: the criteria issue stands.
+  async createWorkBreakdownSubtasks(originalIssue, criteriaIssue, analysis, route) {
+    const items = analysis.workBreakdown || [];
+    if (items.length === 0) {
+      return [];
+    }
+
+    const projectKey = this.eventFilter.getProjectKey(originalIssue);
+    const created = [];
+    const failed = [];
+
+    for (const [index, item] of items.entries()) {
+      const summary = `Deliverable Criteria: ${originalIssue.key} - Part ${index + 1}/${items.length}: ${item.title}`;
+      try {
+        const subtask = await this.jiraApi.createIssue(
+          projectKey,
+          route.pipeline.subtaskIssueType,
+          summary,
+          this.buildSubtaskDescription(originalIssue, criteriaIssue.key, analysis, item, index, items.length),
+          { parent: { key: criteriaIssue.key } }
+        );
+        created.push({ key: subtask.key, title: item.title });
+      } catch (error) {
+        console.error(`Failed to create sub-task "${item.title}" under ${criteriaIssue.key}: ${error.message}`);
+        failed.push({ title: item.title, error: error.message });
+      }
+    }
+
+    if (failed.length > 0) {
+      await this.jiraApi.addComment(
+        criteriaIssue.key,
+        this.jiraApi.formatComment(
+          'Sub-task Creation Failed',
+          `Some work breakdown items could not be created as sub-tasks:\n\n${failed.map(item => `• ${item.title}: ${item.error}`).join('\n')}\n\nCreate them by hand or re-run the analysis.`,
+          '*Error logged by Claude Automation System*'
+        )
+      );
+    }
+
+    await this.updateAutomationStatus(criteriaIssue.key, {
+      stage: 'Analysis',
+      result: `Split into ${created.length} sub-tasks`,
+      summary: `Estimated at ${analysis.estimatedEffort.storyPoints} story points`,
+      details: `This work was estimated at ${analysis.estimatedEffort.storyPoints} story points and has been split into sub-tasks, each with its own acceptance criteria.
+
+**Sub-tasks:**
+${created.map(subtask => `• ${subtask.key} - ${subtask.title}`).join('\n') || '• None'}
+
+Move a sub-task to "Ready for Implementation" to develop it, then to "Testing Criteria" to evaluate it. Results are rolled up to this issue.`
+    });
+
+    return created.map(subtask => subtask.key);
+  }
+
+  buildSubtaskDescription(originalIssue, parentKey, analysis, item, index, total) {
+    const bullets = items => items.map(entry => `• ${entry}`).join('\n');
+    // The sub-task's own requirements are numbered from 1; shared ones keep the parent's IDs
+    const criteria = this.traceability.withIds({
+      functionalRequirements: item.functionalRequirements,
+      technicalRequirements: analysis.deliveryCriteria.technicalRequirements,
+      acceptanceCriteria: item.acceptanceCriteria,
+      definitionOfDone: analysis.deliveryCriteria.definitionOfDone
+    });
+
+    return `**Claude Generated Delivery Criteria** (part ${index + 1} of ${total})
+
+**Original Issue:** ${originalIssue.key} - ${originalIssue.fields.summary}
+**Parent Criteria:** ${parentKey}
+
+${item.description}
+
+## Functional Requirements
+${bullets(criteria.functionalRequirements)}
+
+## Technical Requirements
+${bullets(criteria.technicalRequirements)}
+
+## Acceptance Criteria
+${bullets(criteria.acceptanceCriteria)}
+
+## Definition of Done
+${bullets(criteria.definitionOfDone)}
+
+## Estimated Effort
+**Story Points:** ${item.storyPoints ?? 'Not estimated'}
+
+---
+*Generated by Claude Automation System*
+**Instructions:** Move this sub-task to "Ready for Implementation" to trigger automated development. Results are rolled up to ${parentKey}.`;
+  }
+
+  async createDeliverableCriteriaIssue(originalIssue, analysis, attachmentContext = null, issueContext = null) {
     console.log(`\n--- CREATING DELIVERABLE CRITERIA ISSUE ---`);
     console.log(`DEBUG: Creating criteria issue for original: ${originalIssue.key}`);
     
-    const projectKey = originalIssue.key.split('-')[0];
+    const projectKey = this.eventFilter.getProjectKey(originalIssue);
+    const route = this.projectRouter.getRoute(projectKey);
     const timestamp = new Date().toISOString();
     
     console.log(`DEBUG: Project key extracted: ${projectKey}`);
@@ -856,7 +1313,8 @@ class JiraWebhookProcessor {
       const description = `**Claude Generated Delivery Criteria**
     
 **Original Issue:** ${originalIssue.key} - ${originalIssue.fields.summary}
-**Analysis Date:** ${timestamp}
+**Analysis Date:** ${timestamp}${analysis.claudeSettings ? `
+**Analysis Settings:** ${this.describeClaudeSettings(analysis.claudeSettings)}` : ''}
 
 ## Functional Requirements
 ${analysis.deliveryCriteria.functionalRequirements.map(req => `• ${req}`).join('\n')}
@@ -885,11 +1343,13 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
 ## Estimated Effort
 **Story Points:** ${analysis.estimatedEffort.storyPoints}
 **Complexity:** ${analysis.estimatedEffort.complexity}
-**Hours:** ${analysis.estimatedEffort.hours}
+**Hours:** ${analysis.estimatedEffort.hours}${this.formatWorkBreakdown(analysis)}${this.formatConsideredContext(issueContext)}${this.formatConsideredAttachments(attachmentContext)}
 
 ---
 *Generated by Claude Automation System*
-**Instructions:** Move this issue to "Ready for Implementation" to trigger automated development.`;
+**Instructions:** ${analysis.workBreakdown?.length
+  ? 'This work is split into sub-tasks. Move each sub-task to "Ready for Implementation" to develop it on its own; results are rolled up to this issue.'
+  : 'Move this issue to "Ready for Implementation" to trigger automated development.'}`;
 
       console.log(`DEBUG: Description generated (${description.length} chars)`);
       console.log(`DEBUG: Description preview: ${description.substring(0, 200)}...`);
@@ -902,11 +1362,11 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
       console.log(`  - Integration tests: ${analysis.validationTests.integrationTests?.length || 0}`);
       
       console.log(`DEBUG: Calling Jira API to create issue...`);
-      console.log(`DEBUG: Project: ${projectKey}, Type: Task`);
+      console.log(`DEBUG: Project: ${projectKey}, Type: ${route.pipeline.criteriaIssueType}`);
       
       const newIssue = await this.jiraApi.createIssue(
         projectKey,
-        'Task',
+        route.pipeline.criteriaIssueType,
         summary,
         description
       );
@@ -935,7 +1395,7 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
 
   validateClaudeGeneratedCriteria(issue) {
     const summary = issue.fields.summary || '';
-    const description = issue.fields.description || '';
+    const description = this.getDescriptionText(issue);
     
     // Must have deliverable criteria marker
     if (!summary.includes('Deliverable Criteria:')) {
@@ -954,27 +1414,10 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
     console.log(`DEBUG: Extracting original issue key from summary: "${summary}"`);
     
     if (summary) {
-      // Try project-specific pattern first (this worked in the logs)
-      const projectSpecificMatch = summary.match(/(PCP1-\d+)/);
-      if (projectSpecificMatch) {
-        const key = projectSpecificMatch[1];
-        console.log(`DEBUG: Found original key with project-specific pattern: ${key}`);
-        return key;
-      }
-      
-      // Try generic pattern for other projects
-      const genericMatch = summary.match(/([A-Z]{2,}-\d+)/);
-      if (genericMatch) {
-        const key = genericMatch[1];
-        console.log(`DEBUG: Found original key with generic pattern: ${key}`);
-        return key;
-      }
-      
-      // Try more permissive pattern
-      const permissiveMatch = summary.match(/([A-Za-z]+\d*-\d+)/);
-      if (permissiveMatch) {
-        const key = permissiveMatch[1];
-        console.log(`DEBUG: Found original key with permissive pattern: ${key}`);
+      // Routed project keys are tried first, then any Jira-style key
+      const key = this.projectRouter.extractIssueKey(summary);
+      if (key) {
+        console.log(`DEBUG: Found original key in summary: ${key}`);
         return key;
       }
     }
@@ -982,7 +1425,7 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
     // Fallback to description
     console.log(`DEBUG: No key found in summary, trying description fallback...`);
     if (description) {
-      const descMatch = description.match(/\*\*Original Issue:\*\* ([A-Z]+-\d+)/);
+      const descMatch = description.match(/\*\*Original Issue:\*\* ([A-Z][A-Z0-9_]+-\d+)/);
       if (descMatch) {
         const key = descMatch[1];
         console.log(`DEBUG: Found original key in description: ${key}`);
@@ -996,15 +1439,22 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
 
   extractRequirementsFromCriteria(criteriaIssue) {
     // Parse the structured requirements from the criteria issue description
-    const description = criteriaIssue.fields.description || '';
+    const description = this.getDescriptionText(criteriaIssue);
     
-    return {
+    // Criteria issues from before requirement IDs get them by position
+    return this.traceability.withIds({
       functionalRequirements: this.extractSection(description, 'Functional Requirements'),
       technicalRequirements: this.extractSection(description, 'Technical Requirements'),
       acceptanceCriteria: this.extractSection(description, 'Acceptance Criteria'),
       validationTests: this.extractSection(description, 'Validation Tests'),
       definitionOfDone: this.extractSection(description, 'Definition of Done')
-    };
+    });
+  }
+
+  // Descriptions arrive as wiki markup (v2), ADF (v3) or legacy Markdown;
+  // the parsers below all work on the Markdown form
+  getDescriptionText(issue) {
+    return this.jiraApi.markup.toMarkdown(issue.fields.description);
   }
 
   extractSection(text, sectionName) {
@@ -1018,7 +1468,9 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
       .map(line => line.replace('•', '').trim());
   }
 
-  async createImplementationArtifacts(originalKey, implementationResult) {
+  // `workItemPath` is the artifact directory under work-items/: the original key,
+  // or <original>/subtasks/<sub-task> for a work breakdown sub-task
+  async createImplementationArtifacts(originalKey, implementationResult, workItemPath = originalKey) {
     console.log(`\n--- CREATING IMPLEMENTATION ARTIFACTS ---`);
     console.log(`DEBUG: Creating implementation artifacts for ${originalKey}`);
     console.log(`DEBUG: Implementation type: ${implementationResult.implementation.type}`);
@@ -1029,7 +1481,7 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
       const implementation = implementationResult.implementation;
       
       // Create directory structure
-      const workItemsDir = path.join(process.cwd(), 'work-items', originalKey);
+      const workItemsDir = path.join(process.cwd(), 'work-items', workItemPath);
       const implementationDir = path.join(workItemsDir, 'implementation');
       
       console.log(`DEBUG: Work items directory: ${workItemsDir}`);
@@ -1102,6 +1554,12 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
         console.log(`DEBUG: Configuration file written to: ${configPath}`);
       }
       
+      // 7. Which requirement IDs each file addresses, for the evaluation's traceability matrix
+      console.log(`DEBUG: Writing requirement traceability...`);
+      const traceabilityPath = path.join(implementationDir, 'traceability.json');
+      await fs.writeFile(traceabilityPath, JSON.stringify(this.buildImplementationTraceability(implementationResult), null, 2), 'utf8');
+      createdFiles.push('traceability.json');
+      
       console.log(`DEBUG: Implementation artifacts created successfully:`);
       createdFiles.forEach(file => {
         console.log(`  - ${file}`);
@@ -1151,12 +1609,12 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
     }
   }
   // Helper method to load implementation result from filesystem
-  async loadImplementationResult(originalKey) {
+  async loadImplementationResult(originalKey, workItemPath = originalKey) {
     try {
       const fs = require('fs').promises;
       const path = require('path');
       
-      const summaryPath = path.join(process.cwd(), 'work-items', originalKey, 'implementation', 'implementation-summary.md');
+      const summaryPath = path.join(process.cwd(), 'work-items', workItemPath, 'implementation', 'implementation-summary.md');
       const summaryExists = await fs.access(summaryPath).then(() => true).catch(() => false);
       
       if (!summaryExists) {
@@ -1164,7 +1622,7 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
       }
       
       // Load key files to reconstruct implementation result
-      const implementationDir = path.join(process.cwd(), 'work-items', originalKey, 'implementation');
+      const implementationDir = path.join(process.cwd(), 'work-items', workItemPath, 'implementation');
       const files = await fs.readdir(implementationDir);
       
       // Determine implementation type from files
@@ -1219,12 +1677,12 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
   }
 
   // Save evaluation results to filesystem
-  async saveEvaluationResults(originalKey, evaluationResult) {
+  async saveEvaluationResults(originalKey, evaluationResult, workItemPath = originalKey) {
     try {
       const fs = require('fs').promises;
       const path = require('path');
       
-      const evaluationDir = path.join(process.cwd(), 'work-items', originalKey, 'evaluation');
+      const evaluationDir = path.join(process.cwd(), 'work-items', workItemPath, 'evaluation');
       await fs.mkdir(evaluationDir, { recursive: true });
       
       // Save detailed evaluation results
@@ -1288,6 +1746,11 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
   **Missed Requirements:**
   ${evaluation.requirementsCoverage.missedRequirements.map(req => `- ${req}`).join('\n')}
 
+  ## Traceability Matrix
+  ${this.formatTraceabilitySummary(evaluationResult.traceability)}
+
+${this.traceability.formatMatrix(evaluationResult.traceability)}
+
   ### Quality & Craftsmanship
   ${evaluation.qualityCraftsmanship.analysis}
 
@@ -1305,6 +1768,9 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
   ### Recommendations
   ${evaluation.overallAssessment.recommendations.map(rec => `- ${rec}`).join('\n')}
 
+  ## Claude Settings
+  ${this.formatClaudeSettings(evaluationResult.claudeSettings ? [evaluationResult.claudeSettings] : [])}
+
   ---
   *Generated by Claude Testing Evaluation System*`;
   }
@@ -1424,25 +1890,12 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
     );
     
     try {
-      // Try to transition to the completion status
-      const transitions = await this.jiraApi.getAvailableTransitions(criteriaIssueKey);
-      const completionTransition = transitions.find(t => t.name === completionStatus);
-      
-      if (completionTransition) {
-        await this.jiraApi.transitionIssue(criteriaIssueKey, completionTransition.id);
-        console.log(`DEBUG: Transitioned ${criteriaIssueKey} to ${completionStatus}`);
-      } else {
-        console.log(`DEBUG: Completion status ${completionStatus} not available, updating summary instead`);
-        
-        // Update the summary to include completion info
-        const currentIssue = await this.jiraApi.getIssue(criteriaIssueKey);
-        const newSummary = `✅ ${completionStatus}: ${currentIssue.fields.summary}`;
-        
-        await this.jiraApi.updateIssue(criteriaIssueKey, {
-          summary: newSummary,
-          description: currentIssue.fields.description + `\n\n---\n**COMPLETED - ${completionStatus}**\n${usageInstructions}\n\n*Updated by Claude Testing Evaluation System*`
-        });
-      }
+      // Walks as many workflow steps as needed; the criteria statuses that trigger
+      // the pipeline are never passed through on the way
+      await this.jiraApi.transitionToStatus(criteriaIssueKey, completionStatus, {
+        avoidStatuses: WebhookEventFilter.CRITERIA_ACTIONABLE_STATUSES
+      });
+      console.log(`DEBUG: Transitioned ${criteriaIssueKey} to ${completionStatus}`);
       
     } catch (error) {
       console.error(`Failed to update completion status: ${error.message}`);
@@ -1453,6 +1906,8 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
           `Implementation Complete - ${completionStatus}`,
           `Implementation has passed all testing criteria and is ready for use.
 
+  **Status not updated:** ${error.message}
+
   ${usageInstructions}`,
           '*Generated by Claude Testing Evaluation System*'
         )
@@ -1471,6 +1926,152 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
     return statusMap[implementationType] || 'Implementation Complete';
   }
 
+  // The status comment is a convenience view; failing to write it never fails a run
+  async updateAutomationStatus(issueKey, entry) {
+    try {
+      await this.statusComment.update(issueKey, entry);
+    } catch (error) {
+      console.error(`Failed to update automation status comment on ${issueKey}: ${error.message}`);
+    }
+  }
+
+  // Remote links to the stage's files (they resolve once the workflow commits
+  // them) and attachments of the key files. Never fails a run.
+  async linkArtifacts(issue, stage, files, attachments = []) {
+    try {
+      const route = this.projectRouter.getRoute(this.eventFilter.getProjectKey(issue));
+      await this.artifactLinker.linkFiles(issue.key, route, files, `${stage} artifacts`);
+      await this.artifactLinker.attachFiles(issue.key, attachments);
+    } catch (error) {
+      console.error(`Failed to link ${stage.toLowerCase()} artifacts to ${issue.key}: ${error.message}`);
+    }
+  }
+
+  hasSubtasks(issue) {
+    return !this.eventFilter.isSubtask(issue) && (issue.fields.subtasks || []).length > 0;
+  }
+
+  listSubtasks(issue) {
+    return (issue.fields.subtasks || [])
+      .map(subtask => `• ${subtask.key} - ${subtask.fields?.summary || ''}`)
+      .join('\n');
+  }
+
+  getWorkItemPath(originalKey, issue) {
+    return this.eventFilter.isSubtask(issue) ? `${originalKey}/subtasks/${issue.key}` : originalKey;
+  }
+
+  // Collects every sub-task's implementation and evaluation onto the parent
+  // criteria issue. Once all sub-tasks have passed, the parent moves to its
+  // completion status. Never throws: the sub-task's own result already stands.
+  async rollUpSubtaskResults(parentKey, originalKey) {
+    try {
+      const parent = await this.jiraApi.getIssue(parentKey);
+      const rollup = await this.buildSubtaskRollup(parent, originalKey);
+      await this.saveSubtaskRollup(originalKey, rollup);
+
+      let statusNote = '';
+      if (rollup.allPassed) {
+        const completionStatus = this.getCompletionStatus(rollup.implementationType);
+        try {
+          await this.jiraApi.transitionToStatus(parentKey, completionStatus, {
+            avoidStatuses: WebhookEventFilter.CRITERIA_ACTIONABLE_STATUSES
+          });
+          statusNote = `\n\nAll sub-tasks passed - ${parentKey} moved to ${completionStatus}.`;
+        } catch (error) {
+          console.error(`Failed to update completion status of ${parentKey}: ${error.message}`);
+          statusNote = `\n\nAll sub-tasks passed.\n**Status not updated:** ${error.message}`;
+        }
+      }
+
+      if (rollup.evaluated === rollup.total) {
+        await this.updateStageLabel(parentKey, 'tested');
+      } else if (rollup.implemented === rollup.total) {
+        await this.updateStageLabel(parentKey, 'implemented');
+      }
+
+      await this.updateAutomationStatus(parentKey, {
+        stage: 'Sub-tasks',
+        result: rollup.allPassed ? 'All passed' : `${rollup.passed}/${rollup.total} passed`,
+        summary: `${rollup.implemented}/${rollup.total} implemented, ${rollup.evaluated}/${rollup.total} evaluated`,
+        details: `**Progress:** ${rollup.implemented}/${rollup.total} implemented, ${rollup.evaluated}/${rollup.total} evaluated, ${rollup.passed}/${rollup.total} passed${rollup.averageScore != null ? `
+**Average Score:** ${rollup.averageScore}/100` : ''}
+
+**Sub-tasks:**
+${rollup.subtasks.map(subtask => `• ${subtask.key} - ${subtask.title} [${subtask.status}]: ${this.describeSubtaskResult(subtask)}`).join('\n')}${statusNote}`,
+        links: [{ label: 'Roll-up', value: `\`work-items/${originalKey}/subtasks/rollup.json\`` }]
+      });
+
+      console.log(`✅ Rolled up ${rollup.total} sub-tasks to ${parentKey} (${rollup.passed} passed)`);
+      return rollup;
+    } catch (error) {
+      console.error(`Failed to roll up sub-task results to ${parentKey}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Results are read back from each sub-task's artifacts, so the roll-up is
+  // complete no matter which sub-task finished last
+  async buildSubtaskRollup(parent, originalKey) {
+    const fs = require('fs').promises;
+    const path = require('path');
+    const subtasks = [];
+
+    for (const { key } of parent.fields.subtasks || []) {
+      const subtask = await this.jiraApi.getIssue(key);
+      const workItemDir = path.join(process.cwd(), 'work-items', this.getWorkItemPath(originalKey, subtask));
+      const implemented = await fs.access(path.join(workItemDir, 'implementation', 'implementation-summary.md')).then(() => true).catch(() => false);
+      const evaluation = await fs.readFile(path.join(workItemDir, 'evaluation', 'evaluation-results.json'), 'utf8')
+        .then(JSON.parse)
+        .catch(() => null);
+
+      subtasks.push({
+        key,
+        title: (subtask.fields.summary || '').replace(/^Deliverable Criteria:\s*\S+\s*-\s*/, ''),
+        status: subtask.fields.status?.name,
+        implemented,
+        evaluated: Boolean(evaluation),
+        passed: Boolean(evaluation?.finalScore?.meetsCriteria),
+        score: evaluation?.finalScore?.overallScore ?? null,
+        implementationType: evaluation?.implementationType || null
+      });
+    }
+
+    const scores = subtasks.map(subtask => subtask.score).filter(score => score != null);
+    const types = [...new Set(subtasks.map(subtask => subtask.implementationType))];
+
+    return {
+      parentIssue: parent.key,
+      originalIssue: originalKey,
+      total: subtasks.length,
+      implemented: subtasks.filter(subtask => subtask.implemented).length,
+      evaluated: subtasks.filter(subtask => subtask.evaluated).length,
+      passed: subtasks.filter(subtask => subtask.passed).length,
+      allPassed: subtasks.length > 0 && subtasks.every(subtask => subtask.passed),
+      averageScore: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+      // Mixed deliverables complete under the generic status
+      implementationType: types.length === 1 && types[0] ? types[0] : 'other',
+      subtasks: subtasks,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  describeSubtaskResult(subtask) {
+    if (subtask.evaluated) {
+      return `evaluation ${subtask.passed ? 'passed' : 'failed'} (${subtask.score}/100)`;
+    }
+    return subtask.implemented ? 'implemented, not yet evaluated' : 'not yet implemented';
+  }
+
+  async saveSubtaskRollup(originalKey, rollup) {
+    const fs = require('fs').promises;
+    const path = require('path');
+
+    const subtasksDir = path.join(process.cwd(), 'work-items', originalKey, 'subtasks');
+    await fs.mkdir(subtasksDir, { recursive: true });
+    await fs.writeFile(path.join(subtasksDir, 'rollup.json'), JSON.stringify(rollup, null, 2), 'utf8');
+  }
+
   // Generic testing failure handler
   async reportGenericTestingFailure(criteriaIssueKey, error) {
     const errorComment = this.jiraApi.formatComment(
@@ -1577,6 +2178,58 @@ ${analysis.deliveryCriteria.definitionOfDone.map(item => `• ${item}`).join('\n
     return packageDeps;
   }
 
+  // { requirements, files: { filename: [ids] } } with the primary deliverable
+  // under its real filename
+  buildImplementationTraceability(implementationResult) {
+    const implementation = implementationResult.implementation;
+    const files = {};
+
+    for (const [file, ids] of Object.entries(implementation.addressedRequirements || {})) {
+      files[file === 'primaryDeliverable' ? this.getPrimaryFileName(implementation.type) : file] = ids;
+    }
+    return { requirements: implementationResult.requirements || [], files };
+  }
+
+  formatImplementationTraceability(implementationResult) {
+    const { requirements, files } = this.buildImplementationTraceability(implementationResult);
+    if (requirements.length === 0) {
+      return 'No requirement IDs recorded';
+    }
+
+    const lines = Object.entries(files).map(([file, ids]) => `- **${file}:** ${ids.join(', ') || 'none'}`);
+    const unaddressed = requirements.map(requirement => requirement.id).filter(id => !Object.values(files).some(ids => ids.includes(id)));
+    if (unaddressed.length > 0) {
+      lines.push(`- **Not addressed by any file:** ${unaddressed.join(', ')}`);
+    }
+    return lines.join('\n');
+  }
+
+  formatTraceabilitySummary(matrix) {
+    if (!matrix) {
+      return 'Not recorded for this evaluation';
+    }
+    const { summary } = matrix;
+    return `**${summary.met}/${summary.total} met**, ${summary.partially_met} partially met, ${summary.not_met} not met${summary.not_evaluated ? `, ${summary.not_evaluated} not evaluated` : ''}${summary.unaddressed.length ? ` - not claimed by any file: ${summary.unaddressed.join(', ')}` : ''}`;
+  }
+
+  // One line per stage, for the Markdown artifacts
+  formatClaudeSettings(stageSettings) {
+    if (stageSettings.length === 0) {
+      return 'Not recorded';
+    }
+    return stageSettings.map(settings => `- **${settings.stage}:** ${this.describeClaudeSettings(settings)}`).join('\n');
+  }
+
+  describeClaudeSettings(settings) {
+    return [
+      settings.model,
+      `max ${settings.maxTokens} tokens`,
+      settings.temperature !== null && `temperature ${settings.temperature}`,
+      settings.timeoutMs && `timeout ${settings.timeoutMs / 1000}s`,
+      settings.systemPrompt && `system prompt "${settings.systemPrompt.length > 80 ? `${settings.systemPrompt.substring(0, 80)}...` : settings.systemPrompt}"`
+    ].filter(Boolean).join(', ');
+  }
+
   generateImplementationSummary(originalKey, implementationResult, timestamp) {
     const implementation = implementationResult.implementation;
     const validation = implementationResult.validationResults;
@@ -1627,6 +2280,12 @@ ${implementation.validationCriteria && implementation.validationCriteria.length
   ? implementation.validationCriteria.map(criteria => `- ${criteria}`).join('\n')
   : 'See validation file for criteria'}
 
+## Requirement Traceability
+${this.formatImplementationTraceability(implementationResult)}
+
+## Claude Settings
+${this.formatClaudeSettings(Object.values(implementationResult.metadata?.claudeSettings || {}))}
+
 ## Next Steps
 1. Review the generated implementation
 2. Run validation procedures: See ${this.getValidationFileName(implementation.type)}
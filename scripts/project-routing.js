@@ -0,0 +1,111 @@
+// Routes Jira projects to their target GitHub repository and pipeline settings.
+//
+// Routes come from the JIRA_PROJECT_ROUTES environment variable (JSON) or
+// config/project-routes.json. With no routes configured, every project uses the
+// legacy GITHUB_OWNER/GITHUB_REPO/GITHUB_TOKEN settings.
+
+const DEFAULT_PIPELINE = {
+  criteriaIssueType: 'Task',
+  criteriaLinkType: 'Relates',
+  duplicateLinkType: 'Relates',
+  subtaskIssueType: 'Sub-task'
+};
+
+// Which analysis results are written to Jira fields (see jira-field-mapper.js).
+// storyPoints is a field name or id; the rest switch a field on or off.
+const DEFAULT_FIELDS = {
+  storyPoints: 'Story Points',
+  originalEstimate: true,
+  priority: true,
+  components: true,
+  complexityLabel: true,
+  applyTo: ['original', 'criteria']
+};
+
+class ProjectRouter {
+  constructor(options = {}) {
+    const config = options.config || this.loadConfig();
+    this.routes = new Map(
+      Object.entries(config.projects || {}).map(([projectKey, route]) => [
+        projectKey.toUpperCase(),
+        this.normalizeRoute(projectKey.toUpperCase(), route)
+      ])
+    );
+  }
+
+  loadConfig() {
+    if (process.env.JIRA_PROJECT_ROUTES) {
+      try {
+        return JSON.parse(process.env.JIRA_PROJECT_ROUTES);
+      } catch (error) {
+        throw new Error(`Invalid JIRA_PROJECT_ROUTES JSON: ${error.message}`);
+      }
+    }
+
+    // Static require so the Netlify bundler includes the file
+    return require('../config/project-routes.json');
+  }
+
+  normalizeRoute(projectKey, route = {}) {
+    const github = route.github || {};
+    const tokenEnv = github.tokenEnv || 'GITHUB_TOKEN';
+
+    return {
+      projectKey,
+      github: {
+        owner: github.owner,
+        repo: github.repo,
+        tokenEnv,
+        eventType: github.eventType || 'jira-webhook'
+      },
+      pipeline: { ...DEFAULT_PIPELINE, ...(route.pipeline || {}) },
+      fields: {
+        ...DEFAULT_FIELDS,
+        storyPoints: process.env.JIRA_STORY_POINTS_FIELD || DEFAULT_FIELDS.storyPoints,
+        ...(route.fields || {})
+      }
+    };
+  }
+
+  hasRoutes() {
+    return this.routes.size > 0;
+  }
+
+  getProjectKeys() {
+    return Array.from(this.routes.keys());
+  }
+
+  // Returns null for projects that are not routed, so callers can reject them explicitly
+  getRoute(projectKey) {
+    const key = (projectKey || '').toUpperCase();
+
+    if (!this.hasRoutes()) {
+      return this.normalizeRoute(key, {
+        github: { owner: process.env.GITHUB_OWNER, repo: process.env.GITHUB_REPO }
+      });
+    }
+
+    return this.routes.get(key) || null;
+  }
+
+  getDispatchToken(route) {
+    return process.env[route.github.tokenEnv];
+  }
+
+  extractIssueKey(text) {
+    if (!text) return null;
+
+    // Routed project keys first, so e.g. "PCP1-67" wins over other key-like text
+    const projectKeys = this.getProjectKeys();
+    if (projectKeys.length > 0) {
+      const escaped = projectKeys.map(key => key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      const routedMatch = text.match(new RegExp(`\\b((?:${escaped.join('|')})-\\d+)\\b`));
+      if (routedMatch) return routedMatch[1];
+    }
+
+    const genericMatch = text.match(/\b([A-Z][A-Z0-9_]+-\d+)\b/);
+    return genericMatch ? genericMatch[1] : null;
+  }
+}
+
+module.exports = ProjectRouter;
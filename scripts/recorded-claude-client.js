@@ -0,0 +1,79 @@
+// Drop-in replacement for the Anthropic client that answers from recorded responses.
+// Used by the replay CLI so the pipeline can run without calling Claude.
+
+class RecordedClaudeClient {
+  constructor(fixture = {}) {
+    this.responses = (fixture.responses || []).map(response => ({ ...response, used: false }));
+    this.calls = [];
+    this.messages = {
+      create: params => this.createMessage(params)
+    };
+  }
+
+  async createMessage(params) {
+    const prompt = this.getPromptText(params);
+    const response = this.findResponse(prompt);
+
+    this.calls.push({
+      promptPreview: prompt.split('\n')[0].substring(0, 100),
+      matched: response ? (response.match || `#${this.responses.indexOf(response)}`) : null
+    });
+
+    if (!response) {
+      throw new Error(`No recorded Claude response for prompt: "${prompt.substring(0, 100)}..."`);
+    }
+
+    response.used = true;
+    const text = typeof response.text === 'string' ? response.text : JSON.stringify(response.text, null, 2);
+    const toolInput = params.tools ? this.getToolInput(response.text) : null;
+
+    return {
+      id: `msg_replay_${this.calls.length}`,
+      type: 'message',
+      role: 'assistant',
+      model: params.model,
+      content: toolInput
+        ? [{ type: 'tool_use', id: `toolu_replay_${this.calls.length}`, name: params.tools[0].name, input: toolInput }]
+        : [{ type: 'text', text }],
+      stop_reason: response.stopReason || (toolInput ? 'tool_use' : 'end_turn'),
+      usage: { input_tokens: 0, output_tokens: 0 }
+    };
+  }
+
+  // Recorded JSON (an object, or a string holding one) answers a tool request as
+  // the tool's input; anything else comes back as plain text
+  getToolInput(recorded) {
+    if (typeof recorded !== 'string') {
+      return recorded;
+    }
+    try {
+      const parsed = JSON.parse(recorded);
+      return parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Responses with a `match` substring are paired with prompts containing it;
+  // the rest are handed out in recorded order
+  findResponse(prompt) {
+    const unused = this.responses.filter(response => !response.used);
+    return unused.find(response => response.match && prompt.includes(response.match))
+      || unused.find(response => !response.match)
+      || null;
+  }
+
+  getPromptText(params) {
+    const lastMessage = params.messages[params.messages.length - 1];
+    if (typeof lastMessage.content === 'string') {
+      return lastMessage.content;
+    }
+    // Repair requests arrive as tool_result blocks
+    return lastMessage.content
+      .map(block => (block.type === 'tool_result' ? block.content : block.text))
+      .filter(text => typeof text === 'string')
+      .join('\n');
+  }
+}
+
+module.exports = RecordedClaudeClient;
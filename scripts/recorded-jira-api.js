@@ -0,0 +1,231 @@
+// In-memory stand-in for JiraApiHelpers, seeded from recorded fixtures.
+// Used by the replay CLI so the pipeline can run without a live Jira instance.
+
+const JiraApiHelpers = require('./jira-api-helpers.js');
+const { BasicAuthStrategy } = require('./jira-auth.js');
+const { JiraNotFoundError } = require('./jira-errors.js');
+
+class RecordedJiraApi extends JiraApiHelpers {
+  constructor(fixture = {}) {
+    // Nothing is sent anywhere, but the base class wants a usable auth strategy
+    super({ textFormat: fixture.textFormat, auth: new BasicAuthStrategy({ email: 'replay@example.invalid', token: 'replay' }) });
+    this.baseUrl = fixture.baseUrl || 'https://jira.replay.invalid';
+    this.issues = new Map(Object.entries(fixture.issues || {}));
+    this.transitions = fixture.transitions || {};
+    this.projects = fixture.projects || {};
+    // Attachment bodies by attachment id: a string, or { base64 } for binary files
+    this.attachmentContents = fixture.attachmentContents || {};
+    this.fields = fixture.fields || [{ id: 'customfield_10016', name: 'Story Points', custom: true, schema: { type: 'number' } }];
+    // Edit metadata by issue key or '*'; by default every known field is editable
+    this.editMeta = fixture.editMeta || {};
+    this.currentUser = fixture.currentUser || { accountId: 'replay-user', displayName: 'Replay User' };
+    this.nextIssueNumber = fixture.nextIssueNumber || 9000;
+    this.nextAttachmentId = 90000;
+    // Remote links by issue key, as Jira returns them
+    this.remoteLinks = fixture.remoteLinks || {};
+    this.calls = [];
+  }
+
+  seedIssue(issue) {
+    if (issue?.key && issue.fields && !this.issues.has(issue.key)) {
+      this.issues.set(issue.key, JSON.parse(JSON.stringify(issue)));
+    }
+  }
+
+  recordCall(method, issueKey, details = {}) {
+    this.calls.push({ method, issueKey, ...details });
+  }
+
+  requireIssue(issueKey) {
+    const issue = this.issues.get(issueKey);
+    if (!issue) {
+      throw new JiraNotFoundError(`Failed to fetch issue ${issueKey}: 404 (not in replay fixture)`, { status: 404 });
+    }
+    return issue;
+  }
+
+  async getIssue(issueKey) {
+    this.recordCall('getIssue', issueKey);
+    return JSON.parse(JSON.stringify(this.requireIssue(issueKey)));
+  }
+
+  async createIssue(projectKey, issueType, summary, description, additionalFields = {}) {
+    const issueNumber = this.nextIssueNumber++;
+    const key = `${projectKey}-${issueNumber}`;
+    const issue = {
+      id: String(10000 + issueNumber),
+      key,
+      fields: {
+        project: { key: projectKey, name: this.projects[projectKey]?.name || projectKey },
+        issuetype: { name: issueType },
+        status: { name: 'To Do' },
+        summary,
+        description: this.markup.render(description),
+        labels: [],
+        ...additionalFields
+      }
+    };
+
+    // Sub-tasks are listed on their parent, as Jira does
+    if (additionalFields.parent) {
+      const parent = this.requireIssue(additionalFields.parent.key);
+      issue.fields.issuetype.subtask = true;
+      parent.fields.subtasks = [
+        ...(parent.fields.subtasks || []),
+        { id: issue.id, key, fields: { summary, status: issue.fields.status } }
+      ];
+    }
+
+    this.issues.set(key, issue);
+    this.recordCall('createIssue', key, { summary });
+    console.log(`✅ Created issue: ${key}`);
+    return { id: issue.id, key, self: `${this.baseUrl}${this.apiRoot}/issue/${issue.id}` };
+  }
+
+  async updateIssue(issueKey, fields) {
+    const issue = this.requireIssue(issueKey);
+    issue.fields = { ...issue.fields, ...fields };
+    this.recordCall('updateIssue', issueKey, { fields: Object.keys(fields) });
+    console.log(`✅ Updated issue: ${issueKey}`);
+    return true;
+  }
+
+  async addComment(issueKey, comment) {
+    const issue = this.requireIssue(issueKey);
+    const comments = issue.fields.comment?.comments || [];
+    const newComment = { id: String(comments.length + 1), body: this.markup.render(comment), author: this.currentUser, created: new Date().toISOString() };
+    issue.fields.comment = { comments: [...comments, newComment] };
+
+    this.recordCall('addComment', issueKey, { title: this.extractCommentTitle(comment) });
+    console.log(`✅ Added comment to ${issueKey}`);
+    return newComment;
+  }
+
+  async getComments(issueKey) {
+    return JSON.parse(JSON.stringify(this.requireIssue(issueKey).fields.comment?.comments || []));
+  }
+
+  async updateComment(issueKey, commentId, comment) {
+    const existing = (this.requireIssue(issueKey).fields.comment?.comments || []).find(candidate => candidate.id === String(commentId));
+    if (!existing) {
+      throw new JiraNotFoundError(`Failed to update comment ${commentId} on ${issueKey}: 404`, { status: 404 });
+    }
+    existing.body = this.markup.render(comment);
+    existing.updated = new Date().toISOString();
+
+    this.recordCall('updateComment', issueKey, { title: this.extractCommentTitle(comment) });
+    console.log(`✅ Updated comment ${commentId} on ${issueKey}`);
+    return existing;
+  }
+
+  async transitionIssue(issueKey, transitionId, fields = {}) {
+    const issue = this.requireIssue(issueKey);
+    const transition = (await this.getAvailableTransitions(issueKey)).find(t => t.id === transitionId);
+    if (transition?.to) {
+      issue.fields.status = { name: transition.to.name };
+    }
+    Object.assign(issue.fields, fields);
+
+    this.recordCall('transitionIssue', issueKey, { transitionId, to: transition?.to?.name });
+    console.log(`✅ Transitioned issue: ${issueKey}`);
+    return true;
+  }
+
+  async getAvailableTransitions(issueKey) {
+    const status = this.requireIssue(issueKey).fields.status?.name;
+    return this.transitions[status] || this.transitions['*'] || [];
+  }
+
+  // Fixtures don't evaluate JQL: every known issue is returned as a single page
+  async fetchSearchPage(searchApi, query, cursor, maxResults) {
+    this.recordCall('searchIssues', null, { jql: query.jql });
+    return { issues: Array.from(this.issues.values()).slice(0, maxResults), isLast: true, total: this.issues.size };
+  }
+
+  async linkIssues(inwardIssueKey, outwardIssueKey, linkType = 'Relates') {
+    this.recordCall('linkIssues', inwardIssueKey, { outwardIssueKey, linkType });
+    console.log(`✅ Linked issues: ${inwardIssueKey} -> ${outwardIssueKey}`);
+    return true;
+  }
+
+  async addAttachment(issueKey, filename, content, contentType = 'text/plain') {
+    const issue = this.requireIssue(issueKey);
+    this.recordCall('addAttachment', issueKey, { filename, size: content.length, contentType });
+    const attachment = { id: String(++this.nextAttachmentId), filename, size: content.length, mimeType: contentType };
+    issue.fields.attachment = [...(issue.fields.attachment || []), attachment];
+    console.log(`✅ Added attachment to ${issueKey}: ${filename}`);
+    return [attachment];
+  }
+
+  async deleteAttachment(attachmentId) {
+    this.recordCall('deleteAttachment', null, { attachmentId });
+    for (const issue of this.issues.values()) {
+      issue.fields.attachment = (issue.fields.attachment || []).filter(attachment => String(attachment.id) !== String(attachmentId));
+    }
+  }
+
+  async getRemoteLinks(issueKey) {
+    this.requireIssue(issueKey);
+    return this.remoteLinks[issueKey] || [];
+  }
+
+  async upsertRemoteLink(issueKey, link) {
+    this.requireIssue(issueKey);
+    this.recordCall('upsertRemoteLink', issueKey, link);
+    const links = (this.remoteLinks[issueKey] = (this.remoteLinks[issueKey] || []).filter(existing => existing.globalId !== link.globalId));
+    links.push({ globalId: link.globalId, relationship: link.relationship, object: { url: link.url, title: link.title } });
+    console.log(`✅ Linked ${issueKey} to ${link.url}`);
+    return { self: link.url };
+  }
+
+  async getFields() {
+    return this.fields;
+  }
+
+  async getEditMeta(issueKey) {
+    this.requireIssue(issueKey);
+    if (this.editMeta[issueKey] || this.editMeta['*']) {
+      return this.editMeta[issueKey] || this.editMeta['*'];
+    }
+
+    const meta = {};
+    for (const field of this.fields) {
+      meta[field.id] = { name: field.name, schema: field.schema };
+    }
+    for (const id of ['priority', 'components', 'labels', 'timetracking']) {
+      meta[id] = { name: id };
+    }
+    return meta;
+  }
+
+  async getAttachments(issueKey) {
+    return this.requireIssue(issueKey).fields.attachment || [];
+  }
+
+  async downloadAttachment(attachment) {
+    const content = this.attachmentContents[attachment.id];
+    if (content === undefined) {
+      throw new JiraNotFoundError(`Failed to download attachment ${attachment.filename}: 404 (not in replay fixture)`, { status: 404 });
+    }
+    return typeof content === 'string' ? Buffer.from(content, 'utf8') : Buffer.from(content.base64, 'base64');
+  }
+
+  async getProject(projectKey) {
+    return this.projects[projectKey] || { key: projectKey, name: projectKey };
+  }
+
+  async getCurrentUser() {
+    return this.currentUser;
+  }
+
+  extractCommentTitle(comment) {
+    const match = this.markup.toMarkdown(comment).match(/^\*\*(.+?)\*\*/);
+    return match ? match[1] : comment.substring(0, 60);
+  }
+
+  getMutatingCalls() {
+    return this.calls.filter(call => !['getIssue', 'searchIssues'].includes(call.method));
+  }
+}
+
+module.exports = RecordedJiraApi;
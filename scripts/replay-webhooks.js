@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+// Offline replay of recorded Jira webhooks through JiraWebhookProcessor.
+//
+// Usage:
+//   node scripts/replay-webhooks.js <webhook.json|directory> [options]
+//
+// Options:
+//   --jira-fixture <file>    Recorded Jira issues/transitions (default: issues from the webhooks only)
+//   --claude-fixture <file>  Recorded Claude responses (default: any Claude call fails)
+//   --live-jira              Use the real Jira API (JIRA_URL, JIRA_EMAIL, JIRA_API_TOKEN)
+//   --live-claude            Use the real Claude API (CLAUDE_API_KEY)
+//   --write                  Write artifacts into this repository's work-items/ instead of a scratch copy
+//   --fresh                  Ignore recorded idempotency state
+//   --verbose                Show the processor's own logging
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const JiraWebhookProcessor = require('./process-jira-webhook.js');
+const RecordedJiraApi = require('./recorded-jira-api.js');
+const RecordedClaudeClient = require('./recorded-claude-client.js');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+const STATE_DIR = '.automation-state';
+
+function parseArgs(argv) {
+  const options = { inputs: [], flags: new Set() };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--jira-fixture' || arg === '--claude-fixture') {
+      options[arg === '--jira-fixture' ? 'jiraFixture' : 'claudeFixture'] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      options.flags.add(arg.substring(2));
+    } else {
+      options.inputs.push(arg);
+    }
+  }
+  return options;
+}
+
+async function readJson(filePath) {
+  return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+async function loadWebhooks(inputs) {
+  const webhooks = [];
+  for (const input of inputs) {
+    const resolved = path.resolve(input);
+    const stats = await fs.stat(resolved);
+    const files = stats.isDirectory()
+      ? (await fs.readdir(resolved)).filter(name => name.endsWith('.json')).sort().map(name => path.join(resolved, name))
+      : [resolved];
+
+    for (const file of files) {
+      const content = await readJson(file);
+      for (const payload of Array.isArray(content) ? content : [content]) {
+        webhooks.push({ file: path.relative(process.cwd(), file), payload });
+      }
+    }
+  }
+  return webhooks;
+}
+
+async function snapshotWorkItems(root) {
+  const snapshot = new Map();
+
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else {
+        const content = await fs.readFile(fullPath);
+        snapshot.set(path.relative(root, fullPath), crypto.createHash('sha1').update(content).digest('hex'));
+      }
+    }
+  }
+
+  await walk(path.join(root, 'work-items'));
+  return snapshot;
+}
+
+function diffSnapshots(before, after) {
+  const changes = [];
+  for (const [file, hash] of after) {
+    if (!before.has(file)) changes.push(`+ ${file}`);
+    else if (before.get(file) !== hash) changes.push(`~ ${file}`);
+  }
+  return changes.sort();
+}
+
+async function prepareWorkspace(flags) {
+  if (flags.has('write')) {
+    return REPO_ROOT;
+  }
+
+  const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'jira-replay-'));
+  await fs.cp(path.join(REPO_ROOT, 'work-items'), path.join(workspace, 'work-items'), { recursive: true }).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+
+  if (flags.has('fresh')) {
+    await fs.rm(path.join(workspace, 'work-items', STATE_DIR), { recursive: true, force: true });
+  }
+  return workspace;
+}
+
+async function withSilencedConsole(enabled, fn) {
+  if (!enabled) return fn();
+
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+function printReport(report) {
+  const line = (label, value) => console.log(`  ${label.padEnd(16)}${value}`);
+
+  console.log(`\n▶ ${report.issueKey} (${report.webhookEvent}) from ${report.file}`);
+  line('Validation:', report.filter.actionable ? 'actionable' : `ignored - ${report.filter.reason}`);
+  if (report.classification) line('Classification:', report.classification);
+  line('Result:', report.error ? `ERROR - ${report.error}` : `${report.result.action}${report.result.reason ? ` - ${report.result.reason}` : ''}`);
+
+  if (report.jiraCalls.length > 0) {
+    line('Jira writes:', '');
+    report.jiraCalls.forEach(call => {
+      const detail = call.summary || call.title || call.linkType || (call.fields && call.fields.join(', ')) || call.to || call.filename || '';
+      console.log(`    ${call.method} ${call.issueKey || ''}${detail ? ` (${detail})` : ''}`);
+    });
+  }
+
+  if (report.claudeCalls.length > 0) {
+    line('Claude calls:', '');
+    report.claudeCalls.forEach(call => console.log(`    ${call.matched ? '✓' : '✗'} ${call.promptPreview}`));
+  }
+
+  line('Files:', report.files.length > 0 ? '' : 'none');
+  report.files.forEach(file => console.log(`    ${file}`));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.inputs.length === 0) {
+    console.error('Usage: node scripts/replay-webhooks.js <webhook.json|directory> [--jira-fixture file] [--claude-fixture file] [--live-jira] [--live-claude] [--write] [--fresh] [--verbose]');
+    process.exit(1);
+  }
+
+  const webhooks = await loadWebhooks(options.inputs);
+  const jiraFixture = options.jiraFixture ? await readJson(options.jiraFixture) : {};
+  const claudeFixture = options.claudeFixture ? await readJson(options.claudeFixture) : {};
+
+  const jiraApi = options.flags.has('live-jira') ? undefined : new RecordedJiraApi(jiraFixture);
+  const anthropic = options.flags.has('live-claude') ? undefined : new RecordedClaudeClient(claudeFixture);
+  webhooks.forEach(({ payload }) => jiraApi?.seedIssue(payload.issue));
+
+  const workspace = await prepareWorkspace(options.flags);
+  process.chdir(workspace);
+  console.log(`Replaying ${webhooks.length} webhook(s) in ${workspace}`);
+
+  const processor = new JiraWebhookProcessor({ jiraApi, anthropic });
+  const quiet = !options.flags.has('verbose');
+  let failures = 0;
+
+  for (const { file, payload: recordedPayload } of webhooks) {
+    const jiraCallsBefore = jiraApi ? jiraApi.getMutatingCalls().length : 0;
+    const claudeCallsBefore = anthropic ? anthropic.calls.length : 0;
+    const before = await snapshotWorkItems(workspace);
+
+    const report = {
+      file,
+      issueKey: recordedPayload.issue?.key || 'unknown',
+      webhookEvent: recordedPayload.webhookEvent,
+      filter: { actionable: false, reason: 'not evaluated' },
+      classification: null,
+      result: null,
+      error: null
+    };
+
+    try {
+      await withSilencedConsole(quiet, async () => {
+        const payload = await processor.hydrateWebhookPayload(recordedPayload);
+        report.filter = processor.eventFilter.evaluate(payload);
+        if (report.filter.actionable) {
+          report.classification = processor.classifyIssueType(payload);
+        }
+        report.result = await processor.processWebhook(payload);
+      });
+    } catch (error) {
+      failures++;
+      report.error = error.message;
+    }
+
+    report.jiraCalls = jiraApi ? jiraApi.getMutatingCalls().slice(jiraCallsBefore) : [];
+    report.claudeCalls = anthropic ? anthropic.calls.slice(claudeCallsBefore) : [];
+    report.files = diffSnapshots(before, await snapshotWorkItems(workspace));
+    printReport(report);
+  }
+
+  if (!options.flags.has('write')) {
+    console.log(`\nArtifacts were written to a scratch copy: ${path.join(workspace, 'work-items')}`);
+  }
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Replay failed:', error.message);
+  process.exit(1);
+});
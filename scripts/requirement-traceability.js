@@ -0,0 +1,164 @@
+// Stable IDs for delivery criteria (FR-1, TR-2, AC-3, DoD-1) so each requirement
+// can be traced from the analysis, through the files that address it, to its
+// evaluation verdict.
+//
+// IDs are written into the requirement text ("FR-1: Export one row per account")
+// on the criteria issue, so they survive the round trip through Jira and are read
+// back unchanged by the implementation and evaluation stages. Requirements
+// without an ID (criteria issues created before IDs existed) are numbered by
+// position.
+
+const CATEGORIES = [
+  { key: 'functionalRequirements', prefix: 'FR', label: 'Functional' },
+  { key: 'technicalRequirements', prefix: 'TR', label: 'Technical' },
+  { key: 'acceptanceCriteria', prefix: 'AC', label: 'Acceptance' },
+  { key: 'definitionOfDone', prefix: 'DoD', label: 'Definition of Done' }
+];
+
+const ID_PATTERN = /^(FR|TR|AC|DoD)-(\d+):\s*/;
+
+const VERDICTS = ['met', 'partially_met', 'not_met'];
+
+class RequirementTraceability {
+  // Returns [{ id, category, text }] in category order. An ID already in the text
+  // is kept when it has the category's prefix and isn't taken; everything else
+  // gets the next free number.
+  assignIds(criteria = {}) {
+    const requirements = [];
+
+    for (const { key, prefix } of CATEGORIES) {
+      const entries = (criteria[key] || []).map(entry => {
+        const match = String(entry).match(ID_PATTERN);
+        return {
+          text: match ? String(entry).replace(ID_PATTERN, '').trim() : String(entry).trim(),
+          number: match && match[1] === prefix ? parseInt(match[2], 10) : null
+        };
+      });
+
+      const used = new Set();
+      entries.forEach(entry => {
+        if (entry.number !== null && !used.has(entry.number)) {
+          used.add(entry.number);
+        } else {
+          entry.number = null;
+        }
+      });
+
+      let next = 1;
+      for (const entry of entries) {
+        if (entry.number === null) {
+          while (used.has(next)) next++;
+          entry.number = next;
+          used.add(next);
+        }
+        requirements.push({ id: `${prefix}-${entry.number}`, category: key, text: entry.text });
+      }
+    }
+
+    return requirements;
+  }
+
+  // Same shape as `criteria`, with every requirement prefixed by its ID
+  withIds(criteria = {}) {
+    const labelled = { ...criteria };
+    const requirements = this.assignIds(criteria);
+
+    for (const { key } of CATEGORIES) {
+      if (Array.isArray(criteria[key])) {
+        labelled[key] = requirements
+          .filter(requirement => requirement.category === key)
+          .map(requirement => `${requirement.id}: ${requirement.text}`);
+      }
+    }
+    return labelled;
+  }
+
+  ids(requirements) {
+    return requirements.map(requirement => requirement.id);
+  }
+
+  // Checks `{ file: [ids] }` against the known IDs; returns { path, message } errors
+  checkReferences(fileRequirements, knownIds, basePath) {
+    const known = new Set(knownIds);
+    const errors = [];
+
+    for (const [file, ids] of Object.entries(fileRequirements || {})) {
+      (ids || []).forEach((id, index) => {
+        if (!known.has(id)) {
+          errors.push({ path: `${basePath}/${file}/${index}`, message: `is not a requirement ID (expected one of ${knownIds.join(', ')})` });
+        }
+      });
+    }
+    return errors;
+  }
+
+  // Exactly one verdict per known ID; returns { path, message } errors
+  checkVerdicts(verdicts, knownIds, basePath) {
+    const errors = [];
+    const seen = new Set();
+
+    (verdicts || []).forEach((verdict, index) => {
+      if (!knownIds.includes(verdict.id)) {
+        errors.push({ path: `${basePath}/${index}/id`, message: `is not a requirement ID (expected one of ${knownIds.join(', ')})` });
+      } else if (seen.has(verdict.id)) {
+        errors.push({ path: `${basePath}/${index}/id`, message: `repeats ${verdict.id}` });
+      }
+      seen.add(verdict.id);
+    });
+
+    const missing = knownIds.filter(id => !seen.has(id));
+    if (missing.length > 0) {
+      errors.push({ path: basePath, message: `is missing verdicts for ${missing.join(', ')}` });
+    }
+    return errors;
+  }
+
+  // Joins requirements, verdicts ([{ id, verdict, evidence }]) and the files that
+  // claim each requirement ({ file: [ids] }) into one row per requirement
+  buildMatrix(requirements, verdicts = [], fileRequirements = {}) {
+    const verdictsById = new Map(verdicts.map(verdict => [verdict.id, verdict]));
+
+    const rows = requirements.map(requirement => {
+      const verdict = verdictsById.get(requirement.id);
+      return {
+        id: requirement.id,
+        category: requirement.category,
+        requirement: requirement.text,
+        files: Object.entries(fileRequirements)
+          .filter(([, ids]) => (ids || []).includes(requirement.id))
+          .map(([file]) => file),
+        verdict: verdict?.verdict || 'not_evaluated',
+        evidence: verdict?.evidence || ''
+      };
+    });
+
+    const summary = { total: rows.length };
+    [...VERDICTS, 'not_evaluated'].forEach(verdict => {
+      summary[verdict] = rows.filter(row => row.verdict === verdict).length;
+    });
+    summary.unaddressed = rows.filter(row => row.files.length === 0).map(row => row.id);
+
+    return { summary, requirements: rows };
+  }
+
+  // Markdown table for the summary reports
+  formatMatrix(matrix) {
+    if (!matrix || matrix.requirements.length === 0) {
+      return 'No requirements recorded';
+    }
+
+    const cell = value => String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+    const rows = matrix.requirements.map(row =>
+      `| ${row.id} | ${cell(row.requirement)} | ${cell(row.files.join(', ') || '-')} | ${row.verdict.replace(/_/g, ' ')} | ${cell(row.evidence || '-')} |`
+    );
+
+    return `| ID | Requirement | Files | Verdict | Evidence |
+|----|-------------|-------|---------|----------|
+${rows.join('\n')}`;
+  }
+}
+
+RequirementTraceability.CATEGORIES = CATEGORIES;
+RequirementTraceability.VERDICTS = VERDICTS;
+
+module.exports = RequirementTraceability;
@@ -0,0 +1,136 @@
+// Shared rules for deciding whether a Jira webhook event is actionable.
+// Used by both the Netlify function (before dispatch) and JiraWebhookProcessor.
+
+class WebhookEventFilter {
+  // Comments only matter as answers to clarifying questions or duplicate reviews
+  static SUPPORTED_EVENTS = ['jira:issue_created', 'jira:issue_updated', 'comment_created'];
+  static SUPPORTED_ISSUE_TYPES = ['Story', 'Task'];
+  // Sub-tasks are only ever the automation's own work breakdown items
+  static SUBTASK_ISSUE_TYPES = ['Sub-task', 'Subtask'];
+  static CRITERIA_SUMMARY_MARKER = 'Deliverable Criteria:';
+  static AWAITING_CLARIFICATION_LABEL = 'claude-awaiting-clarification';
+  static AWAITING_DUPLICATE_REVIEW_LABEL = 'claude-awaiting-duplicate-review';
+  static READY_FOR_IMPLEMENTATION_STATUSES = ['Ready for Implementation', 'In Progress', 'Ready for Development'];
+  static TESTING_STATUS = 'Testing Criteria';
+  static CRITERIA_ACTIONABLE_STATUSES = [
+    ...WebhookEventFilter.READY_FOR_IMPLEMENTATION_STATUSES,
+    WebhookEventFilter.TESTING_STATUS
+  ];
+
+  constructor(options = {}) {
+    this.projectAllowlist = options.projectAllowlist ?? this.parseAllowlist(process.env.JIRA_PROJECT_ALLOWLIST);
+    // Lets the automation's own comments be dropped without asking Jira who it is;
+    // the processor checks every comment against /myself regardless
+    this.automationAccountId = options.automationAccountId ?? process.env.JIRA_AUTOMATION_ACCOUNT_ID ?? null;
+  }
+
+  parseAllowlist(value) {
+    if (!value) return [];
+    return value.split(',').map(key => key.trim().toUpperCase()).filter(Boolean);
+  }
+
+  evaluate(webhookPayload) {
+    const webhookEvent = webhookPayload?.webhookEvent;
+
+    if (!WebhookEventFilter.SUPPORTED_EVENTS.includes(webhookEvent)) {
+      return this.ignore(`Unsupported event type: ${webhookEvent}`);
+    }
+
+    const issue = webhookPayload.issue;
+    if (!issue || !issue.key) {
+      return this.ignore('Missing issue data in webhook payload');
+    }
+
+    const projectKey = this.getProjectKey(issue);
+    if (this.projectAllowlist.length > 0 && !this.projectAllowlist.includes(projectKey)) {
+      return this.ignore(`Project ${projectKey} is not in the allowlist`);
+    }
+
+    const issueType = issue.fields?.issuetype?.name;
+    if (this.isSubtask(issue)) {
+      if (!this.isCriteriaSummary(issue.fields?.summary)) {
+        return this.ignore('Sub-task not created by the automation');
+      }
+    } else if (!WebhookEventFilter.SUPPORTED_ISSUE_TYPES.includes(issueType)) {
+      return this.ignore(`Issue type '${issueType}' not supported for automation`);
+    }
+
+    if (webhookEvent === 'comment_created') {
+      return this.evaluateComment(webhookPayload);
+    }
+
+    // For updated events, only proceed if it's a meaningful status change
+    if (webhookEvent === 'jira:issue_updated') {
+      const isStatusChange = webhookPayload.changelog?.items?.some(item => item.field === 'status');
+      if (!isStatusChange) {
+        return this.ignore('Updated event but no status change');
+      }
+
+      const status = issue.fields?.status?.name;
+      if (!this.isCriteriaSummary(issue.fields?.summary)) {
+        // For regular issues, we typically don't care about status updates
+        return this.ignore('Regular issue status update');
+      }
+
+      if (!WebhookEventFilter.CRITERIA_ACTIONABLE_STATUSES.includes(status)) {
+        return this.ignore(`Deliverable criteria issue not in actionable status: ${status}`);
+      }
+    }
+
+    return { actionable: true, reason: null };
+  }
+
+  // A comment can only be an answer on an original issue that is waiting for one.
+  // Comment payloads don't always carry labels; the processor re-checks those.
+  evaluateComment(webhookPayload) {
+    const issue = webhookPayload.issue;
+    if (this.isCriteriaSummary(issue.fields?.summary)) {
+      return this.ignore('Comment on a deliverable criteria issue');
+    }
+
+    if (this.automationAccountId && WebhookEventFilter.isAuthoredBy(webhookPayload.comment, { accountId: this.automationAccountId })) {
+      return this.ignore('Comment posted by the automation');
+    }
+
+    const labels = issue.fields?.labels;
+    const awaiting = [WebhookEventFilter.AWAITING_CLARIFICATION_LABEL, WebhookEventFilter.AWAITING_DUPLICATE_REVIEW_LABEL];
+    if (Array.isArray(labels) && !awaiting.some(label => WebhookEventFilter.hasLabel(labels, label))) {
+      return this.ignore('Issue is not awaiting clarification or duplicate review');
+    }
+
+    return { actionable: true, reason: null };
+  }
+
+  // Whether `user` (e.g. from /myself) wrote the comment. The body can't tell: a
+  // human may quote the automation's footer. Jira Cloud identifies users by
+  // accountId; Data Center only by name.
+  static isAuthoredBy(comment, user) {
+    const author = comment?.author;
+    if (!author || !user) return false;
+    if (user.accountId || author.accountId) return author.accountId === user.accountId;
+    return Boolean(user.name) && author.name === user.name;
+  }
+
+  static hasLabel(labels, label) {
+    return (labels || []).some(existing => (typeof existing === 'string' ? existing : existing?.name) === label);
+  }
+
+  isCriteriaSummary(summary) {
+    return (summary || '').includes(WebhookEventFilter.CRITERIA_SUMMARY_MARKER);
+  }
+
+  isSubtask(issue) {
+    return Boolean(issue?.fields?.issuetype?.subtask)
+      || WebhookEventFilter.SUBTASK_ISSUE_TYPES.includes(issue?.fields?.issuetype?.name);
+  }
+
+  getProjectKey(issue) {
+    return (issue.fields?.project?.key || issue.key.split('-')[0]).toUpperCase();
+  }
+
+  ignore(reason) {
+    return { actionable: false, reason };
+  }
+}
+
+module.exports = WebhookEventFilter;
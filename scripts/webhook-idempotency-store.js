@@ -0,0 +1,83 @@
+// Persistent record of processed webhook deliveries so duplicates can be skipped.
+// State lives in a committed file under work-items/ so it survives across Actions runs.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class WebhookIdempotencyStore {
+  constructor(options = {}) {
+    this.statePath = options.statePath || path.join(process.cwd(), 'work-items', '.automation-state', 'processed-webhooks.json');
+    this.maxEntries = options.maxEntries ?? 500;
+    this.retentionDays = options.retentionDays ?? 30;
+    this.entries = null;
+  }
+
+  getDeliveryKey(webhookPayload) {
+    const issueKey = webhookPayload.issue?.key || 'unknown';
+    const eventType = webhookPayload.webhookEvent || 'unknown';
+    const identifier = webhookPayload.webhookIdentifier || webhookPayload.timestamp || 'none';
+    return `delivery:${identifier}:${issueKey}:${eventType}`;
+  }
+
+  getStageKey(issueKey, stage) {
+    return `stage:${issueKey}:${stage}`;
+  }
+
+  async load() {
+    if (this.entries) return this.entries;
+
+    try {
+      const content = await fs.readFile(this.statePath, 'utf8');
+      this.entries = JSON.parse(content).entries || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read idempotency state, starting fresh: ${error.message}`);
+      }
+      this.entries = {};
+    }
+
+    return this.entries;
+  }
+
+  async has(key) {
+    const entries = await this.load();
+    return Boolean(entries[key]);
+  }
+
+  async get(key) {
+    const entries = await this.load();
+    return entries[key] || null;
+  }
+
+  async record(key, details = {}) {
+    const entries = await this.load();
+    entries[key] = {
+      ...details,
+      recordedAt: new Date().toISOString()
+    };
+
+    this.prune();
+    await this.save();
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const sorted = Object.entries(this.entries)
+      .filter(([, entry]) => Date.parse(entry.recordedAt) >= cutoff)
+      .sort(([, a], [, b]) => Date.parse(b.recordedAt) - Date.parse(a.recordedAt))
+      .slice(0, this.maxEntries);
+
+    this.entries = Object.fromEntries(sorted);
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.statePath), { recursive: true });
+    const state = {
+      updatedAt: new Date().toISOString(),
+      entries: this.entries
+    };
+    await fs.writeFile(this.statePath, JSON.stringify(state, null, 2), 'utf8');
+  }
+}
+
+module.exports = WebhookIdempotencyStore;
@@ -0,0 +1,113 @@
+// Projects Jira webhook payloads down to what JiraWebhookProcessor reads, so they
+// fit within GitHub's repository_dispatch client_payload limits
+
+class WebhookPayloadProjector {
+  // GitHub rejects client_payload with more than 10 top-level keys
+  static MAX_TOP_LEVEL_KEYS = 10;
+
+  constructor(options = {}) {
+    this.maxPayloadBytes = options.maxPayloadBytes ?? parseInt(process.env.DISPATCH_MAX_PAYLOAD_BYTES || '60000', 10);
+  }
+
+  project(webhookPayload, extra = {}) {
+    const issue = webhookPayload.issue || {};
+    const fields = issue.fields || {};
+
+    return {
+      webhookEvent: webhookPayload.webhookEvent,
+      timestamp: webhookPayload.timestamp,
+      ...extra,
+      issue: {
+        id: issue.id,
+        key: issue.key,
+        fields: {
+          summary: fields.summary,
+          description: fields.description,
+          issuetype: fields.issuetype ? { name: fields.issuetype.name } : undefined,
+          status: fields.status ? { name: fields.status.name } : undefined,
+          priority: fields.priority ? { name: fields.priority.name } : undefined,
+          project: fields.project ? { key: fields.project.key, name: fields.project.name } : undefined,
+          labels: fields.labels
+        }
+      },
+      changelog: this.projectChangelog(webhookPayload.changelog),
+      comment: this.projectComment(webhookPayload.comment)
+    };
+  }
+
+  // The processor reads the comment itself back from Jira
+  projectComment(comment) {
+    if (!comment) return undefined;
+
+    return {
+      id: comment.id,
+      author: comment.author ? { accountId: comment.author.accountId, name: comment.author.name, displayName: comment.author.displayName } : undefined,
+      created: comment.created
+    };
+  }
+
+  projectChangelog(changelog) {
+    if (!changelog?.items) return undefined;
+
+    return {
+      items: changelog.items
+        .filter(item => item.field === 'status')
+        .map(item => ({
+          field: item.field,
+          fromString: item.fromString,
+          toString: item.toString
+        }))
+    };
+  }
+
+  // Key-only form: the processor re-fetches the issue through JiraApiHelpers.getIssue
+  projectKeyOnly(webhookPayload, extra = {}) {
+    return {
+      webhookEvent: webhookPayload.webhookEvent,
+      timestamp: webhookPayload.timestamp,
+      ...extra,
+      issueFieldsOmitted: true,
+      issue: { key: webhookPayload.issue?.key },
+      changelog: this.projectChangelog(webhookPayload.changelog),
+      comment: this.projectComment(webhookPayload.comment)
+    };
+  }
+
+  buildDispatchPayload(webhookPayload, extra = {}) {
+    const projected = this.project(webhookPayload, extra);
+    const projectedSize = this.measure(projected);
+
+    if (projectedSize <= this.maxPayloadBytes) {
+      this.validate(projected);
+      return { payload: projected, mode: 'projected', size: projectedSize };
+    }
+
+    console.log(`Projected payload is ${projectedSize} bytes (limit ${this.maxPayloadBytes}) - sending issue key only`);
+    const keyOnly = this.projectKeyOnly(webhookPayload, extra);
+    const keyOnlySize = this.measure(keyOnly);
+    this.validate(keyOnly);
+
+    if (keyOnlySize > this.maxPayloadBytes) {
+      throw new Error(`Dispatch payload too large even without issue fields: ${keyOnlySize} bytes`);
+    }
+
+    return { payload: keyOnly, mode: 'key_only', size: keyOnlySize };
+  }
+
+  validate(payload) {
+    const topLevelKeys = Object.keys(payload).filter(key => payload[key] !== undefined);
+    if (topLevelKeys.length > WebhookPayloadProjector.MAX_TOP_LEVEL_KEYS) {
+      throw new Error(`Dispatch payload has ${topLevelKeys.length} top-level keys (max ${WebhookPayloadProjector.MAX_TOP_LEVEL_KEYS})`);
+    }
+
+    if (!payload.issue?.key) {
+      throw new Error('Dispatch payload is missing issue key');
+    }
+  }
+
+  measure(payload) {
+    return Buffer.byteLength(JSON.stringify(payload), 'utf8');
+  }
+}
+
+module.exports = WebhookPayloadProjector;
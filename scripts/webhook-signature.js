@@ -0,0 +1,125 @@
+// Signature and replay verification for incoming Jira webhooks
+//
+// Replays are recognised by a hash of the signed body, not by the
+// X-Atlassian-Webhook-Identifier header: the header isn't covered by the
+// signature, so a captured request could be resent with it changed or removed.
+// The cache lives in memory, so it only covers deliveries seen by this process
+// (one warm Netlify instance, or one direct runner); the timestamp tolerance
+// bounds the window everywhere else.
+
+const crypto = require('crypto');
+
+class WebhookSignatureVerifier {
+  constructor(options = {}) {
+    this.secret = options.secret ?? process.env.JIRA_WEBHOOK_SECRET;
+    this.toleranceMs = (options.toleranceSeconds ?? parseInt(process.env.JIRA_WEBHOOK_TOLERANCE_SECONDS || '300', 10)) * 1000;
+    this.maxTrackedDeliveries = options.maxTrackedDeliveries ?? 1000;
+
+    // Replay keys seen by this instance, mapped to the time they can be forgotten
+    this.deliveredIds = new Map();
+  }
+
+  verify(headers, rawBody) {
+    if (!this.secret) {
+      console.error('JIRA_WEBHOOK_SECRET is not configured - rejecting webhook');
+      return this.reject(500, 'Webhook secret not configured');
+    }
+
+    const normalizedHeaders = this.normalizeHeaders(headers);
+    const signatureHeader = normalizedHeaders['x-hub-signature'];
+
+    if (!signatureHeader) {
+      return this.reject(401, 'Missing X-Hub-Signature header');
+    }
+
+    const [algorithm, signature] = signatureHeader.split('=');
+    if (algorithm !== 'sha256' || !signature) {
+      return this.reject(401, `Unsupported signature format: ${algorithm}`);
+    }
+
+    const expected = crypto.createHmac('sha256', this.secret).update(rawBody, 'utf8').digest('hex');
+    if (!this.safeEqual(signature, expected)) {
+      return this.reject(403, 'Invalid webhook signature');
+    }
+
+    // Signature is good, so the payload timestamp can be trusted
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch (error) {
+      return this.reject(400, `Invalid JSON payload: ${error.message}`);
+    }
+
+    const timestamp = Number(payload.timestamp);
+    if (!timestamp) {
+      return this.reject(403, 'Missing webhook timestamp');
+    }
+
+    const age = Math.abs(Date.now() - timestamp);
+    if (age > this.toleranceMs) {
+      return this.reject(403, `Webhook timestamp outside tolerance (${Math.round(age / 1000)}s old)`);
+    }
+
+    const replayKey = crypto.createHash('sha256').update(rawBody, 'utf8').digest('hex');
+    if (this.hasDelivered(replayKey)) {
+      return this.reject(403, `Replayed webhook delivery: ${replayKey.substring(0, 12)}`);
+    }
+
+    // deliveryId is informational (processor idempotency); replayKey is what markDelivered() records
+    const deliveryId = normalizedHeaders['x-atlassian-webhook-identifier'] || null;
+    return { valid: true, payload, deliveryId, replayKey };
+  }
+
+  // Only record a delivery once it has been handled, so Jira's own retries of a
+  // failed delivery (same body) are still accepted
+  markDelivered(replayKey) {
+    if (!replayKey) return;
+
+    this.pruneDeliveries();
+    // Kept a little past the tolerance so a copy can't outlive its cache entry
+    this.deliveredIds.set(replayKey, Date.now() + 2 * this.toleranceMs);
+
+    if (this.deliveredIds.size > this.maxTrackedDeliveries) {
+      const oldestId = this.deliveredIds.keys().next().value;
+      this.deliveredIds.delete(oldestId);
+    }
+  }
+
+  hasDelivered(replayKey) {
+    this.pruneDeliveries();
+    return this.deliveredIds.has(replayKey);
+  }
+
+  pruneDeliveries() {
+    const now = Date.now();
+    for (const [id, expiresAt] of this.deliveredIds) {
+      if (expiresAt <= now) {
+        this.deliveredIds.delete(id);
+      }
+    }
+  }
+
+  normalizeHeaders(headers = {}) {
+    const normalized = {};
+    for (const [name, value] of Object.entries(headers)) {
+      normalized[name.toLowerCase()] = Array.isArray(value) ? value[0] : value;
+    }
+    return normalized;
+  }
+
+  safeEqual(actual, expected) {
+    const actualBuffer = Buffer.from(actual, 'utf8');
+    const expectedBuffer = Buffer.from(expected, 'utf8');
+    if (actualBuffer.length !== expectedBuffer.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(actualBuffer, expectedBuffer);
+  }
+
+  reject(statusCode, reason) {
+    console.log(`Webhook rejected (${statusCode}): ${reason}`);
+    return { valid: false, statusCode, reason };
+  }
+}
+
+module.exports = WebhookSignatureVerifier;
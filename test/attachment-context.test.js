@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AttachmentContextBuilder = require('../scripts/attachment-context.js');
+const { silence } = require('./helpers.js');
+
+// Attachments by filename: { mimeType, content (Buffer) }
+function stubJiraApi(files) {
+  const attachments = Object.entries(files).map(([filename, file], index) => ({
+    id: String(index + 1),
+    filename,
+    mimeType: file.mimeType,
+    size: file.content.length
+  }));
+  return {
+    getAttachments: async () => attachments,
+    downloadAttachment: async attachment => files[attachment.filename].content
+  };
+}
+
+test.beforeEach(t => silence(t));
+
+test('truncates text on a character boundary instead of splitting a multi-byte character', async () => {
+  // "é" is two bytes and "€" three, so a 6-byte cut lands inside the euro sign
+  const content = Buffer.from('né: 5€ each', 'utf8');
+  const builder = new AttachmentContextBuilder({ jiraApi: stubJiraApi({ 'prices.txt': { mimeType: 'text/plain', content } }), maxTextBytes: 8 });
+
+  const { texts, considered } = await builder.build('DEMO-1');
+
+  assert.equal(texts[0].text, 'né: 5');
+  assert.ok(!texts[0].text.includes('�'));
+  assert.deepEqual([texts[0].truncated, texts[0].shownBytes, texts[0].totalBytes], [true, 6, content.length]);
+  assert.equal(considered[0].note, `first 6 of ${content.length} bytes`);
+});
+
+test('charges only the bytes shown against the total text budget', async () => {
+  const files = {
+    'a.md': { mimeType: 'text/markdown', content: Buffer.from('€€€', 'utf8') },
+    'b.md': { mimeType: 'text/markdown', content: Buffer.from('abcdef', 'utf8') }
+  };
+  const builder = new AttachmentContextBuilder({ jiraApi: stubJiraApi(files), maxTextBytes: 100, maxTotalTextBytes: 8 });
+
+  const { texts } = await builder.build('DEMO-1');
+
+  // The 8-byte cut falls inside the third "€", so 2 bytes are left for b.md
+  assert.deepEqual(texts.map(file => file.text), ['€€', 'ab']);
+  assert.deepEqual(texts.map(file => file.shownBytes), [6, 2]);
+});
+
+test('includes short text whole, inlines images and skips other types', async () => {
+  const files = {
+    'notes.txt': { mimeType: 'text/plain', content: Buffer.from('Totals per account', 'utf8') },
+    'mockup.png': { mimeType: 'image/png', content: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+    'report.pdf': { mimeType: 'application/pdf', content: Buffer.from('%PDF') }
+  };
+  const builder = new AttachmentContextBuilder({ jiraApi: stubJiraApi(files) });
+
+  const { texts, images, considered } = await builder.build('DEMO-1');
+
+  assert.deepEqual(texts.map(file => [file.text, file.truncated]), [['Totals per account', false]]);
+  assert.deepEqual(images, [{ filename: 'mockup.png', mediaType: 'image/png', data: 'iVBORw==' }]);
+  assert.deepEqual(considered.map(entry => entry.usage), ['included', 'image', 'skipped']);
+  assert.equal(considered[2].note, 'unsupported file type');
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ClaudeStageConfig = require('../scripts/claude-stage-config.js');
+const { silence } = require('./helpers.js');
+
+const CONFIG = {
+  defaults: { model: 'claude-default', maxTokens: 4000, temperature: 0.1, systemPrompt: null, timeoutMs: 600000 },
+  stages: {
+    analysis: { maxTokens: 5000 },
+    evaluation: { model: 'claude-evaluator', temperature: 0 }
+  }
+};
+
+test.beforeEach(t => silence(t));
+
+test('defaults apply to every stage', () => {
+  const settings = new ClaudeStageConfig({ config: CONFIG, env: {} }).get('implementation');
+
+  assert.deepEqual(settings, {
+    stage: 'implementation',
+    model: 'claude-default',
+    maxTokens: 4000,
+    temperature: 0.1,
+    systemPrompt: null,
+    timeoutMs: 600000
+  });
+});
+
+test('a stage in the config overrides the defaults', () => {
+  const config = new ClaudeStageConfig({ config: CONFIG, env: {} });
+
+  assert.equal(config.get('analysis').maxTokens, 5000);
+  assert.deepEqual([config.get('evaluation').model, config.get('evaluation').temperature], ['claude-evaluator', 0]);
+});
+
+test('global environment variables override the config file', () => {
+  const config = new ClaudeStageConfig({ config: CONFIG, env: { CLAUDE_MODEL: 'claude-env', CLAUDE_MAX_TOKENS: '2000' } });
+
+  assert.deepEqual([config.get('evaluation').model, config.get('analysis').maxTokens], ['claude-env', 2000]);
+});
+
+test('stage environment variables override the global ones', () => {
+  const env = { CLAUDE_TEMPERATURE: '0.5', CLAUDE_EVALUATION_TEMPERATURE: '0.2', CLAUDE_SYSTEM_PROMPT: 'Be brief.' };
+  const config = new ClaudeStageConfig({ config: CONFIG, env });
+
+  assert.equal(config.get('evaluation').temperature, 0.2);
+  assert.equal(config.get('tests').temperature, 0.5);
+  assert.equal(config.get('tests').systemPrompt, 'Be brief.');
+});
+
+test('config/claude-stages.json is used unless CLAUDE_STAGE_CONFIG is set', t => {
+  const previous = process.env.CLAUDE_STAGE_CONFIG;
+  t.after(() => {
+    if (previous === undefined) delete process.env.CLAUDE_STAGE_CONFIG;
+    else process.env.CLAUDE_STAGE_CONFIG = previous;
+  });
+
+  delete process.env.CLAUDE_STAGE_CONFIG;
+  const fromFile = new ClaudeStageConfig({ env: {} });
+  assert.equal(fromFile.get('implementation').maxTokens, 8000);
+  assert.equal(fromFile.get('documentation').maxTokens, 3000);
+
+  process.env.CLAUDE_STAGE_CONFIG = JSON.stringify({ defaults: { model: 'claude-json', maxTokens: 100 } });
+  assert.equal(new ClaudeStageConfig({ env: {} }).get('implementation').maxTokens, 100);
+
+  process.env.CLAUDE_STAGE_CONFIG = '{ defaults: }';
+  assert.throws(() => new ClaudeStageConfig({ env: {} }), /Invalid CLAUDE_STAGE_CONFIG JSON/);
+});
+
+test('each stage\'s timeout becomes the request option for that stage', () => {
+  const config = new ClaudeStageConfig({ config: CONFIG, env: { CLAUDE_IMPLEMENTATION_TIMEOUT_MS: '900000' } });
+  const withoutTimeout = new ClaudeStageConfig({ config: { defaults: { ...CONFIG.defaults, timeoutMs: null } }, env: {} });
+
+  assert.deepEqual(config.toRequestOptions(config.get('implementation')), { timeout: 900000 });
+  assert.deepEqual(config.toRequestOptions(config.get('analysis')), { timeout: 600000 });
+  assert.deepEqual(withoutTimeout.toRequestOptions(withoutTimeout.get('analysis')), {});
+});
+
+test('request params leave out unset temperature and system prompt', () => {
+  const config = new ClaudeStageConfig({ config: { defaults: { model: 'claude-default', maxTokens: 1000 } }, env: {} });
+
+  assert.deepEqual(config.toRequestParams(config.get('analysis')), { model: 'claude-default', max_tokens: 1000 });
+});
+
+test('rejects invalid values', () => {
+  assert.throws(
+    () => new ClaudeStageConfig({ config: CONFIG, env: { CLAUDE_ANALYSIS_MAX_TOKENS: 'lots' } }).get('analysis'),
+    /Invalid CLAUDE_ANALYSIS_MAX_TOKENS: lots/
+  );
+  assert.throws(
+    () => new ClaudeStageConfig({ config: { ...CONFIG, stages: { tests: { timeoutMs: '10m' } } }, env: {} }).get('tests'),
+    /Invalid timeoutMs for the tests stage: "10m"/
+  );
+  assert.throws(
+    () => new ClaudeStageConfig({ config: { defaults: { model: 'claude-default', maxTokens: 0 } }, env: {} }).get('tests'),
+    /No max tokens configured for the tests stage/
+  );
+  assert.throws(() => new ClaudeStageConfig({ config: { defaults: { maxTokens: 1000 } }, env: {} }).get('tests'), /No Claude model configured/);
+  assert.throws(() => new ClaudeStageConfig({ config: CONFIG, env: {} }).get('review'), /Unknown Claude stage: review/);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { StructuredOutputClient, StructuredOutputError } = require('../scripts/claude-structured-output.js');
+const ClaudeStageConfig = require('../scripts/claude-stage-config.js');
+const { silence } = require('./helpers.js');
+
+const TOOL = {
+  name: 'record_estimate',
+  description: 'Record the estimate',
+  schema: {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Estimate',
+    type: 'object',
+    required: ['storyPoints', 'summary'],
+    properties: {
+      storyPoints: { type: 'integer', minimum: 1 },
+      summary: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+// An Anthropic client that answers with `replies` in order and records each request
+function fakeAnthropic(replies) {
+  const requests = [];
+  return {
+    requests,
+    messages: {
+      create: async (params, options) => {
+        requests.push({ params: JSON.parse(JSON.stringify(params)), options });
+        return replies[requests.length - 1];
+      }
+    }
+  };
+}
+
+function toolCall(input, id = 'toolu_1') {
+  return { content: [{ type: 'tool_use', id, name: TOOL.name, input }], stop_reason: 'tool_use' };
+}
+
+function createClient(replies, maxAttempts = 3) {
+  const anthropic = fakeAnthropic(replies);
+  const stageConfig = new ClaudeStageConfig({ config: { defaults: { model: 'claude-test', maxTokens: 1000, timeoutMs: 30000 } }, env: {} });
+  const client = new StructuredOutputClient({ anthropic, stageConfig, maxAttempts });
+  return { client, anthropic, settings: stageConfig.get('analysis') };
+}
+
+const MESSAGES = [{ role: 'user', content: 'Estimate the CSV export' }];
+
+test.beforeEach(t => silence(t));
+
+test('forces the tool and returns its input when it matches the schema', async t => {
+  const { client, anthropic, settings } = createClient([toolCall({ storyPoints: 3, summary: 'Small change' })]);
+
+  const result = await client.request({ label: 'Estimate', settings, messages: MESSAGES, tool: TOOL });
+
+  assert.deepEqual(result.input, { storyPoints: 3, summary: 'Small change' });
+  assert.equal(result.attempts, 1);
+  const [{ params, options }] = anthropic.requests;
+  assert.deepEqual(params.tool_choice, { type: 'tool', name: TOOL.name });
+  assert.deepEqual(Object.keys(params.tools[0].input_schema), ['type', 'required', 'properties']);
+  assert.deepEqual(options, { timeout: 30000 });
+});
+
+test('sends schema errors back and accepts the repaired input', async t => {
+  const { client, anthropic, settings } = createClient([
+    toolCall({ storyPoints: 0, summary: '  ' }, 'toolu_1'),
+    toolCall({ storyPoints: 2, summary: 'Small change' }, 'toolu_2')
+  ]);
+
+  const result = await client.request({ label: 'Estimate', settings, messages: MESSAGES, tool: TOOL });
+
+  assert.equal(result.attempts, 2);
+  assert.equal(result.input.storyPoints, 2);
+  const repair = anthropic.requests[1].params.messages;
+  assert.equal(repair.length, 3);
+  assert.equal(repair[1].role, 'assistant');
+  const [toolResult] = repair[2].content;
+  assert.deepEqual([toolResult.type, toolResult.tool_use_id, toolResult.is_error], ['tool_result', 'toolu_1', true]);
+  assert.match(toolResult.content, /- \/storyPoints must be >= 1/);
+  assert.match(toolResult.content, /- \/summary must not be empty/);
+});
+
+test('extraErrors can reject an input the schema accepts', async t => {
+  const { client, settings } = createClient([
+    toolCall({ storyPoints: 40, summary: 'Rewrite' }),
+    toolCall({ storyPoints: 8, summary: 'Rewrite' })
+  ]);
+  const extraErrors = input => (input.storyPoints > 13 ? [{ path: '/storyPoints', message: 'must be split above 13' }] : []);
+
+  const result = await client.request({ label: 'Estimate', settings, messages: MESSAGES, tool: TOOL, extraErrors });
+
+  assert.deepEqual([result.attempts, result.input.storyPoints], [2, 8]);
+});
+
+test('fails with schema_mismatch after maxAttempts invalid inputs', async t => {
+  const invalid = toolCall({ storyPoints: 'three', summary: 'Small change' });
+  const { client, anthropic, settings } = createClient([invalid, invalid], 2);
+
+  await assert.rejects(
+    client.request({ label: 'Estimate', settings, messages: MESSAGES, tool: TOOL }),
+    error => {
+      assert.ok(error instanceof StructuredOutputError);
+      assert.equal(error.reason, 'schema_mismatch');
+      assert.deepEqual(error.errors, [{ path: '/storyPoints', message: 'must be integer (got string)' }]);
+      assert.match(error.message, /after 2 attempt\(s\)/);
+      return true;
+    }
+  );
+  assert.equal(anthropic.requests.length, 2);
+});
+
+test('asks again when the response has no tool call, and fails with missing_tool_call if it never comes', async t => {
+  const text = { content: [{ type: 'text', text: 'Here is the estimate: 3 points' }], stop_reason: 'end_turn' };
+  const { client, anthropic, settings } = createClient([text, text], 2);
+
+  await assert.rejects(
+    client.request({ label: 'Estimate', settings, messages: MESSAGES, tool: TOOL }),
+    error => error instanceof StructuredOutputError && error.reason === 'missing_tool_call'
+  );
+  const repair = anthropic.requests[1].params.messages[2];
+  assert.deepEqual(repair, { role: 'user', content: `Your previous response did not call the ${TOOL.name} tool. Call ${TOOL.name} with the complete result.` });
+});
+
+test('fails straight away on stop_reason max_tokens', async t => {
+  const cutOff = { ...toolCall({ storyPoints: 3 }), stop_reason: 'max_tokens' };
+  const { client, anthropic, settings } = createClient([cutOff, toolCall({ storyPoints: 3, summary: 'Small change' })]);
+
+  await assert.rejects(
+    client.request({ label: 'Estimate', settings, messages: MESSAGES, tool: TOOL }),
+    error => error instanceof StructuredOutputError && error.reason === 'max_tokens' && /1000 token limit/.test(error.message)
+  );
+  assert.equal(anthropic.requests.length, 1);
+});
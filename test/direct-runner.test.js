@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const DirectRunner = require('../scripts/direct-runner.js');
+const WebhookSignatureVerifier = require('../scripts/webhook-signature.js');
+const WebhookEventFilter = require('../scripts/webhook-event-filter.js');
+const ProjectRouter = require('../scripts/project-routing.js');
+const { silence, useTempDir } = require('./helpers.js');
+
+const SECRET = 'test-secret';
+
+// Starts a runner on a free port with the given processor; stopped when the test ends
+async function startRunner(t, processor, routes) {
+  const runner = new DirectRunner({
+    repoDir: useTempDir(t),
+    commitArtifacts: false,
+    processor,
+    signatureVerifier: new WebhookSignatureVerifier({ secret: SECRET }),
+    eventFilter: new WebhookEventFilter({ projectAllowlist: [] }),
+    projectRouter: new ProjectRouter({ config: { projects: routes } })
+  });
+  const server = await runner.listen(0);
+  t.after(() => runner.close());
+
+  const post = body => fetch(`http://127.0.0.1:${server.address().port}/`, {
+    method: 'POST',
+    headers: { 'X-Hub-Signature': `sha256=${crypto.createHmac('sha256', SECRET).update(body, 'utf8').digest('hex')}` },
+    body
+  });
+  return { runner, post };
+}
+
+function delivery(projectKey) {
+  return JSON.stringify({
+    webhookEvent: 'jira:issue_created',
+    timestamp: Date.now(),
+    issue: { key: `${projectKey}-1`, fields: { project: { key: projectKey }, issuetype: { name: 'Story' }, summary: 'Add a CSV export' } }
+  });
+}
+
+test.beforeEach(t => silence(t));
+
+test('a delivery rejected for an unrouted project is accepted once the project is routed', async t => {
+  const processor = { processWebhook: async () => ({ action: 'ignored' }) };
+  const { runner, post } = await startRunner(t, processor, { DEMO: {} });
+  const body = delivery('OPS');
+
+  const rejected = await post(body);
+  assert.equal(rejected.status, 422);
+
+  // Jira retries the same body after the route has been added
+  runner.projectRouter = new ProjectRouter({ config: { projects: { DEMO: {}, OPS: {} } } });
+  const retried = await post(body);
+  assert.equal(retried.status, 202);
+  assert.equal((await retried.json()).queued, true);
+  assert.equal((await post(body)).status, 403);
+});
+
+test('logs a queued job that fails', async t => {
+  const processor = { processWebhook: async () => { throw new Error('Jira is down'); } };
+  const { runner, post } = await startRunner(t, processor, { DEMO: {} });
+
+  assert.equal((await post(delivery('DEMO'))).status, 202);
+  await runner.queue.drain();
+
+  const logged = console.error.mock.calls.map(call => call.arguments.join(' '));
+  assert.ok(logged.includes('Webhook processing failed for DEMO-1: Jira is down'), logged.join('\n'));
+});
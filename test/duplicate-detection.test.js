@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { silence, startFakeJira, useTempDir, createProcessor, createStory } = require('./helpers.js');
+
+const AWAITING_REVIEW = 'claude-awaiting-duplicate-review';
+const HUMAN = { accountId: 'human-account', name: 'jdoe', displayName: 'Jane Doe' };
+
+// DEMO-1 is already implemented and its evaluation passed; DEMO-2 asks for the
+// same thing. Returns the issue_created webhook for DEMO-2.
+function createDuplicate(jira, webhooks, dir) {
+  createStory(jira);
+  const evaluationDir = path.join(dir, 'work-items', 'DEMO-1', 'evaluation');
+  fs.mkdirSync(evaluationDir, { recursive: true });
+  fs.writeFileSync(path.join(evaluationDir, 'evaluation-results.json'), JSON.stringify({ finalScore: { meetsCriteria: true } }));
+
+  const duplicate = createStory(jira);
+  return webhooks.find(payload => payload.webhookEvent === 'jira:issue_created' && payload.issue.key === duplicate.key);
+}
+
+function lastComment(webhooks) {
+  return webhooks.filter(payload => payload.webhookEvent === 'comment_created').at(-1);
+}
+
+function criteriaIssues(jira) {
+  return Array.from(jira.issues.values()).filter(issue => issue.fields.summary.startsWith('Deliverable Criteria:'));
+}
+
+test.beforeEach(t => silence(t));
+
+test('a close match with an approved implementation pauses the analysis', async t => {
+  const dir = useTempDir(t);
+  const { jira, jiraApi } = await startFakeJira(t);
+  const { processor, anthropic, webhooks } = createProcessor(jira, jiraApi);
+
+  const result = await processor.processWebhook(createDuplicate(jira, webhooks, dir));
+
+  assert.equal(result.action, 'duplicate_review_requested');
+  assert.equal(anthropic.calls.length, 0);
+  assert.equal(criteriaIssues(jira).length, 0);
+  const issue = jira.getIssue('DEMO-2');
+  assert.ok(issue.fields.labels.includes(AWAITING_REVIEW));
+  assert.deepEqual(issue.fields.comment.comments.map(comment => comment.body.split('\n')[0]), ['*Possible Duplicates*', '*Duplicate Review Needed*']);
+  assert.deepEqual(jira.links.map(link => [link.inward, link.outward].sort()), [['DEMO-1', 'DEMO-2']]);
+});
+
+test('only a comment that is exactly the confirmation phrase counts', async t => {
+  const dir = useTempDir(t);
+  const { jira, jiraApi } = await startFakeJira(t);
+  const { processor, anthropic, webhooks } = createProcessor(jira, jiraApi);
+  await processor.processWebhook(createDuplicate(jira, webhooks, dir));
+
+  for (const body of ['Please don\'t go ahead', 'go ahead with DEMO-1 instead', 'ok']) {
+    jira.addComment('DEMO-2', body, HUMAN);
+    const result = await processor.processWebhook(lastComment(webhooks));
+    assert.deepEqual([result.action, result.reason], ['ignored', 'No "go ahead" comment confirming the duplicate review yet'], body);
+  }
+  // The automation quoting the phrase isn't a confirmation either
+  jira.addComment('DEMO-2', 'go ahead');
+  assert.equal(await processor.duplicateDetector.isConfirmed('DEMO-2'), false);
+
+  assert.equal(anthropic.calls.length, 0);
+  assert.ok(jira.getIssue('DEMO-2').fields.labels.includes(AWAITING_REVIEW));
+});
+
+test('"go ahead" resumes the analysis and clears the label', async t => {
+  const dir = useTempDir(t);
+  const { jira, jiraApi } = await startFakeJira(t);
+  const { processor, webhooks } = createProcessor(jira, jiraApi);
+  await processor.processWebhook(createDuplicate(jira, webhooks, dir));
+
+  jira.addComment('DEMO-2', 'Go ahead.', HUMAN);
+  const result = await processor.processWebhook(lastComment(webhooks));
+
+  assert.equal(result.action, 'requirements_analyzed');
+  assert.equal(criteriaIssues(jira).length, 1);
+  assert.ok(!jira.getIssue('DEMO-2').fields.labels.includes(AWAITING_REVIEW));
+});
+
+test('a failing duplicate check does not stop the analysis', async t => {
+  const dir = useTempDir(t);
+  const { jira, jiraApi } = await startFakeJira(t);
+  const { processor, webhooks } = createProcessor(jira, jiraApi);
+  t.mock.method(processor.duplicateDetector, 'findMatches', async () => {
+    throw new Error('JQL search timed out');
+  });
+
+  const result = await processor.processWebhook(createDuplicate(jira, webhooks, dir));
+
+  assert.equal(result.action, 'requirements_analyzed');
+  assert.equal(criteriaIssues(jira).length, 1);
+  const errors = console.error.mock.calls.map(call => call.arguments.join(' '));
+  assert.ok(errors.includes('Duplicate check failed for DEMO-2, continuing with the analysis: JQL search timed out'), errors.join('\n'));
+});
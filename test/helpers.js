@@ -0,0 +1,74 @@
+// Shared test helpers
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FakeJiraServer = require('../scripts/fake-jira-server.js');
+const JiraApiHelpers = require('../scripts/jira-api-helpers.js');
+const { BasicAuthStrategy } = require('../scripts/jira-auth.js');
+const JiraWebhookProcessor = require('../scripts/process-jira-webhook.js');
+const RecordedClaudeClient = require('../scripts/recorded-claude-client.js');
+
+const DEMO_CLAUDE_FIXTURE = path.join(__dirname, '..', 'fixtures', 'demo-claude.json');
+
+// The modules log every step; keep test output to the results
+function silence(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+// Starts a fake Jira for the test and returns { jira, jiraApi }; closed when the test ends
+async function startFakeJira(t, options = {}) {
+  const jira = new FakeJiraServer({ projects: { DEMO: { name: 'Demo', components: ['Backend', 'Frontend'] } }, ...options });
+  const baseUrl = await jira.listen();
+  t.after(() => jira.close());
+
+  const jiraApi = new JiraApiHelpers({
+    baseUrl,
+    auth: new BasicAuthStrategy({ email: 'test@example.com', token: 'test-token' }),
+    maxRetries: 0
+  });
+  return { jira, jiraApi };
+}
+
+// The processor writes work-items/ under the working directory; give each test its own
+function useTempDir(t) {
+  const previous = process.cwd();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jira-automation-test-'));
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(previous);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
+
+// Recorded responses from the demo fixture, by `match`; `analysis` is the
+// requirements analysis for the CSV export story
+function demoClaudeResponses() {
+  return JSON.parse(fs.readFileSync(DEMO_CLAUDE_FIXTURE, 'utf8')).responses;
+}
+
+// A processor wired to the fake Jira and recorded Claude responses, plus the
+// queue of webhooks the fake Jira has emitted. Call after useTempDir().
+function createProcessor(jira, jiraApi, responses = demoClaudeResponses(), options = {}) {
+  const webhooks = [];
+  jira.on('webhook', payload => webhooks.push(payload));
+
+  const anthropic = new RecordedClaudeClient({ responses });
+  const processor = new JiraWebhookProcessor({ jiraApi, anthropic, ...options });
+  return { processor, anthropic, webhooks };
+}
+
+function createStory(jira, fields = {}) {
+  return jira.createIssue({
+    project: { key: 'DEMO' },
+    issuetype: { name: 'Story' },
+    summary: 'Add a CSV export to the monthly usage report',
+    description: 'Users need to download the monthly usage report as CSV, one row per account.',
+    ...fields
+  });
+}
+
+module.exports = { silence, startFakeJira, useTempDir, demoClaudeResponses, createProcessor, createStory };
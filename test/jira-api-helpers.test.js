@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const JiraApiHelpers = require('../scripts/jira-api-helpers.js');
+const { BasicAuthStrategy } = require('../scripts/jira-auth.js');
+const { silence, startFakeJira } = require('./helpers.js');
+
+const STATUSES = ['To Do', 'Blocked', 'In Progress', 'Review', 'Done'];
+
+function transition(id, to) {
+  return { id, name: `Move to ${to}`, to: { name: to } };
+}
+
+test.beforeEach(t => silence(t));
+
+test('chooseNextTransition explores live transitions when the recorded first hop is not available', () => {
+  const jiraApi = new JiraApiHelpers({ baseUrl: 'http://jira.invalid', auth: new BasicAuthStrategy({ email: 'a', token: 'b' }) });
+  // Learned from another issue of the type, which could go straight to Done
+  const graph = new Map([['to do', [{ id: '99', name: 'Finish', to: 'Done' }]]]);
+  const live = [transition('13', 'In Progress')];
+
+  const next = jiraApi.chooseNextTransition(graph, live, 'To Do', 'Done', new Set(['to do']), []);
+
+  assert.equal(next.id, '13');
+});
+
+test('transitionToStatus walks a multi-hop workflow around avoided statuses', async t => {
+  const { jira, jiraApi } = await startFakeJira(t, {
+    statuses: STATUSES,
+    workflow: {
+      'To Do': ['Blocked', 'In Progress'],
+      Blocked: ['Done'],
+      'In Progress': ['Review'],
+      Review: ['Done']
+    }
+  });
+  const { key } = jira.createIssue({ project: { key: 'DEMO' }, issuetype: { name: 'Task' }, summary: 'Walk' });
+
+  const result = await jiraApi.transitionToStatus(key, 'Done', { avoidStatuses: ['Blocked'] });
+
+  assert.deepEqual(result.path.map(step => step.to), ['In Progress', 'Review', 'Done']);
+  assert.equal(jira.getIssue(key).fields.status.name, 'Done');
+  // Done needs a resolution; the default one is filled in
+  assert.equal(jira.getIssue(key).fields.resolution.name, 'Done');
+});
+
+test('transitionToStatus recovers from a stale recorded graph', async t => {
+  const { jira, jiraApi } = await startFakeJira(t, {
+    statuses: STATUSES,
+    workflow: { 'To Do': ['In Progress'], 'In Progress': ['Review'], Review: ['Done'] }
+  });
+  const { key } = jira.createIssue({ project: { key: 'DEMO' }, issuetype: { name: 'Task' }, summary: 'Stale' });
+  // Recorded from an older workflow where In Progress led straight to Done
+  jiraApi.workflowGraphs.set('DEMO:Task', new Map([['in progress', [{ id: '99', name: 'Finish', to: 'Done' }]]]));
+
+  const result = await jiraApi.transitionToStatus(key, 'Done');
+
+  assert.deepEqual(result.path.map(step => step.to), ['In Progress', 'Review', 'Done']);
+});
+
+test('transitionToStatus throws JiraTransitionError when the target cannot be reached', async t => {
+  const { jira, jiraApi } = await startFakeJira(t, {
+    statuses: STATUSES,
+    workflow: { 'To Do': ['Blocked'], Blocked: ['To Do'] }
+  });
+  const { key } = jira.createIssue({ project: { key: 'DEMO' }, issuetype: { name: 'Task' }, summary: 'Stuck' });
+
+  await assert.rejects(jiraApi.transitionToStatus(key, 'Done'), { name: 'JiraTransitionError' });
+});
+
+// request(): retries, Retry-After, re-authentication, timeouts and typed errors,
+// against a stubbed fetch that answers from `responses` in order
+function stubFetch(t, responses) {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    calls.push({ url, method: init.method });
+    const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+    return typeof next === 'function' ? next(init) : new Response(next.body ?? '{}', { status: next.status, headers: next.headers });
+  });
+  return calls;
+}
+
+function createApi(options = {}) {
+  return new JiraApiHelpers({
+    baseUrl: 'http://jira.invalid',
+    auth: new BasicAuthStrategy({ email: 'a', token: 'b' }),
+    retryBaseDelayMs: 1,
+    retryMaxDelayMs: 2000,
+    ...options
+  });
+}
+
+test('request waits for Retry-After on a 429 and then succeeds', async t => {
+  const calls = stubFetch(t, [{ status: 429, headers: { 'Retry-After': '1' } }, { status: 200, body: '{"key":"DEMO-1"}' }]);
+
+  const result = await createApi().request('GET', '/rest/api/2/issue/DEMO-1');
+
+  assert.equal(result.key, 'DEMO-1');
+  assert.equal(calls.length, 2);
+  assert.ok(console.log.mock.calls.some(call => String(call.arguments[0]).includes('retrying in 1000ms')));
+});
+
+test('request gives up with JiraRateLimitError when Retry-After exceeds the delay budget', async t => {
+  const calls = stubFetch(t, [{ status: 429, headers: { 'Retry-After': '3600' } }]);
+
+  await assert.rejects(createApi().request('GET', '/rest/api/2/myself'), error => {
+    assert.equal(error.name, 'JiraRateLimitError');
+    assert.equal(error.retryAfterMs, 3600000);
+    return true;
+  });
+  assert.equal(calls.length, 1);
+});
+
+test('request retries a 502 for GET', async t => {
+  const calls = stubFetch(t, [{ status: 502, body: 'Bad gateway' }, { status: 200, body: '{"ok":true}' }]);
+
+  assert.deepEqual(await createApi().request('GET', '/rest/api/2/myself'), { ok: true });
+  assert.equal(calls.length, 2);
+});
+
+test('request does not retry a POST that failed with a 5xx', async t => {
+  const calls = stubFetch(t, [{ status: 502, body: 'Bad gateway' }, { status: 201, body: '{}' }]);
+
+  await assert.rejects(createApi().request('POST', '/rest/api/2/issue', { body: {} }), { name: 'JiraServerError', status: 502 });
+  assert.equal(calls.length, 1);
+});
+
+test('request raises JiraNetworkError with timedOut set when Jira does not answer in time', async t => {
+  stubFetch(t, [init => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  })]);
+
+  await assert.rejects(createApi({ requestTimeoutMs: 20, maxRetries: 0 }).request('GET', '/rest/api/2/myself'), error => {
+    assert.equal(error.name, 'JiraNetworkError');
+    assert.equal(error.timedOut, true);
+    assert.match(error.message, /timed out after 20ms/);
+    return true;
+  });
+});
+
+for (const [status, name] of [[400, 'JiraValidationError'], [404, 'JiraNotFoundError'], [401, 'JiraAuthError']]) {
+  test(`request maps a ${status} to ${name}`, async t => {
+    const calls = stubFetch(t, [{ status, body: '{"errorMessages":["nope"]}' }]);
+
+    await assert.rejects(createApi().request('GET', '/rest/api/2/issue/DEMO-1'), error => {
+      assert.equal(error.name, name);
+      assert.equal(error.status, status);
+      assert.equal(error.body, '{"errorMessages":["nope"]}');
+      return true;
+    });
+    // None of these are retried
+    assert.equal(calls.length, 1);
+  });
+}
+
+test('request fetches a fresh token once after a 401 when the auth strategy can refresh', async t => {
+  const calls = stubFetch(t, [{ status: 401 }, { status: 200, body: '{"ok":true}' }]);
+  let invalidated = 0;
+  const auth = { refreshable: true, getAuthorizationHeader: async () => 'Bearer token', invalidate: () => invalidated++ };
+
+  assert.deepEqual(await createApi({ auth }).request('GET', '/rest/api/2/myself'), { ok: true });
+  assert.deepEqual([calls.length, invalidated], [2, 1]);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createJiraAuth,
+  BasicAuthStrategy,
+  BearerTokenAuthStrategy,
+  OAuthClientCredentialsStrategy
+} = require('../scripts/jira-auth.js');
+const { JiraAuthError } = require('../scripts/jira-errors.js');
+const { silence } = require('./helpers.js');
+
+test.beforeEach(t => silence(t));
+
+test('basic auth requires both an email and an API token', () => {
+  const missing = /JIRA_AUTH_MODE=basic requires JIRA_EMAIL and JIRA_API_TOKEN/;
+
+  assert.throws(() => new BasicAuthStrategy({ email: '', token: 'token' }), missing);
+  assert.throws(() => new BasicAuthStrategy({ email: 'bot@example.com', token: '' }), missing);
+  assert.throws(() => createJiraAuth({ mode: 'basic', email: '', token: '' }), missing);
+});
+
+test('basic auth sends the email and token as a Basic header', async () => {
+  const auth = new BasicAuthStrategy({ email: 'bot@example.com', token: 'secret' });
+
+  assert.equal(await auth.getAuthorizationHeader(), `Basic ${Buffer.from('bot@example.com:secret').toString('base64')}`);
+});
+
+test('bearer and oauth2 auth require their credentials', () => {
+  assert.throws(() => new BearerTokenAuthStrategy({ token: '' }), /JIRA_AUTH_MODE=bearer requires JIRA_PAT/);
+  assert.throws(
+    () => new OAuthClientCredentialsStrategy({ clientId: 'client', clientSecret: '' }),
+    /JIRA_AUTH_MODE=oauth2 requires JIRA_OAUTH_CLIENT_ID and JIRA_OAUTH_CLIENT_SECRET/
+  );
+});
+
+test('oauth2 reuses its access token until invalidated', async () => {
+  let issued = 0;
+  const fetch = async () => new Response(JSON.stringify({ access_token: `token-${++issued}`, expires_in: 3600 }), { status: 200 });
+  const auth = new OAuthClientCredentialsStrategy({ clientId: 'client', clientSecret: 'secret', fetch });
+
+  assert.equal(await auth.getAuthorizationHeader(), 'Bearer token-1');
+  assert.equal(await auth.getAuthorizationHeader(), 'Bearer token-1');
+  auth.invalidate();
+  assert.equal(await auth.getAuthorizationHeader(), 'Bearer token-2');
+});
+
+test('oauth2 raises JiraAuthError when the token request is refused', async () => {
+  const fetch = async () => new Response('invalid_client', { status: 401 });
+  const auth = new OAuthClientCredentialsStrategy({ clientId: 'client', clientSecret: 'wrong', fetch });
+
+  await assert.rejects(auth.getAuthorizationHeader(), error => error instanceof JiraAuthError && /401 - invalid_client/.test(error.message));
+});
+
+test('rejects an unknown auth mode', () => {
+  assert.throws(() => createJiraAuth({ mode: 'cookie' }), /Unsupported JIRA_AUTH_MODE: cookie \(expected basic, bearer, oauth2\)/);
+});
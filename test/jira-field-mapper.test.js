@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const JiraFieldMapper = require('../scripts/jira-field-mapper.js');
+const ProjectRouter = require('../scripts/project-routing.js');
+const { silence, startFakeJira, createStory } = require('./helpers.js');
+
+const ANALYSIS = {
+  estimatedEffort: { storyPoints: 5, hours: 6, complexity: 'Medium' },
+  jiraMetadata: { priority: 'High', components: ['Backend', 'Mobile'] }
+};
+
+function defaultMapping() {
+  return new ProjectRouter({ config: { projects: { DEMO: {} } } }).getRoute('DEMO').fields;
+}
+
+test.beforeEach(t => silence(t));
+
+test('writes every mapped field that is on the edit screen', async t => {
+  const { jira, jiraApi } = await startFakeJira(t);
+  const story = createStory(jira);
+
+  const result = await new JiraFieldMapper({ jiraApi }).applyAnalysis(story.key, ANALYSIS, defaultMapping());
+
+  const fields = jira.getIssue(story.key).fields;
+  assert.equal(fields.customfield_10016, 5);
+  assert.deepEqual(fields.timetracking, { originalEstimate: '6h' });
+  assert.equal(fields.priority.name, 'High');
+  assert.deepEqual(fields.components.map(component => component.name), ['Backend']);
+  assert.deepEqual(fields.labels, ['complexity-medium']);
+  // Matched against the project's components from editmeta
+  assert.deepEqual(result.applied.components, [{ id: '20000' }]);
+  assert.deepEqual(result.skipped, []);
+});
+
+test('onlyEmpty fills the original issue\'s empty fields and leaves the rest', async t => {
+  const { jira, jiraApi } = await startFakeJira(t);
+  const story = createStory(jira, { timetracking: { originalEstimate: '2d' }, labels: ['csv'] });
+
+  const result = await new JiraFieldMapper({ jiraApi }).applyAnalysis(story.key, ANALYSIS, defaultMapping(), { onlyEmpty: true });
+
+  const fields = jira.getIssue(story.key).fields;
+  assert.equal(fields.customfield_10016, 5);
+  assert.deepEqual(fields.components.map(component => component.name), ['Backend']);
+  assert.deepEqual(fields.timetracking, { originalEstimate: '2d' });
+  assert.deepEqual(fields.labels, ['csv', 'complexity-medium']);
+  assert.deepEqual(result.skipped.map(skip => skip.field), ['timetracking', 'priority']);
+});
+
+test('onlyEmpty never replaces the original issue\'s priority', async t => {
+  const { jira, jiraApi } = await startFakeJira(t);
+  const story = createStory(jira, { priority: { id: '5', name: 'Lowest' } });
+
+  const result = await new JiraFieldMapper({ jiraApi }).applyAnalysis(story.key, ANALYSIS, { priority: true }, { onlyEmpty: true });
+
+  assert.equal(jira.getIssue(story.key).fields.priority.name, 'Lowest');
+  assert.deepEqual(result.skipped, [{ field: 'priority', reason: 'already set on the issue' }]);
+});
+
+test('a new analysis replaces the complexity label instead of adding another', async t => {
+  const { jira, jiraApi } = await startFakeJira(t);
+  const story = createStory(jira, { labels: ['csv', 'complexity-high'] });
+  const mapper = new JiraFieldMapper({ jiraApi });
+
+  await mapper.applyAnalysis(story.key, ANALYSIS, { complexityLabel: true });
+  await mapper.applyAnalysis(story.key, ANALYSIS, { complexityLabel: true });
+
+  assert.deepEqual(jira.getIssue(story.key).fields.labels, ['csv', 'complexity-medium']);
+});
+
+test('falls back to field-by-field updates when Jira rejects the bulk update', async t => {
+  const { jira, jiraApi } = await startFakeJira(t);
+  const story = createStory(jira);
+  const updateIssue = jira.updateIssue.bind(jira);
+  // Story Points is on the edit screen but Jira refuses it, e.g. a field context for other issue types
+  t.mock.method(jira, 'updateIssue', (issueKey, fields) => {
+    if ('customfield_10016' in fields) jira.fail(400, 'Field customfield_10016 is not valid for this issue type');
+    return updateIssue(issueKey, fields);
+  });
+
+  const result = await new JiraFieldMapper({ jiraApi }).applyAnalysis(story.key, ANALYSIS, defaultMapping());
+
+  const fields = jira.getIssue(story.key).fields;
+  assert.equal(fields.customfield_10016, undefined);
+  assert.equal(fields.priority.name, 'High');
+  assert.deepEqual(fields.labels, ['complexity-medium']);
+  assert.deepEqual(Object.keys(result.applied).sort(), ['components', 'labels', 'priority', 'timetracking']);
+  assert.equal(result.skipped.length, 1);
+  assert.equal(result.skipped[0].field, 'customfield_10016');
+  assert.match(result.skipped[0].reason, /not valid for this issue type/);
+});
+
+test('skips fields that are missing from editmeta or have no matching allowed value', async t => {
+  const { jira, jiraApi } = await startFakeJira(t, { projects: { DEMO: { name: 'Demo', components: ['Frontend'] } } });
+  const story = createStory(jira);
+
+  const result = await new JiraFieldMapper({ jiraApi }).applyAnalysis(story.key, ANALYSIS, { storyPoints: 'Team Points', components: true });
+
+  assert.deepEqual(result.applied, {});
+  assert.deepEqual(result.skipped, [
+    { field: 'Team Points', reason: 'not on the edit screen for this project' },
+    { field: 'components', reason: 'no allowed value matches "Backend,Mobile"' }
+  ]);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const JiraMarkup = require('../scripts/jira-markup.js');
+const { silence } = require('./helpers.js');
+
+// Everything the templates use, in the Markdown style toMarkdown() reads back
+// (bullets come back as •)
+const DOCUMENT = `## Scope
+
+Export **all** accounts, *including* archived ones, via \`GET /export\`.
+Keep [draft] and {placeholder} text as written.
+
+• One row per account
+• Totals in the **last** row
+
+1. Read the usage table
+2. Write the CSV
+3. Attach it to the report
+
+| Column | Type |
+| --- | --- |
+| accountId | string |
+| *total* | \`number\` |
+
+\`\`\`js
+const rows = [{ id: 1 }];
+\`\`\`
+
+---`;
+
+test.beforeEach(t => silence(t));
+
+for (const format of ['wiki', 'adf']) {
+  test(`${format}: headings, lists, tables, code and inline marks survive a round trip`, () => {
+    const markup = new JiraMarkup({ format });
+
+    const rendered = markup.render(DOCUMENT);
+
+    assert.equal(markup.toMarkdown(rendered), DOCUMENT);
+    assert.deepEqual(markup.render(markup.toMarkdown(rendered)), rendered);
+  });
+
+  test(`${format}: append keeps the existing value and reads back as one document`, () => {
+    const markup = new JiraMarkup({ format });
+    const existing = markup.render('Users need a CSV export.');
+
+    const appended = markup.append(existing, '---\n*Touched by Claude*');
+
+    assert.equal(markup.toMarkdown(appended), 'Users need a CSV export.\n\n---\n\n*Touched by Claude*');
+  });
+}
+
+test('wiki: brackets and braces are escaped so Jira does not read them as links or macros', () => {
+  const markup = new JiraMarkup({ format: 'wiki' });
+
+  assert.equal(markup.render('See [draft] and {code} in `a[0]`'), 'See \\[draft] and \\{code} in {{a[0]}}');
+  assert.equal(markup.toMarkdown('See \\[draft] and \\{code} in {{a[0]}}'), 'See [draft] and {code} in `a[0]`');
+});
+
+test('wiki: "# " lines are a numbered list, while "## Heading" is left as a Markdown heading', () => {
+  const markup = new JiraMarkup({ format: 'wiki' });
+
+  assert.equal(markup.render('# Title'), 'h1. Title');
+  assert.equal(markup.render('1. First\n2. Second'), '# First\n# Second');
+  assert.equal(markup.toMarkdown('# First\n# Second\n\n# Again'), '1. First\n2. Second\n\n1. Again');
+  assert.equal(markup.toMarkdown('## Acceptance Criteria\n# First'), '## Acceptance Criteria\n1. First');
+});
+
+test('wiki: single-star bold and underscore italics read back as Markdown', () => {
+  const markup = new JiraMarkup({ format: 'wiki' });
+
+  assert.equal(markup.toMarkdown('*bold* and _italic_ but not snake_case_name or 2 * 3 * 4'), '**bold** and *italic* but not snake_case_name or 2 * 3 * 4');
+});
+
+test('adf: inline marks become text marks and code blocks keep their language', () => {
+  const markup = new JiraMarkup({ format: 'adf' });
+
+  const doc = markup.render('**Bold**, *italic* and `code`\n\n```sql\nSELECT 1;\n```');
+
+  assert.deepEqual(doc.content[0].content, [
+    { type: 'text', text: 'Bold', marks: [{ type: 'strong' }] },
+    { type: 'text', text: ', ' },
+    { type: 'text', text: 'italic', marks: [{ type: 'em' }] },
+    { type: 'text', text: ' and ' },
+    { type: 'text', text: 'code', marks: [{ type: 'code' }] }
+  ]);
+  assert.deepEqual(doc.content[1], { type: 'codeBlock', attrs: { language: 'sql' }, content: [{ type: 'text', text: 'SELECT 1;' }] });
+});
+
+test('rejects an unknown text format', () => {
+  assert.throws(() => new JiraMarkup({ format: 'html' }), /Unsupported JIRA_TEXT_FORMAT: html/);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { JsonSchemaValidator, SchemaValidationError } = require('../scripts/json-schema.js');
+const { silence } = require('./helpers.js');
+
+const validator = new JsonSchemaValidator();
+
+test.beforeEach(t => silence(t));
+
+test('minLength counts the trimmed string, unlike standard JSON Schema', () => {
+  const schema = { type: 'string', minLength: 3 };
+
+  assert.deepEqual(validator.validate({ type: 'string', minLength: 1 }, '   '), [{ path: '', message: 'must not be empty' }]);
+  assert.deepEqual(validator.validate(schema, ' ab '), [{ path: '', message: 'must be at least 3 characters' }]);
+  assert.deepEqual(validator.validate(schema, ' abc '), []);
+});
+
+test('additionalProperties: false rejects unknown keys, and a schema validates them', () => {
+  const closed = { type: 'object', properties: { id: { type: 'string' } }, additionalProperties: false };
+  const typed = { type: 'object', properties: { id: { type: 'string' } }, additionalProperties: { type: 'number' } };
+
+  assert.deepEqual(validator.validate(closed, { id: 'a', extra: 1 }), [{ path: '/extra', message: 'is not an allowed property' }]);
+  assert.deepEqual(validator.validate(typed, { id: 'a', count: 2 }), []);
+  assert.deepEqual(validator.validate(typed, { id: 'a', count: 'two' }), [{ path: '/count', message: 'must be number (got string)' }]);
+});
+
+test('if/then/else applies the branch matching the condition', () => {
+  const schema = {
+    type: 'object',
+    required: ['ready'],
+    properties: { ready: { type: 'boolean' } },
+    if: { properties: { ready: { const: false } } },
+    then: { required: ['questions'], properties: { questions: { type: 'array', minItems: 1 } } },
+    else: { properties: { questions: { type: 'array', maxItems: 0 } } }
+  };
+
+  assert.deepEqual(validator.validate(schema, { ready: false }), [{ path: '/questions', message: 'is required' }]);
+  assert.deepEqual(validator.validate(schema, { ready: false, questions: [] }), [{ path: '/questions', message: 'must have at least 1 item(s)' }]);
+  assert.deepEqual(validator.validate(schema, { ready: false, questions: ['Which report?'] }), []);
+  assert.deepEqual(validator.validate(schema, { ready: true }), []);
+  assert.deepEqual(validator.validate(schema, { ready: true, questions: ['Why?'] }), [{ path: '/questions', message: 'must have at most 0 item(s)' }]);
+});
+
+test('reports nested paths for types, enums, ranges and items', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      effort: {
+        type: 'object',
+        properties: { complexity: { enum: ['Low', 'High'] }, hours: { type: 'number', minimum: 0, maximum: 40 } }
+      },
+      tests: { type: 'array', items: { type: 'string' } },
+      note: { type: ['string', 'null'] }
+    }
+  };
+
+  const errors = validator.validate(schema, { effort: { complexity: 'Huge', hours: 80 }, tests: ['ok', 3], note: null });
+
+  assert.deepEqual(errors, [
+    { path: '/effort/complexity', message: 'must be one of "Low", "High"' },
+    { path: '/effort/hours', message: 'must be <= 40' },
+    { path: '/tests/1', message: 'must be string (got number)' }
+  ]);
+});
+
+test('assertValid throws SchemaValidationError listing every mismatch', () => {
+  const schema = { type: 'object', required: ['a', 'b'] };
+
+  assert.throws(() => validator.assertValid(schema, {}, 'Analysis'), error => {
+    assert.ok(error instanceof SchemaValidationError);
+    assert.equal(error.message, 'Analysis does not match its schema:\n- /a is required\n- /b is required');
+    return true;
+  });
+  assert.deepEqual(validator.assertValid(schema, { a: 1, b: 2 }), { a: 1, b: 2 });
+});
+
+test('the schemas in config/schemas only use supported keywords', () => {
+  const supported = new Set([
+    '$schema', '$id', 'title', 'description', 'type', 'enum', 'const', 'required', 'properties', 'additionalProperties',
+    'items', 'minItems', 'maxItems', 'minLength', 'minimum', 'maximum', 'if', 'then', 'else'
+  ]);
+  const unsupported = [];
+  const walk = (schema, where) => {
+    for (const keyword of Object.keys(schema)) {
+      if (!supported.has(keyword)) unsupported.push(`${where}: ${keyword}`);
+    }
+    Object.entries(schema.properties || {}).forEach(([key, child]) => walk(child, `${where}/${key}`));
+    for (const keyword of ['items', 'additionalProperties', 'if', 'then', 'else']) {
+      if (schema[keyword] && typeof schema[keyword] === 'object') walk(schema[keyword], `${where}/${keyword}`);
+    }
+  };
+
+  const dir = path.join(__dirname, '..', 'config', 'schemas');
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+    walk(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), file);
+  }
+  assert.deepEqual(unsupported, []);
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { silence, startFakeJira, useTempDir, demoClaudeResponses, createProcessor, createStory } = require('./helpers.js');
+
+const AWAITING_CLARIFICATION = 'claude-awaiting-clarification';
+const HUMAN = { accountId: 'human-account', name: 'jdoe', displayName: 'Jane Doe' };
+
+function criteriaIssues(jira) {
+  return Array.from(jira.issues.values()).filter(issue => issue.fields.summary.startsWith('Deliverable Criteria:'));
+}
+
+test.beforeEach(t => silence(t));
+
+test('the same issue_created delivery twice creates one criteria issue', async t => {
+  useTempDir(t);
+  const { jira, jiraApi } = await startFakeJira(t);
+  const { processor, webhooks } = createProcessor(jira, jiraApi);
+  createStory(jira);
+  const created = { ...webhooks.find(payload => payload.webhookEvent === 'jira:issue_created'), webhookIdentifier: 'delivery-1' };
+
+  const first = await processor.processWebhook(created);
+  const second = await processor.processWebhook(created);
+
+  assert.equal(first.action, 'requirements_analyzed');
+  assert.equal(second.action, 'duplicate_skipped');
+  assert.equal(second.reason, 'Webhook delivery already processed');
+  assert.equal(second.criteriaIssue, first.criteriaIssue);
+  assert.equal(criteriaIssues(jira).length, 1);
+});
+
+test('a second issue_created delivery for an analyzed issue is skipped', async t => {
+  useTempDir(t);
+  const { jira, jiraApi } = await startFakeJira(t);
+  const { processor, webhooks } = createProcessor(jira, jiraApi);
+  createStory(jira);
+  const created = webhooks.find(payload => payload.webhookEvent === 'jira:issue_created');
+  await processor.processWebhook({ ...created, webhookIdentifier: 'delivery-1' });
+
+  // Same event re-sent under a new identifier (e.g. a manual re-dispatch)
+  const result = await processor.processWebhook({ ...created, webhookIdentifier: 'delivery-2' });
+
+  assert.equal(result.action, 'duplicate_skipped');
+  assert.equal(result.reason, 'Requirements already analyzed for this issue');
+  assert.equal(criteriaIssues(jira).length, 1);
+});
+
+test('issue_updated deliveries after issue_created do not analyze the issue again', async t => {
+  useTempDir(t);
+  const { jira, jiraApi } = await startFakeJira(t);
+  const { processor, webhooks } = createProcessor(jira, jiraApi);
+  const story = createStory(jira);
+  const created = { ...webhooks.find(payload => payload.webhookEvent === 'jira:issue_created'), webhookIdentifier: 'delivery-1' };
+  await processor.processWebhook(created);
+
+  // The automation's own edits (labels, fields) and a person moving the story
+  const updates = [
+    ...webhooks.filter(payload => payload.webhookEvent === 'jira:issue_updated' && payload.issue.key === story.key),
+    {
+      webhookEvent: 'jira:issue_updated',
+      webhookIdentifier: 'delivery-3',
+      issue: jira.getIssue(story.key),
+      changelog: { items: [{ field: 'status', fromString: 'To Do', toString: 'In Progress' }] }
+    }
+  ];
+  assert.ok(updates.length > 1);
+
+  for (const update of updates) {
+    const result = await processor.processWebhook(update);
+    assert.ok(['ignored', 'duplicate_skipped'].includes(result.action), `${update.webhookEvent} → ${result.action}`);
+  }
+  assert.equal(criteriaIssues(jira).length, 1);
+});
+
+test('a delivery whose run failed is processed again when it is retried', async t => {
+  useTempDir(t);
+  const { jira, jiraApi } = await startFakeJira(t);
+  const { processor } = createProcessor(jira, jiraApi);
+  const outcomes = ['implementation_failed', 'implementation_generated'];
+  let runs = 0;
+  t.mock.method(processor, 'classifyIssueType', () => 'deliverable_criteria');
+  t.mock.method(processor, 'processDeliverableCriteria', async () => ({ action: outcomes[runs++] }));
+  const story = createStory(jira, { summary: 'Deliverable Criteria: DEMO-9 - Retry me' });
+  const delivery = {
+    webhookEvent: 'jira:issue_updated',
+    webhookIdentifier: 'delivery-1',
+    issue: { ...jira.getIssue(story.key), fields: { ...jira.getIssue(story.key).fields, status: { name: 'Ready for Implementation' } } },
+    changelog: { items: [{ field: 'status', fromString: 'To Do', toString: 'Ready for Implementation' }] }
+  };
+
+  const results = [];
+  for (let i = 0; i < 3; i++) {
+    results.push((await processor.processWebhook(delivery)).action);
+  }
+
+  assert.deepEqual(results, ['implementation_failed', 'implementation_generated', 'duplicate_skipped']);
+  assert.equal(runs, 2);
+});
+
+test('comments the automation posts are ignored, whatever they say', async t => {
+  useTempDir(t);
+  const { jira, jiraApi } = await startFakeJira(t);
+  const { processor, webhooks } = createProcessor(jira, jiraApi);
+  const story = createStory(jira, { labels: [AWAITING_CLARIFICATION] });
+  jira.addComment(story.key, 'Thanks, noted.');
+
+  const result = await processor.processWebhook(webhooks.find(payload => payload.webhookEvent === 'comment_created'));
+
+  assert.equal(result.action, 'ignored');
+  assert.equal(result.reason, 'Comment posted by the automation');
+});
+
+test('answers to clarifying questions resume the analysis', async t => {
+  useTempDir(t);
+  const { jira, jiraApi } = await startFakeJira(t);
+  const [analysis] = demoClaudeResponses();
+  const { processor, webhooks } = createProcessor(jira, jiraApi, [
+    { match: 'make the report better', text: { readiness: { ready: false, reason: 'It is unclear what should change.', questions: ['Which report?', 'What does better mean?'] } } },
+    { ...analysis, match: 'The monthly usage report' }
+  ]);
+  const story = createStory(jira, { summary: 'Improve the report', description: 'make the report better' });
+
+  const asked = await processor.processWebhook(webhooks.find(payload => payload.webhookEvent === 'jira:issue_created'));
+  assert.equal(asked.action, 'clarification_requested');
+  assert.ok(jira.getIssue(story.key).fields.labels.includes(AWAITING_CLARIFICATION));
+
+  // Quoting the automation's comment doesn't make the answer the automation's
+  jira.addComment(story.key, '> Posted by Claude Automation System\n1. The monthly usage report\n2. A CSV download, one row per account', HUMAN);
+  const resumed = await processor.processWebhook(webhooks.filter(payload => payload.webhookEvent === 'comment_created').at(-1));
+
+  assert.equal(resumed.action, 'requirements_analyzed');
+  assert.equal(criteriaIssues(jira).length, 1);
+  assert.ok(!jira.getIssue(story.key).fields.labels.includes(AWAITING_CLARIFICATION));
+});
+
+test('a comment does not resume the analysis before any questions were asked', async t => {
+  useTempDir(t);
+  const { jira, jiraApi } = await startFakeJira(t);
+  const { processor, anthropic, webhooks } = createProcessor(jira, jiraApi);
+  // Labelled by hand, so there is no question comment to answer
+  const story = createStory(jira, { labels: [AWAITING_CLARIFICATION] });
+  jira.addComment(story.key, 'Any news on this?', HUMAN);
+
+  const result = await processor.processWebhook(webhooks.find(payload => payload.webhookEvent === 'comment_created'));
+
+  assert.equal(result.action, 'ignored');
+  assert.equal(result.reason, 'No answers to the clarifying questions yet');
+  assert.equal(anthropic.calls.length, 0);
+  assert.equal(criteriaIssues(jira).length, 0);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const WebhookEventFilter = require('../scripts/webhook-event-filter.js');
+const { silence } = require('./helpers.js');
+
+const AUTOMATION = { accountId: 'automation-account', name: 'automation', displayName: 'Automation User' };
+const HUMAN = { accountId: 'human-account', name: 'jdoe', displayName: 'Jane Doe' };
+
+function payload(webhookEvent, fields = {}, extra = {}) {
+  return {
+    webhookEvent,
+    issue: {
+      key: 'DEMO-1',
+      fields: {
+        project: { key: 'DEMO' },
+        issuetype: { name: 'Story' },
+        summary: 'Add a CSV export to the monthly usage report',
+        status: { name: 'To Do' },
+        ...fields
+      }
+    },
+    ...extra
+  };
+}
+
+function statusChange(fields) {
+  return payload('jira:issue_updated', fields, { changelog: { items: [{ field: 'status', fromString: 'To Do', toString: fields.status.name }] } });
+}
+
+function comment(labels, author = HUMAN, body = 'The export should include archived accounts.') {
+  return payload('comment_created', { labels }, { comment: { id: '10', body, author } });
+}
+
+test.beforeEach(t => silence(t));
+
+test('ignores unsupported events', () => {
+  const filter = new WebhookEventFilter({ projectAllowlist: [] });
+
+  const result = filter.evaluate(payload('jira:issue_deleted'));
+
+  assert.deepEqual(result, { actionable: false, reason: 'Unsupported event type: jira:issue_deleted' });
+});
+
+test('ignores projects outside the allowlist and accepts the ones on it', () => {
+  const filter = new WebhookEventFilter({ projectAllowlist: ['OPS'] });
+
+  assert.deepEqual(filter.evaluate(payload('jira:issue_created')), { actionable: false, reason: 'Project DEMO is not in the allowlist' });
+  assert.equal(filter.evaluate(payload('jira:issue_created', { project: { key: 'OPS' } })).actionable, true);
+});
+
+test('ignores sub-tasks the automation did not create', () => {
+  const filter = new WebhookEventFilter({ projectAllowlist: [] });
+  const subtask = { issuetype: { name: 'Sub-task', subtask: true }, status: { name: 'Ready for Implementation' } };
+
+  assert.deepEqual(
+    filter.evaluate(statusChange({ ...subtask, summary: 'Write the CSV serializer' })),
+    { actionable: false, reason: 'Sub-task not created by the automation' }
+  );
+  assert.equal(filter.evaluate(statusChange({ ...subtask, summary: 'Deliverable Criteria: DEMO-1 - CSV serializer' })).actionable, true);
+});
+
+test('ignores updates without a status change', () => {
+  const filter = new WebhookEventFilter({ projectAllowlist: [] });
+  const update = payload('jira:issue_updated', {}, { changelog: { items: [{ field: 'labels', fromString: '', toString: 'csv' }] } });
+
+  assert.deepEqual(filter.evaluate(update), { actionable: false, reason: 'Updated event but no status change' });
+});
+
+test('acts on criteria issues only in an actionable status', () => {
+  const filter = new WebhookEventFilter({ projectAllowlist: [] });
+  const summary = 'Deliverable Criteria: DEMO-1 - Add a CSV export';
+
+  assert.deepEqual(
+    filter.evaluate(statusChange({ summary, status: { name: 'Code Review' } })),
+    { actionable: false, reason: 'Deliverable criteria issue not in actionable status: Code Review' }
+  );
+  for (const status of WebhookEventFilter.CRITERIA_ACTIONABLE_STATUSES) {
+    assert.equal(filter.evaluate(statusChange({ summary, status: { name: status } })).actionable, true, status);
+  }
+});
+
+test('acts on comments only while the issue awaits clarification or duplicate review', () => {
+  const filter = new WebhookEventFilter({ projectAllowlist: [] });
+
+  assert.deepEqual(filter.evaluate(comment(['csv'])), { actionable: false, reason: 'Issue is not awaiting clarification or duplicate review' });
+  assert.equal(filter.evaluate(comment(['csv', WebhookEventFilter.AWAITING_CLARIFICATION_LABEL])).actionable, true);
+  assert.equal(filter.evaluate(comment([{ name: WebhookEventFilter.AWAITING_DUPLICATE_REVIEW_LABEL }])).actionable, true);
+  // Comment payloads may omit labels; the processor checks the issue itself
+  assert.equal(filter.evaluate(comment(undefined)).actionable, true);
+});
+
+test('tells the automation\'s comments apart by author, not by what they say', () => {
+  const filter = new WebhookEventFilter({ projectAllowlist: [], automationAccountId: AUTOMATION.accountId });
+  const labels = [WebhookEventFilter.AWAITING_CLARIFICATION_LABEL];
+  const quote = '> Posted by Claude Automation System\nThe export should include archived accounts.';
+
+  assert.deepEqual(filter.evaluate(comment(labels, AUTOMATION)), { actionable: false, reason: 'Comment posted by the automation' });
+  assert.equal(filter.evaluate(comment(labels, HUMAN, quote)).actionable, true);
+  // Without the account id configured, every comment goes on to the processor
+  assert.equal(new WebhookEventFilter({ projectAllowlist: [], automationAccountId: null }).evaluate(comment(labels, AUTOMATION)).actionable, true);
+});
+
+test('isAuthoredBy compares accountId on Cloud and name on Data Center', () => {
+  const note = author => ({ body: 'Note', author });
+
+  assert.equal(WebhookEventFilter.isAuthoredBy(note(AUTOMATION), AUTOMATION), true);
+  assert.equal(WebhookEventFilter.isAuthoredBy(note({ ...HUMAN, name: 'automation' }), AUTOMATION), false);
+  assert.equal(WebhookEventFilter.isAuthoredBy(note({ name: 'automation' }), { name: 'automation' }), true);
+  assert.equal(WebhookEventFilter.isAuthoredBy(note({ name: 'jdoe' }), { name: 'automation' }), false);
+  assert.equal(WebhookEventFilter.isAuthoredBy({ body: 'Note' }, AUTOMATION), false);
+});
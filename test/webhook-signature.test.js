@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const WebhookSignatureVerifier = require('../scripts/webhook-signature.js');
+const { silence } = require('./helpers.js');
+
+const SECRET = 'test-secret';
+
+function sign(body, secret = SECRET) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body, 'utf8').digest('hex')}`;
+}
+
+function delivery(overrides = {}) {
+  const body = JSON.stringify({ webhookEvent: 'jira:issue_created', timestamp: Date.now(), issue: { key: 'DEMO-1' }, ...overrides });
+  return { body, headers: { 'X-Hub-Signature': sign(body), 'X-Atlassian-Webhook-Identifier': 'delivery-1' } };
+}
+
+test.beforeEach(t => silence(t));
+
+test('accepts a correctly signed, fresh delivery', () => {
+  const verifier = new WebhookSignatureVerifier({ secret: SECRET });
+  const { body, headers } = delivery();
+
+  const result = verifier.verify(headers, body);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.payload.issue.key, 'DEMO-1');
+  assert.equal(result.deliveryId, 'delivery-1');
+  assert.match(result.replayKey, /^[0-9a-f]{64}$/);
+});
+
+test('rejects a tampered body with 403', () => {
+  const verifier = new WebhookSignatureVerifier({ secret: SECRET });
+  const { body, headers } = delivery();
+
+  const result = verifier.verify(headers, body.replace('DEMO-1', 'DEMO-2'));
+
+  assert.deepEqual([result.valid, result.statusCode], [false, 403]);
+});
+
+test('rejects a missing signature header with 401', () => {
+  const verifier = new WebhookSignatureVerifier({ secret: SECRET });
+  const { body } = delivery();
+
+  assert.equal(verifier.verify({}, body).statusCode, 401);
+});
+
+test('rejects a signature that is not sha256= with 401', () => {
+  const verifier = new WebhookSignatureVerifier({ secret: SECRET });
+  const { body } = delivery();
+  const sha1 = `sha1=${crypto.createHmac('sha1', SECRET).update(body).digest('hex')}`;
+
+  const result = verifier.verify({ 'x-hub-signature': sha1 }, body);
+
+  assert.equal(result.statusCode, 401);
+  assert.match(result.reason, /Unsupported signature format: sha1/);
+});
+
+test('rejects every delivery with 500 when no secret is configured', () => {
+  const verifier = new WebhookSignatureVerifier({ secret: '' });
+  const { body, headers } = delivery();
+
+  assert.equal(verifier.verify(headers, body).statusCode, 500);
+});
+
+test('rejects a timestamp outside the tolerance with 403', () => {
+  const verifier = new WebhookSignatureVerifier({ secret: SECRET, toleranceSeconds: 300 });
+  const { body, headers } = delivery({ timestamp: Date.now() - 301 * 1000 });
+
+  const result = verifier.verify(headers, body);
+
+  assert.equal(result.statusCode, 403);
+  assert.match(result.reason, /outside tolerance/);
+});
+
+test('rejects a handled delivery sent again with 403, whatever its identifier header says', () => {
+  const verifier = new WebhookSignatureVerifier({ secret: SECRET });
+  const { body, headers } = delivery();
+
+  const first = verifier.verify(headers, body);
+  verifier.markDelivered(first.replayKey);
+
+  const sameId = verifier.verify(headers, body);
+  const otherId = verifier.verify({ ...headers, 'X-Atlassian-Webhook-Identifier': 'delivery-2' }, body);
+  const noId = verifier.verify({ 'X-Hub-Signature': headers['X-Hub-Signature'] }, body);
+
+  for (const result of [sameId, otherId, noId]) {
+    assert.deepEqual([result.valid, result.statusCode], [false, 403]);
+    assert.match(result.reason, /Replayed webhook delivery/);
+  }
+});
+
+test('accepts a retry of a delivery that was never marked as handled', () => {
+  const verifier = new WebhookSignatureVerifier({ secret: SECRET });
+  const { body, headers } = delivery();
+
+  verifier.verify(headers, body);
+
+  assert.equal(verifier.verify(headers, body).valid, true);
+});